@@ -0,0 +1,297 @@
+/**
+ * Embedded model animations: an AnimationMixer-based player and its timeline UI
+ */
+import * as THREE from 'three';
+
+/** Loop modes offered in the timeline, keyed by the value the player takes */
+export const LOOP_MODES = {
+    repeat: { label: 'Loop', mode: THREE.LoopRepeat },
+    once: { label: 'Once', mode: THREE.LoopOnce },
+    pingpong: { label: 'Ping-pong', mode: THREE.LoopPingPong }
+};
+
+/** Playback speeds offered in the timeline */
+export const SPEEDS = [0.25, 0.5, 1, 1.5, 2];
+
+/** Transform properties of the model root, which the viewer itself drives */
+const ROOT_PROPERTIES = new Set(['position', 'quaternion', 'rotation', 'scale']);
+
+/**
+ * Drop tracks that move, turn or scale the model root. Normalization and drag
+ * rotation both set the root's transform, and root motion would also walk the
+ * model out of the framed view.
+ * @param {THREE.AnimationClip} clip
+ * @param {THREE.Object3D} root - The model the clip animates
+ * @returns {THREE.AnimationClip} The clip, or a copy without root transform tracks
+ */
+function withoutRootMotion(clip, root) {
+    const tracks = clip.tracks.filter((track) => {
+        const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(track.name);
+        const isRoot = !nodeName || nodeName === root.name || nodeName === root.uuid;
+        return !(isRoot && ROOT_PROPERTIES.has(propertyName));
+    });
+    return tracks.length === clip.tracks.length ? clip : new THREE.AnimationClip(clip.name, clip.duration, tracks, clip.blendMode);
+}
+
+/**
+ * Create a player for the animations a model carries
+ * @param {THREE.Object3D} model - Loaded model; its clips are in model.animations
+ * @returns {Object|null} The player, or null when the model has no animations
+ */
+export function createAnimationPlayer(model) {
+    const clips = (model.animations ?? [])
+        .filter(clip => clip.duration > 0)
+        .map(clip => withoutRootMotion(clip, model));
+    if (clips.length === 0) {
+        return null;
+    }
+
+    const mixer = new THREE.AnimationMixer(model);
+    let action = null;
+    let clipIndex = 0;
+    let loop = 'repeat';
+
+    function applyLoop() {
+        action.setLoop(LOOP_MODES[loop].mode, Infinity);
+        action.clampWhenFinished = loop === 'once';
+    }
+
+    const player = {
+        clips,
+
+        /** Index of the clip being played */
+        get clipIndex() {
+            return clipIndex;
+        },
+
+        /** Current time in the clip, in seconds */
+        get time() {
+            return action.time;
+        },
+
+        /** Length of the current clip, in seconds */
+        get duration() {
+            return action.getClip().duration;
+        },
+
+        get playing() {
+            return !action.paused;
+        },
+
+        get speed() {
+            return mixer.timeScale;
+        },
+
+        get loop() {
+            return loop;
+        },
+
+        /**
+         * Switch to another clip and play it from the start
+         * @param {number} index - Index into clips
+         */
+        select(index) {
+            const wasPaused = action?.paused ?? false;
+            action?.stop();
+            clipIndex = index;
+            action = mixer.clipAction(clips[index]);
+            applyLoop();
+            action.reset().play();
+            action.paused = wasPaused;
+            mixer.update(0);
+        },
+
+        play() {
+            // A clip that played once to the end starts over
+            if (loop === 'once' && action.time >= player.duration) {
+                action.reset();
+            }
+            action.enabled = true;
+            action.paused = false;
+        },
+
+        pause() {
+            action.paused = true;
+        },
+
+        toggle() {
+            if (player.playing) {
+                player.pause();
+            } else {
+                player.play();
+            }
+        },
+
+        /**
+         * Jump to a time in the current clip, posing the model there even while paused
+         * @param {number} time - Seconds
+         */
+        seek(time) {
+            action.enabled = true;
+            action.time = THREE.MathUtils.clamp(time, 0, player.duration);
+            mixer.update(0);
+        },
+
+        /** @param {number} speed - Playback rate, 1 = normal */
+        setSpeed(speed) {
+            mixer.timeScale = speed;
+        },
+
+        /** @param {string} mode - A key of LOOP_MODES */
+        setLoop(mode) {
+            loop = mode;
+            applyLoop();
+        },
+
+        /**
+         * Advance the animation; call once per frame
+         * @param {number} delta - Seconds since the last frame
+         */
+        update(delta) {
+            mixer.update(delta);
+        },
+
+        dispose() {
+            mixer.stopAllAction();
+            mixer.uncacheRoot(model);
+        }
+    };
+
+    player.select(0);
+    return player;
+}
+
+/**
+ * Format seconds for the timeline readout
+ * @param {number} seconds
+ * @returns {string} e.g. "1.25"
+ */
+function formatTime(seconds) {
+    return seconds.toFixed(2);
+}
+
+/**
+ * Create a <select> with the given options
+ * @param {string} className
+ * @param {string} label - Accessible name
+ * @param {Array<[string, string]>} options - [value, text] pairs
+ * @returns {HTMLSelectElement}
+ */
+function createSelect(className, label, options) {
+    const select = document.createElement('select');
+    select.className = `timeline__select ${className}`;
+    select.setAttribute('aria-label', label);
+    for (const [value, text] of options) {
+        select.add(new Option(text, value));
+    }
+    return select;
+}
+
+/**
+ * Build the timeline controls for an animation player: clip selector,
+ * play/pause, scrub bar, time readout, speed and loop mode
+ * @param {Object} player - From createAnimationPlayer
+ * @returns {{element: HTMLElement, update: Function, cleanup: Function}}
+ */
+export function createTimeline(player) {
+    const element = document.createElement('div');
+    element.className = 'timeline';
+    element.setAttribute('role', 'group');
+    element.setAttribute('aria-label', 'Animation');
+
+    const clipSelect = createSelect('timeline__clip', 'Animation clip',
+        player.clips.map((clip, index) => [String(index), clip.name || `Clip ${index + 1}`]));
+    clipSelect.hidden = player.clips.length < 2;
+
+    const playButton = document.createElement('button');
+    playButton.type = 'button';
+    playButton.className = 'timeline__play';
+
+    const scrub = document.createElement('input');
+    scrub.type = 'range';
+    scrub.className = 'timeline__scrub';
+    scrub.min = '0';
+    scrub.step = 'any';
+    scrub.setAttribute('aria-label', 'Animation time');
+
+    const readout = document.createElement('span');
+    readout.className = 'timeline__time';
+
+    const speedSelect = createSelect('timeline__speed', 'Playback speed', SPEEDS.map(speed => [String(speed), `${speed}×`]));
+    speedSelect.value = String(player.speed);
+
+    const loopSelect = createSelect('timeline__loop', 'Loop mode',
+        Object.entries(LOOP_MODES).map(([value, { label }]) => [value, label]));
+    loopSelect.value = player.loop;
+
+    element.append(clipSelect, playButton, scrub, readout, speedSelect, loopSelect);
+
+    // While the scrub bar is held, it shows where the user put it, not the playhead
+    let scrubbing = false;
+
+    function update() {
+        const playing = player.playing;
+        playButton.textContent = playing ? '❚❚' : '▶';
+        playButton.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+        scrub.max = String(player.duration);
+        if (!scrubbing) {
+            scrub.value = String(player.time);
+        }
+        readout.textContent = `${formatTime(player.time)} / ${formatTime(player.duration)} s`;
+    }
+
+    function onClipChange() {
+        player.select(Number(clipSelect.value));
+        update();
+    }
+
+    function onPlayClick() {
+        player.toggle();
+        update();
+    }
+
+    function onScrubStart() {
+        scrubbing = true;
+    }
+
+    function onScrubInput() {
+        player.seek(Number(scrub.value));
+        update();
+    }
+
+    function onScrubEnd() {
+        scrubbing = false;
+    }
+
+    function onSpeedChange() {
+        player.setSpeed(Number(speedSelect.value));
+    }
+
+    function onLoopChange() {
+        player.setLoop(loopSelect.value);
+    }
+
+    clipSelect.addEventListener('change', onClipChange);
+    playButton.addEventListener('click', onPlayClick);
+    scrub.addEventListener('pointerdown', onScrubStart);
+    scrub.addEventListener('input', onScrubInput);
+    scrub.addEventListener('pointerup', onScrubEnd);
+    scrub.addEventListener('pointercancel', onScrubEnd);
+    speedSelect.addEventListener('change', onSpeedChange);
+    loopSelect.addEventListener('change', onLoopChange);
+
+    function cleanup() {
+        clipSelect.removeEventListener('change', onClipChange);
+        playButton.removeEventListener('click', onPlayClick);
+        scrub.removeEventListener('pointerdown', onScrubStart);
+        scrub.removeEventListener('input', onScrubInput);
+        scrub.removeEventListener('pointerup', onScrubEnd);
+        scrub.removeEventListener('pointercancel', onScrubEnd);
+        speedSelect.removeEventListener('change', onSpeedChange);
+        loopSelect.removeEventListener('change', onLoopChange);
+        element.remove();
+    }
+
+    update();
+    return { element, update, cleanup };
+}
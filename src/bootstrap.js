@@ -0,0 +1,108 @@
+/**
+ * Bootstrap: picks a reachable three.js mirror, then starts the app
+ *
+ * index.html carries one candidate import map per mirror as inert JSON blocks,
+ * in order of preference. A page gets one import map, fixed before its first
+ * module loads, so this classic script probes each mirror's three.js build
+ * (checking its SRI hash) and installs the first candidate that answers. Only
+ * then does it load src/main.js. Each candidate's text is allowed by hash in
+ * the CSP, so it is copied into the import map verbatim.
+ */
+(function () {
+    'use strict';
+
+    /** How long a mirror gets to deliver three.js before the next one is tried */
+    const PROBE_TIMEOUT = 8000;
+
+    /**
+     * Fetch a mirror's three.js build, failing on errors, timeouts and hash mismatches
+     * @param {Object} importMap - Parsed candidate import map
+     * @returns {Promise<void>}
+     */
+    async function probe(importMap) {
+        const url = importMap.imports.three;
+        const response = await fetch(url, {
+            integrity: importMap.integrity[url],
+            mode: 'cors',
+            signal: AbortSignal.timeout(PROBE_TIMEOUT)
+        });
+        if (!response.ok) {
+            throw new Error(`${url} responded ${response.status}`);
+        }
+        // Integrity is checked once the body has been read. The module load
+        // that follows gets the same response from the HTTP cache.
+        await response.arrayBuffer();
+    }
+
+    /**
+     * The first candidate whose mirror serves three.js, or the first candidate
+     * when none does (the module load then reports the failure)
+     * @param {HTMLScriptElement[]} candidates
+     * @returns {Promise<HTMLScriptElement>}
+     */
+    async function pickCandidate(candidates) {
+        for (const candidate of candidates) {
+            try {
+                await probe(JSON.parse(candidate.textContent));
+                return candidate;
+            } catch (error) {
+                console.warn(`three.js mirror "${candidate.dataset.importmap}" is unavailable:`, error);
+            }
+        }
+        return candidates[0];
+    }
+
+    /**
+     * Replace the loading indicator with an error, for when the app's modules
+     * can't load at all and main.js never gets to show one
+     */
+    function showStartupError() {
+        const loadingEl = document.getElementById('loading');
+        if (!loadingEl) return;
+
+        loadingEl.style.display = '';
+        loadingEl.innerHTML = '';
+        loadingEl.className = 'error-container';
+
+        const errorIcon = document.createElement('div');
+        errorIcon.className = 'error-icon';
+        errorIcon.textContent = '⚠️';
+
+        const errorTitle = document.createElement('div');
+        errorTitle.className = 'error-title';
+        errorTitle.textContent = 'Failed to Load the Viewer';
+
+        const errorDetails = document.createElement('div');
+        errorDetails.className = 'error-details';
+        errorDetails.textContent = 'three.js could not be loaded from any CDN. Check your connection, or whether a content blocker is filtering the CDN.';
+
+        const retryButton = document.createElement('button');
+        retryButton.className = 'retry-button';
+        retryButton.type = 'button';
+        retryButton.textContent = 'Reload';
+        retryButton.addEventListener('click', () => location.reload());
+
+        loadingEl.append(errorIcon, errorTitle, errorDetails, retryButton);
+    }
+
+    /**
+     * Install the chosen import map and load the app
+     * @param {HTMLScriptElement} candidate
+     */
+    function start(candidate) {
+        const importMap = document.createElement('script');
+        importMap.type = 'importmap';
+        importMap.textContent = candidate.textContent;
+        document.body.appendChild(importMap);
+
+        const main = document.createElement('script');
+        main.type = 'module';
+        main.src = 'src/main.js';
+        // Fires when main.js or anything it imports fails to load
+        main.addEventListener('error', showStartupError);
+        document.body.appendChild(main);
+    }
+
+    const candidates = [...document.querySelectorAll('script[type="application/json"][data-importmap]')];
+    pickCandidate(candidates).then(start);
+})();
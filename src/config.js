@@ -1,12 +1,42 @@
 /**
  * Application configuration
  */
+
+/**
+ * The persisted render preset. Before presets existed, PS1 mode was stored as
+ * a boolean under ps1Style, which still selects the PS1 preset.
+ * @returns {string}
+ */
+function storedRenderPreset() {
+    return localStorage.getItem('renderPreset') ?? (localStorage.getItem('ps1Style') === 'true' ? 'ps1' : 'standard');
+}
+
 export const CONFIG = {
-    ps1Style: localStorage.getItem('ps1Style') === 'true', // Enable PS1 graphics style (persisted in localStorage)
-    ps1PixelScale: 2, // PS1 pixelation level (higher = less pixelated, 1 = no pixelation)
-    ps1Jitter: 0.002, // PS1 vertex wobble intensity (higher = more jitter)
+    renderPreset: storedRenderPreset(), // Active render preset, a key of renderPresets (persisted in localStorage)
+    // Render presets, cycled in this order with the P key:
+    //   pixelScale - the scene renders at 1/pixelScale of the viewport; without it, at devicePixelRatio
+    //   pixelated - upscale the low-res canvas without smoothing
+    //   antialias, precision - WebGL context options, so switching presets rebuilds the renderer
+    //   textureFilter - 'linear' or 'nearest' filtering of model textures
+    //   shader - material shader patch: 'ps1' (see ps1.js) or 'n64' (see n64.js)
+    //   fog - exponential fog in normalized model units: { color, density }
+    //   shadow - overrides lighting.shadows.type, e.g. 'blob' where shadow maps would look out of period
+    //   passes - post-processing passes the preset turns on (see postProcessing)
+    renderPresets: {
+        standard: { label: 'Standard', antialias: true, precision: 'highp', textureFilter: 'linear' },
+        ps1: { label: 'PS1', pixelScale: 2, pixelated: true, antialias: false, precision: 'lowp', textureFilter: 'nearest', shader: 'ps1', shadow: 'blob' },
+        n64: { label: 'N64', pixelScale: 2, antialias: true, precision: 'mediump', textureFilter: 'nearest', shader: 'n64', shadow: 'blob', fog: { color: 0xb4c0cc, density: 0.18 } },
+        gameboy: { label: 'Game Boy', pixelScale: 4, pixelated: true, antialias: false, precision: 'mediump', textureFilter: 'nearest', passes: ['palette'] },
+        ascii: { label: 'ASCII', pixelScale: 1, antialias: false, precision: 'highp', textureFilter: 'linear', passes: ['ascii'] }
+    },
+    ps1Jitter: 2, // PS1 vertex snapping grid, in rendered pixels (higher = more wobble)
+    modelPath: 'assets/models/tarelka.fbx', // Fallback model if the manifest can't be loaded; FBX, glTF/GLB and OBJ are supported
+    manifestPath: 'assets/models/manifest.json', // Models offered in the gallery, with their credits
     modelRetryAttempts: 3, // Number of times to retry loading the model
-    modelRetryDelay: 2000, // Delay in ms between retry attempts
+    modelRetryDelay: 2000, // Delay in ms before the first retry; doubles with each further attempt
+    modelRetryMaxDelay: 15000, // Upper bound in ms for the retry delay
+    serviceWorker: true, // Cache the app, models and three.js for offline use (see sw.js)
+    modelWorker: true, // Fetch and parse models in a Web Worker; falls back to the main thread where that isn't possible
     showFPS: true, // Show FPS counter
     debug: false, // Enable debug monitoring (renderer.info)
     rotation: {
@@ -14,25 +44,159 @@ export const CONFIG = {
         inertia: 0.95, // Inertia damping factor (0-1, closer to 1 = more inertia)
         returnSpeed: 0.02 // Speed of returning to default rotation
     },
-    mouse: {
+    mouse: { // Pointer controls: mouse, pen and touch
         sensitivity: 0.008, // Mouse rotation sensitivity
-        minDragDistance: 5 // Minimum pixels to consider as drag
+        minDragDistance: 5, // Minimum pixels to consider as drag
+        element: null, // Selector of the element that receives drags, pinches and the wheel; null for the renderer's canvas
+        pan: true, // Two-finger drag moves the picture; eases back like rotation
+        twist: true // Two-finger twist rolls the picture; eases back like rotation
+    },
+    keyboard: { // With the viewer focused: arrows rotate, +/- zoom, Home resets the view, Space pauses auto-rotation
+        rotateStep: 0.004, // Rotation speed added per arrow key press (or key repeat)
+        zoomStep: 0.03 // Zoom speed added per +/- key press, like a short wheel scroll
+    },
+    gamepad: { // Controllers with the standard mapping, polled in the animation loop
+        enabled: true,
+        deadzone: 0.15, // Stick and trigger travel ignored around rest, as a fraction of full travel
+        curve: 2, // Response curve exponent: 1 is linear, higher gives finer control near rest
+        rotateSpeed: 0.06, // Rotation speed at full stick tilt (either stick)
+        zoomSpeed: 0.04, // Zoom speed at a fully pulled trigger: right zooms in, left zooms out
+        buttons: { snow: 0, renderPreset: 2, debug: 3, reset: 1 } // Action per button: 0 A/Cross, 1 B/Circle, 2 X/Square, 3 Y/Triangle
+    },
+    tilt: { // Phones and tablets: tilting the device turns the model a little and shifts the snow layers (Tilt button or T key)
+        enabled: localStorage.getItem('tiltEnabled') === 'true', // Off by default (persisted). Where the browser asks for motion access (iOS), it stays off until tapped
+        maxAngle: 25, // Device tilt from the pose tilt was turned on in, in degrees, that gives the full effect
+        rotation: 0.35, // Model rotation at full tilt, in radians
+        smoothing: 0.15, // Time constant of the easing toward the device's tilt, in seconds (0 = none)
+        snowShift: [4, 10, 18], // Snow offset at full tilt in CSS pixels, per layer from background to foreground
+        sensorTimeoutMs: 1000 // Without a reading by then, the device is taken to have no sensor
     },
     camera: {
         fov: 75,
-        near: 0.1,
+        near: 0.1, // Initial planes; recomputed from the model's size when fit is enabled
         far: 1000,
-        position: { x: 0, y: 1, z: 2 }
+        position: { x: 0, y: 1, z: 2 }, // With fit enabled only the direction is used; the distance is computed
+        fit: {
+            enabled: true, // Normalize model size and frame it to the viewport's FOV and aspect
+            radius: 1, // Bounding sphere radius models are normalized to
+            padding: 1.15 // Margin around the bounding sphere (1 = touching the viewport edges)
+        },
+        zoom: {
+            enabled: true, // Mouse wheel and two-finger pinch move the camera along its view axis
+            min: 0.6, // Closest distance, as a multiple of the default (framed) distance
+            max: 2.5, // Farthest distance, as a multiple of the default distance
+            wheelSensitivity: 0.0003, // Zoom per wheel pixel
+            inertia: 0.85, // Damping factor of the zoom speed (0-1, closer to 1 = more inertia)
+            returnSpeed: 0.02 // Speed of easing back to the default distance
+        }
     },
     lighting: {
-        ambient: 1,
-        directional1: { intensity: 2.5, position: { x: 2, y: 2, z: 2 } },
-        directional2: { intensity: 2, position: { x: -2, y: 0, z: -2 } },
-        point: { intensity: 1.5, position: { x: 0, y: 3, z: 0 } },
-        top: { intensity: 1.5, position: { x: 0, y: 5, z: 0 } }
+        preset: localStorage.getItem('lightingPreset') ?? 'studio', // Active lighting preset, a key of presets (persisted in localStorage)
+        // Lighting presets, cycled in this order with the L key:
+        //   lights - { type: 'ambient'|'hemisphere'|'directional'|'point', color, groundColor (hemisphere only), intensity, position }
+        //   environment - image-based lighting for PBR materials: 'room' for a procedural studio room,
+        //     the URL of an equirectangular image (JPEG, PNG or WebP), or null for none
+        //   environmentIntensity - strength of the environment lighting (default 1)
+        presets: {
+            studio: {
+                label: 'Studio',
+                environment: 'room',
+                environmentIntensity: 0.5,
+                lights: [
+                    { type: 'ambient', intensity: 1 },
+                    { type: 'directional', intensity: 2.5, position: { x: 2, y: 2, z: 2 } },
+                    { type: 'directional', intensity: 2, position: { x: -2, y: 0, z: -2 } },
+                    { type: 'point', intensity: 1.5, position: { x: 0, y: 3, z: 0 } },
+                    { type: 'directional', intensity: 1.5, position: { x: 0, y: 5, z: 0 } }
+                ]
+            },
+            sunset: {
+                label: 'Sunset',
+                environment: 'room',
+                environmentIntensity: 0.2,
+                lights: [
+                    { type: 'hemisphere', color: 0xffc28a, groundColor: 0x2e2240, intensity: 1.2 },
+                    { type: 'directional', color: 0xff8a3d, intensity: 3.5, position: { x: 3, y: 0.6, z: 1.5 } },
+                    { type: 'directional', color: 0x7080ff, intensity: 1.2, position: { x: -2, y: 1, z: -2 } }
+                ]
+            },
+            noir: {
+                label: 'Noir',
+                environment: null,
+                lights: [
+                    { type: 'ambient', intensity: 0.15 },
+                    { type: 'directional', intensity: 4, position: { x: 1.5, y: 3, z: 1 } },
+                    { type: 'directional', intensity: 2.5, position: { x: -1, y: 1, z: -3 } }
+                ]
+            },
+            ps1Flat: {
+                label: 'PS1 Flat',
+                environment: null,
+                lights: [
+                    { type: 'ambient', intensity: 2 },
+                    { type: 'directional', intensity: 1, position: { x: 1, y: 2, z: 1 } }
+                ]
+            }
+        },
+        shadows: {
+            enabled: true, // Ground the model with a shadow beneath it
+            type: 'map', // 'map': soft shadow map on a shadow-catcher plane; 'blob': a soft dark disc. Render presets can override it
+            opacity: 0.35, // Darkness of the shadow
+            mapSize: 1024, // Shadow map resolution
+            radius: 4, // Shadow map blur, in shadow map texels
+            padding: 1.5, // Shadow-catcher size, as a multiple of the model's bounding sphere
+            blobScale: 0.8, // Blob shadow size, as a multiple of the model's bounding sphere
+            offset: 0.005 // Gap below the model's lowest point, as a fraction of its height, so the ground never cuts into it
+        }
     },
     renderer: {
-        maxPixelRatio: 2 // Cap devicePixelRatio to avoid excessive fill rate on 3x+ HiDPI displays
+        maxPixelRatio: 2, // Cap devicePixelRatio to avoid excessive fill rate on 3x+ HiDPI displays
+        contextLoss: {
+            maxLosses: 3, // WebGL context losses tolerated within the window before showing an error
+            windowMs: 60000
+        },
+        adaptive: {
+            enabled: true, // Scale the drawing buffer (and snow density) with the measured frame time
+            minScale: 0.5, // Lowest drawing-buffer scale, as a fraction of the normal resolution
+            maxScale: 1,
+            step: 0.125, // Scale change per adjustment
+            windowFrames: 60, // Frames in the rolling average
+            lowerAboveMs: 25, // Average frame time that lowers the scale (below 40 FPS)
+            raiseBelowMs: 18, // Average frame time that allows raising it again (about 55 FPS and up)
+            raiseAfterFrames: 180, // Frames the average must stay under raiseBelowMs before raising
+            maxFrameMs: 250 // Longer frames are one-off stalls (e.g. shader compiles) and aren't counted
+        }
+    },
+    postProcessing: {
+        enabled: false, // Render through the retro passes below; off draws straight to the canvas
+        samples: 4, // MSAA samples for the offscreen scene (none in presets without antialias)
+        palette: { enabled: false, colors: [0x0f380f, 0x306230, 0x8bac0f, 0x9bbc0f], dither: 0.5 }, // Brightness mapped to a 4-color palette, darkest first; dither in palette steps
+        ascii: { enabled: false, cellSize: 8 }, // Character cells, in rendered pixels
+        dither: { enabled: true, strength: 1 }, // Ordered 4x4 Bayer dithering; strength in quantization steps
+        quantize: { enabled: true, bits: 5 }, // Bits per color channel (5 = 15-bit RGB555)
+        curvature: { enabled: true, amount: 0.1 }, // CRT barrel distortion
+        scanlines: { enabled: true, intensity: 0.3, spacing: 2 }, // Darken one row in every `spacing` rendered pixel rows
+        vignette: { enabled: true, intensity: 0.4 } // Darkening toward the corners (0-1)
+    },
+    screenshot: {
+        scale: 2, // Default size, as a multiple of the viewport (capped to the GPU's maximum texture size)
+        scales: [1, 2, 4], // Sizes offered in the screenshot panel
+        samples: 4, // MSAA samples (none in presets without antialias)
+        transparent: false, // Leave out the background by default, for a PNG with alpha
+        includeSnow: true // Draw the snow over the screenshot by default, when it is falling
+    },
+    recorder: {
+        seconds: 6, // Length of the one revolution a turntable clip shows
+        fps: 25, // Fixed frame rate; GIF delays are whole hundredths of a second, so 25 or 50 keep the timing exact
+        format: 'webm', // Default format: 'webm' or 'gif' (GIF when the browser can't record WebM)
+        includeSnow: true, // Composite the snow into the clip by default, when it is falling
+        webm: {
+            maxSize: 1920, // Longest side of the video, in pixels
+            bitsPerSecond: 8000000
+        },
+        gif: {
+            maxSize: 480 // Longest side of the GIF; every frame is held in memory until it's encoded
+        }
     },
     snow: {
         winterMonths: [12, 1], // Months when snow is enabled by default (1-indexed: 12=Dec, 1=Jan)
@@ -1,14 +1,30 @@
 /**
- * Mouse and touch controls for model interaction
+ * Controls for model interaction: mouse, pen and touch through one Pointer
+ * Events implementation, and the keyboard when the viewer has focus
  */
 import { CONFIG } from './config.js';
 
+/** Overlay UI that should receive its own clicks and taps instead of starting a drag */
+const INTERACTIVE_SELECTOR = 'a, button, input, select, label';
+
+/** Read out after the model description when the viewer gets focus */
+const KEYBOARD_HELP = 'Use the arrow keys to rotate, plus and minus to zoom, Home to reset the view and Space to pause rotation.';
+
+/**
+ * Check whether an event started on overlay UI rather than on the scene
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+function isInteractiveTarget(target) {
+    return typeof target?.closest === 'function' && target.closest(INTERACTIVE_SELECTOR) !== null;
+}
+
 /**
- * Initialize mouse and touch controls
- * @returns {Object} Mouse state object and cleanup function
+ * Reset a mouse state object to its initial values, e.g. when switching models
+ * @param {Object} mouseState - Mouse state object from initializeControls
  */
-export function initializeControls() {
-    const mouseState = {
+export function resetMouseState(mouseState) {
+    Object.assign(mouseState, {
         isDragging: false,
         previousX: 0,
         previousY: 0,
@@ -18,119 +34,312 @@ export function initializeControls() {
         velocityY: 0,
         rotationX: 0,
         rotationY: 0,
-        defaultRotationY: 0
+        defaultRotationY: 0,
+        isPinching: false,
+        zoom: 1,
+        zoomVelocity: 0,
+        panX: 0,
+        panY: 0,
+        twist: 0,
+        tiltX: 0,
+        tiltY: 0
+    });
+}
+
+/**
+ * Wheel scroll distance in pixels, whatever unit the browser reports it in
+ * @param {WheelEvent} event
+ * @returns {number}
+ */
+function wheelPixels(event) {
+    if (event.deltaMode === 1) return event.deltaY * 16; // Lines
+    if (event.deltaMode === 2) return event.deltaY * window.innerHeight; // Pages
+    return event.deltaY;
+}
+
+/**
+ * Scale the zoom, stopping at the configured limits
+ * @param {Object} mouseState
+ * @param {number} factor - Multiplies the camera distance (> 1 zooms out)
+ */
+function applyZoom(mouseState, factor) {
+    const { min, max } = CONFIG.camera.zoom;
+    const zoom = mouseState.zoom * factor;
+    mouseState.zoom = Math.max(min, Math.min(max, zoom));
+    if (mouseState.zoom !== zoom) {
+        mouseState.zoomVelocity = 0;
+    }
+}
+
+/**
+ * Distance, angle and midpoint of the line between two pointers
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @returns {{distance: number, angle: number, x: number, y: number}}
+ */
+function pinchGeometry(a, b) {
+    return {
+        distance: Math.hypot(b.x - a.x, b.y - a.y),
+        angle: Math.atan2(b.y - a.y, b.x - a.x),
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2
     };
-    
-    // Mouse event handlers
-    function onMouseDown(event) {
-        if (event.button === 0) {
-            mouseState.isDragging = true;
-            mouseState.startX = event.clientX;
-            mouseState.startY = event.clientY;
-            mouseState.previousX = event.clientX;
-            mouseState.previousY = event.clientY;
-            mouseState.velocityX = 0;
-            mouseState.velocityY = 0;
-            document.body.style.cursor = 'grabbing';
+}
+
+/**
+ * Initialize controls on an element: one pointer drags to rotate, two pinch to
+ * zoom, pan and twist, and the wheel zooms. Mouse, pen and touch all arrive as
+ * pointer events; each pointer is captured by the element while it is down, so
+ * a drag carries on outside it. Events on overlay UI outside the element never
+ * reach these handlers.
+ *
+ * The element is also made focusable for keyboard and screen reader users: it
+ * is labelled with the model description, and while focused the arrow keys
+ * rotate, +/- zoom, Home resets the view and Space pauses auto-rotation.
+ * @param {HTMLElement} element - Receives the gestures, usually the renderer's canvas
+ * @param {Function} [announce] - Called with text for a live region, e.g. "View reset"
+ * @returns {{mouseState: Object, setElement: Function, setDescription: Function, cleanup: Function}}
+ */
+export function initializeControls(element, announce = () => {}) {
+    const mouseState = { autoRotate: true };
+    resetMouseState(mouseState);
+
+    let description = '';
+    const help = document.createElement('p');
+    help.id = 'controls-help';
+    help.className = 'sr-only';
+    help.textContent = KEYBOARD_HELP;
+    document.body.appendChild(help);
+
+    // Pointers currently down, by pointerId. Gestures use the first two.
+    const pointers = new Map();
+    let pinch = null;
+
+    function startDrag(x, y) {
+        mouseState.isDragging = true;
+        mouseState.startX = x;
+        mouseState.startY = y;
+        mouseState.previousX = x;
+        mouseState.previousY = y;
+        mouseState.velocityX = 0;
+        mouseState.velocityY = 0;
+        element.classList.add('controls--dragging');
+    }
+
+    function drag(x, y) {
+        const deltaX = x - mouseState.previousX;
+        const deltaY = y - mouseState.previousY;
+
+        const totalDrag = Math.abs(x - mouseState.startX) + Math.abs(y - mouseState.startY);
+
+        if (totalDrag > CONFIG.mouse.minDragDistance) {
+            mouseState.velocityX = deltaX * CONFIG.mouse.sensitivity;
+            mouseState.velocityY = deltaY * CONFIG.mouse.sensitivity;
+
+            mouseState.rotationY += mouseState.velocityX;
+            mouseState.rotationX += mouseState.velocityY;
+
+            mouseState.rotationX = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, mouseState.rotationX));
         }
+
+        mouseState.previousX = x;
+        mouseState.previousY = y;
     }
-    
-    function onMouseMove(event) {
-        if (mouseState.isDragging) {
-            const deltaX = event.clientX - mouseState.previousX;
-            const deltaY = event.clientY - mouseState.previousY;
-            
-            const totalDrag = Math.abs(event.clientX - mouseState.startX) + 
-                             Math.abs(event.clientY - mouseState.startY);
-            
-            if (totalDrag > CONFIG.mouse.minDragDistance) {
-                mouseState.velocityX = deltaX * CONFIG.mouse.sensitivity;
-                mouseState.velocityY = deltaY * CONFIG.mouse.sensitivity;
-                
-                mouseState.rotationY += mouseState.velocityX;
-                mouseState.rotationX += mouseState.velocityY;
-                
-                mouseState.rotationX = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, mouseState.rotationX));
-            }
-            
-            mouseState.previousX = event.clientX;
-            mouseState.previousY = event.clientY;
+
+    function endDrag() {
+        mouseState.isDragging = false;
+        element.classList.remove('controls--dragging');
+    }
+
+    function startPinch() {
+        // A second pointer turns the drag into a pinch
+        endDrag();
+        const [a, b] = pointers.values();
+        pinch = pinchGeometry(a, b);
+        mouseState.isPinching = true;
+        mouseState.zoomVelocity = 0;
+    }
+
+    function movePinch() {
+        const [a, b] = pointers.values();
+        const next = pinchGeometry(a, b);
+
+        if (CONFIG.camera.zoom.enabled && next.distance > 0 && pinch.distance > 0) {
+            // Spreading the fingers brings the camera closer
+            const factor = pinch.distance / next.distance;
+            mouseState.zoomVelocity = Math.log(factor);
+            applyZoom(mouseState, factor);
+        }
+        if (CONFIG.mouse.pan) {
+            mouseState.panX += next.x - pinch.x;
+            mouseState.panY += next.y - pinch.y;
+        }
+        if (CONFIG.mouse.twist) {
+            // Shortest way round, so crossing ±π doesn't spin the view
+            let turn = next.angle - pinch.angle;
+            turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+            mouseState.twist += turn;
         }
+        pinch = next;
     }
-    
-    function onMouseUp(event) {
-        if (event.button === 0) {
-            mouseState.isDragging = false;
-            document.body.style.cursor = '';
+
+    function onPointerDown(event) {
+        // Left button, pen tip or finger; other buttons and pointers past the second are ignored
+        if (event.button !== 0 || pointers.size >= 2 || isInteractiveTarget(event.target)) return;
+
+        element.setPointerCapture(event.pointerId);
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        if (pointers.size === 1) {
+            startDrag(event.clientX, event.clientY);
+        } else {
+            startPinch();
         }
+        event.preventDefault();
     }
-    
-    // Touch event handlers
-    function onTouchStart(event) {
-        if (event.touches.length === 1) {
-            const touch = event.touches[0];
-            mouseState.isDragging = true;
-            mouseState.startX = touch.clientX;
-            mouseState.startY = touch.clientY;
-            mouseState.previousX = touch.clientX;
-            mouseState.previousY = touch.clientY;
-            mouseState.velocityX = 0;
-            mouseState.velocityY = 0;
-            event.preventDefault();
+
+    function onPointerMove(event) {
+        const pointer = pointers.get(event.pointerId);
+        if (!pointer) return;
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+
+        if (mouseState.isPinching) {
+            movePinch();
+        } else if (mouseState.isDragging) {
+            drag(event.clientX, event.clientY);
         }
     }
-    
-    function onTouchMove(event) {
-        if (mouseState.isDragging && event.touches.length === 1) {
-            const touch = event.touches[0];
-            const deltaX = touch.clientX - mouseState.previousX;
-            const deltaY = touch.clientY - mouseState.previousY;
-            
-            const totalDrag = Math.abs(touch.clientX - mouseState.startX) + 
-                             Math.abs(touch.clientY - mouseState.startY);
-            
-            if (totalDrag > CONFIG.mouse.minDragDistance) {
-                mouseState.velocityX = deltaX * CONFIG.mouse.sensitivity;
-                mouseState.velocityY = deltaY * CONFIG.mouse.sensitivity;
-                
-                mouseState.rotationY += mouseState.velocityX;
-                mouseState.rotationX += mouseState.velocityY;
-                
-                mouseState.rotationX = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, mouseState.rotationX));
-            }
-            
-            mouseState.previousX = touch.clientX;
-            mouseState.previousY = touch.clientY;
-            event.preventDefault();
+
+    function onPointerUp(event) {
+        if (!pointers.delete(event.pointerId)) return;
+
+        if (mouseState.isPinching) {
+            // The zoom carries on with the pinch's last speed; lifting one
+            // finger doesn't start a drag, which would jump to the other one
+            mouseState.isPinching = false;
+            pinch = null;
+        }
+        if (pointers.size === 0) {
+            endDrag();
         }
     }
-    
-    function onTouchEnd(event) {
-        if (mouseState.isDragging) {
-            mouseState.isDragging = false;
-            event.preventDefault();
+
+    function onKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        const { rotateStep, zoomStep } = CONFIG.keyboard;
+
+        switch (event.key) {
+            // Same directions as dragging: right turns the model right, down tips its top forward
+            case 'ArrowLeft':
+                mouseState.velocityX -= rotateStep;
+                break;
+            case 'ArrowRight':
+                mouseState.velocityX += rotateStep;
+                break;
+            case 'ArrowUp':
+                mouseState.velocityY -= rotateStep;
+                break;
+            case 'ArrowDown':
+                mouseState.velocityY += rotateStep;
+                break;
+            case '+':
+            case '=':
+                if (!CONFIG.camera.zoom.enabled) return;
+                mouseState.zoomVelocity -= zoomStep;
+                break;
+            case '-':
+            case '_':
+                if (!CONFIG.camera.zoom.enabled) return;
+                mouseState.zoomVelocity += zoomStep;
+                break;
+            case 'Home':
+                resetMouseState(mouseState);
+                announce('View reset');
+                break;
+            case ' ':
+                if (event.repeat) break;
+                mouseState.autoRotate = !mouseState.autoRotate;
+                announce(`Auto-rotation ${mouseState.autoRotate ? 'resumed' : 'paused'}`);
+                break;
+            default:
+                return;
         }
+        event.preventDefault();
     }
-    
-    // Attach event listeners
-    globalThis.addEventListener('mousedown', onMouseDown);
-    globalThis.addEventListener('mousemove', onMouseMove);
-    globalThis.addEventListener('mouseup', onMouseUp);
-    globalThis.addEventListener('touchstart', onTouchStart, { passive: false });
-    globalThis.addEventListener('touchmove', onTouchMove, { passive: false });
-    globalThis.addEventListener('touchend', onTouchEnd, { passive: false });
-
-    // Cleanup function
+
+    function onWheel(event) {
+        if (!CONFIG.camera.zoom.enabled || isInteractiveTarget(event.target)) return;
+        // Zoom speed is in log units, so zooming in and out feel alike
+        mouseState.zoomVelocity += wheelPixels(event) * CONFIG.camera.zoom.wheelSensitivity;
+        event.preventDefault();
+    }
+
+    function attach() {
+        element.classList.add('controls');
+        element.tabIndex = 0;
+        // Keys go to the viewer rather than a screen reader's browse mode
+        element.setAttribute('role', 'application');
+        element.setAttribute('aria-roledescription', '3D model viewer');
+        element.setAttribute('aria-label', description || '3D model');
+        element.setAttribute('aria-describedby', help.id);
+        element.addEventListener('keydown', onKeyDown);
+        element.addEventListener('pointerdown', onPointerDown);
+        element.addEventListener('pointermove', onPointerMove);
+        element.addEventListener('pointerup', onPointerUp);
+        element.addEventListener('pointercancel', onPointerUp);
+        element.addEventListener('lostpointercapture', onPointerUp);
+        element.addEventListener('wheel', onWheel, { passive: false });
+    }
+
+    function detach() {
+        for (const pointerId of pointers.keys()) {
+            onPointerUp({ pointerId });
+        }
+        element.classList.remove('controls', 'controls--dragging');
+        for (const name of ['tabindex', 'role', 'aria-roledescription', 'aria-label', 'aria-describedby']) {
+            element.removeAttribute(name);
+        }
+        element.removeEventListener('keydown', onKeyDown);
+        element.removeEventListener('pointerdown', onPointerDown);
+        element.removeEventListener('pointermove', onPointerMove);
+        element.removeEventListener('pointerup', onPointerUp);
+        element.removeEventListener('pointercancel', onPointerUp);
+        element.removeEventListener('lostpointercapture', onPointerUp);
+        element.removeEventListener('wheel', onWheel);
+    }
+
+    /**
+     * Move the controls to another element, e.g. a rebuilt renderer's canvas.
+     * Gestures in progress end; the rotation, zoom and keyboard focus carry over.
+     * @param {HTMLElement} nextElement
+     */
+    function setElement(nextElement) {
+        const hadFocus = document.activeElement === element;
+        detach();
+        element = nextElement;
+        attach();
+        if (hadFocus) {
+            element.focus();
+        }
+    }
+
+    /**
+     * Label the element for screen readers, e.g. with the shown model's title and credits
+     * @param {string} text
+     */
+    function setDescription(text) {
+        description = text;
+        element.setAttribute('aria-label', description || '3D model');
+    }
+
     function cleanup() {
-        globalThis.removeEventListener('mousedown', onMouseDown);
-        globalThis.removeEventListener('mousemove', onMouseMove);
-        globalThis.removeEventListener('mouseup', onMouseUp);
-        globalThis.removeEventListener('touchstart', onTouchStart);
-        globalThis.removeEventListener('touchmove', onTouchMove);
-        globalThis.removeEventListener('touchend', onTouchEnd);
+        detach();
+        help.remove();
     }
-    
-    return { mouseState, cleanup };
+
+    attach();
+
+    return { mouseState, setElement, setDescription, cleanup };
 }
 
 /**
@@ -162,12 +371,56 @@ export function updateRotation(model, mouseState, delta) {
         // floating-point precision loss in very long sessions.
         // defaultRotationY only ever increases (delta and speed are always
         // positive), so % (2π) on a non-negative value produces [0, 2π).
-        mouseState.defaultRotationY = (mouseState.defaultRotationY + delta * CONFIG.rotation.speed) % (Math.PI * 2);
+        // Space pauses it.
+        if (mouseState.autoRotate) {
+            mouseState.defaultRotationY = (mouseState.defaultRotationY + delta * CONFIG.rotation.speed) % (Math.PI * 2);
+        }
         
-        // Apply combined rotation
-        model.rotation.y = mouseState.defaultRotationY + mouseState.rotationY;
-        model.rotation.x = mouseState.rotationX;
+        // Apply combined rotation, with the device's tilt on top
+        model.rotation.y = mouseState.defaultRotationY + mouseState.rotationY + mouseState.tiltX * CONFIG.tilt.rotation;
+        model.rotation.x = mouseState.rotationX + mouseState.tiltY * CONFIG.tilt.rotation;
     } catch (error) {
         console.error('Rotation update error:', error);
     }
 }
+
+/**
+ * Update the camera from the zoom, pan and twist gestures. Like rotation, the
+ * zoom coasts to a stop after the wheel or a pinch, and then the zoom, pan and
+ * twist all ease back to the default view.
+ * @param {THREE.PerspectiveCamera} camera - Looking at the origin
+ * @param {Object} mouseState - Mouse state object
+ * @param {number} distance - Default distance from the origin
+ */
+export function updateCamera(camera, mouseState, distance) {
+    const { inertia, returnSpeed } = CONFIG.camera.zoom;
+
+    if (!mouseState.isPinching) {
+        mouseState.zoomVelocity *= inertia;
+        applyZoom(mouseState, Math.exp(mouseState.zoomVelocity));
+        // Ease back in log space, so zooming in and out return alike
+        mouseState.zoom **= 1 - returnSpeed;
+
+        mouseState.panX *= (1 - CONFIG.rotation.returnSpeed);
+        mouseState.panY *= (1 - CONFIG.rotation.returnSpeed);
+        mouseState.twist *= (1 - CONFIG.rotation.returnSpeed);
+
+        if (Math.abs(mouseState.zoomVelocity) < 0.00001) mouseState.zoomVelocity = 0;
+        if (Math.abs(mouseState.panX) < 0.01) mouseState.panX = 0;
+        if (Math.abs(mouseState.panY) < 0.01) mouseState.panY = 0;
+    }
+
+    camera.position.setLength(distance * mouseState.zoom);
+    camera.lookAt(0, 0, 0);
+    // Rolling the camera turns the picture the way the fingers twisted
+    camera.rotateZ(mouseState.twist);
+
+    // Pan in screen space, so the model follows the fingers pixel for pixel
+    if (mouseState.panX !== 0 || mouseState.panY !== 0) {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        camera.setViewOffset(width, height, -mouseState.panX, -mouseState.panY, width, height);
+    } else if (camera.view?.enabled) {
+        camera.clearViewOffset();
+    }
+}
@@ -0,0 +1,321 @@
+/**
+ * Model diagnostics: a report on the loaded model's scene graph, meshes,
+ * materials and textures, and the panel that shows and exports it
+ */
+import * as THREE from 'three';
+import { TEXTURE_SLOTS, downloadBlob, fileStem } from './utils.js';
+
+/**
+ * Round a number for the report, keeping it readable in the panel and the JSON
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Describe a texture bound to a material slot
+ * @param {string} slot - Material property name, e.g. "normalMap"
+ * @param {THREE.Texture} texture
+ * @returns {Object}
+ */
+function describeTexture(slot, texture) {
+    const image = texture.image;
+    const width = image?.width ?? image?.videoWidth;
+    const height = image?.height ?? image?.videoHeight;
+    return {
+        slot,
+        name: texture.name || null,
+        // A texture without image data renders black, e.g. when its file was missing
+        size: width && height ? [width, height] : null
+    };
+}
+
+/**
+ * Describe a material: its type and the texture slots it binds
+ * @param {THREE.Material} material
+ * @returns {Object}
+ */
+function describeMaterial(material) {
+    return {
+        name: material.name || null,
+        type: material.type,
+        textures: TEXTURE_SLOTS
+            .filter(slot => material[slot]?.isTexture)
+            .map(slot => describeTexture(slot, material[slot]))
+    };
+}
+
+/**
+ * Triangle count of a mesh, counting every instance of an instanced mesh
+ * @param {THREE.Mesh} mesh
+ * @returns {number}
+ */
+function countTriangles(mesh) {
+    const { index, attributes } = mesh.geometry;
+    const indices = index ? index.count : (attributes.position?.count ?? 0);
+    return Math.floor(indices / 3) * (mesh.isInstancedMesh ? mesh.count : 1);
+}
+
+/**
+ * Describe an object and its descendants
+ * @param {THREE.Object3D} object
+ * @param {Object} totals - Running totals, updated in place
+ * @returns {Object}
+ */
+function describeObject(object, totals) {
+    const node = { name: object.name || null, type: object.type };
+
+    if (object.isMesh && object.geometry) {
+        const materials = [object.material ?? []].flat();
+        node.triangles = countTriangles(object);
+        node.vertices = object.geometry.attributes.position?.count ?? 0;
+        node.materials = materials.map(describeMaterial);
+
+        totals.meshes++;
+        totals.triangles += node.triangles;
+        totals.vertices += node.vertices;
+        for (const material of materials) {
+            totals.materials.add(material);
+            TEXTURE_SLOTS.filter(slot => material[slot]?.isTexture).forEach(slot => totals.textures.add(material[slot]));
+        }
+    }
+
+    if (object.children.length > 0) {
+        node.children = object.children.map(child => describeObject(child, totals));
+    }
+    return node;
+}
+
+/**
+ * Bounding box of a model in its own units, before the viewer's scaling and rotation
+ * @param {THREE.Object3D} model
+ * @returns {{min: number[], max: number[], size: number[]}|null} Null for a model without meshes
+ */
+function nativeBounds(model) {
+    model.updateMatrixWorld(true);
+    const toModel = model.matrixWorld.clone().invert();
+    const box = new THREE.Box3();
+    const meshBox = new THREE.Box3();
+    const meshToModel = new THREE.Matrix4();
+
+    model.traverse((object) => {
+        if (!object.isMesh || !object.geometry?.attributes.position) return;
+        if (!object.geometry.boundingBox) {
+            object.geometry.computeBoundingBox();
+        }
+        // One combined transform, so the viewer's rotation doesn't inflate the box
+        meshToModel.multiplyMatrices(toModel, object.matrixWorld);
+        box.union(meshBox.copy(object.geometry.boundingBox).applyMatrix4(meshToModel));
+    });
+
+    if (box.isEmpty()) {
+        return null;
+    }
+    const size = box.getSize(new THREE.Vector3());
+    return {
+        min: box.min.toArray().map(round),
+        max: box.max.toArray().map(round),
+        size: size.toArray().map(round)
+    };
+}
+
+/**
+ * Build a diagnostics report for a model
+ * @param {THREE.Object3D} model
+ * @param {Object} [options]
+ * @param {string} [options.source] - Where the model came from, e.g. its path
+ * @param {string[]} [options.failedUrls] - Resources the model referenced but failed to load
+ * @returns {Object} JSON-serializable report
+ */
+export function collectDiagnostics(model, { source = null, failedUrls = [] } = {}) {
+    const totals = { meshes: 0, triangles: 0, vertices: 0, materials: new Set(), textures: new Set() };
+    const sceneGraph = describeObject(model, totals);
+
+    return {
+        source,
+        summary: {
+            meshes: totals.meshes,
+            triangles: totals.triangles,
+            vertices: totals.vertices,
+            materials: totals.materials.size,
+            textures: totals.textures.size,
+            animations: model.animations?.length ?? 0
+        },
+        bounds: nativeBounds(model),
+        failedResources: [...failedUrls],
+        sceneGraph
+    };
+}
+
+/**
+ * Append a definition-list style row to a list
+ * @param {HTMLElement} list
+ * @param {string} label
+ * @param {string} value
+ */
+function appendRow(list, label, value) {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const detail = document.createElement('dd');
+    detail.textContent = value;
+    list.append(term, detail);
+}
+
+/**
+ * One-line description of a scene graph node
+ * @param {Object} node - From collectDiagnostics().sceneGraph
+ * @returns {string}
+ */
+function describeNode(node) {
+    const label = `${node.name ?? '(unnamed)'} — ${node.type}`;
+    if (node.triangles === undefined) {
+        return label;
+    }
+    return `${label}: ${node.triangles.toLocaleString()} tris, ${node.vertices.toLocaleString()} verts`;
+}
+
+/**
+ * Render a scene graph node and its children as nested lists
+ * @param {Object} node
+ * @returns {HTMLLIElement}
+ */
+function renderNode(node) {
+    const item = document.createElement('li');
+    item.textContent = describeNode(node);
+
+    if (node.materials?.length > 0) {
+        const materials = document.createElement('ul');
+        materials.className = 'diagnostics__materials';
+        for (const material of node.materials) {
+            const entry = document.createElement('li');
+            const slots = material.textures.map(({ slot, size }) => (size ? slot : `${slot} (no image)`));
+            entry.textContent = `${material.name ?? '(unnamed)'} — ${material.type}${slots.length > 0 ? `: ${slots.join(', ')}` : ''}`;
+            entry.classList.toggle('diagnostics__warning', material.textures.some(texture => !texture.size));
+            materials.appendChild(entry);
+        }
+        item.appendChild(materials);
+    }
+
+    if (node.children) {
+        const children = document.createElement('ul');
+        node.children.forEach(child => children.appendChild(renderNode(child)));
+        item.appendChild(children);
+    }
+    return item;
+}
+
+/**
+ * Build the diagnostics panel. It asks for a fresh report whenever it is
+ * shown or refreshed.
+ * @param {Function} getReport - Returns a report from collectDiagnostics, or null without a model
+ * @returns {{element: HTMLElement, toggle: Function, refresh: Function, cleanup: Function}}
+ */
+export function createDiagnosticsPanel(getReport) {
+    const element = document.createElement('aside');
+    element.className = 'diagnostics';
+    element.setAttribute('aria-label', 'Model diagnostics');
+    element.hidden = true;
+
+    const header = document.createElement('div');
+    header.className = 'diagnostics__header';
+    const title = document.createElement('h2');
+    title.className = 'diagnostics__title';
+    title.textContent = 'Model diagnostics';
+
+    const refreshButton = document.createElement('button');
+    refreshButton.type = 'button';
+    refreshButton.className = 'diagnostics__button';
+    refreshButton.textContent = 'Refresh';
+
+    const exportButton = document.createElement('button');
+    exportButton.type = 'button';
+    exportButton.className = 'diagnostics__button';
+    exportButton.textContent = 'Export JSON';
+
+    header.append(title, refreshButton, exportButton);
+    const body = document.createElement('div');
+    element.append(header, body);
+
+    let report = null;
+
+    function render() {
+        body.textContent = '';
+        exportButton.disabled = !report;
+        if (!report) {
+            body.textContent = 'No model loaded.';
+            return;
+        }
+
+        const { summary, bounds, failedResources } = report;
+        const list = document.createElement('dl');
+        list.className = 'diagnostics__summary';
+        if (report.source) {
+            appendRow(list, 'Source', report.source);
+        }
+        appendRow(list, 'Meshes', summary.meshes.toLocaleString());
+        appendRow(list, 'Triangles', summary.triangles.toLocaleString());
+        appendRow(list, 'Vertices', summary.vertices.toLocaleString());
+        appendRow(list, 'Materials', summary.materials.toLocaleString());
+        appendRow(list, 'Textures', summary.textures.toLocaleString());
+        appendRow(list, 'Animations', summary.animations.toLocaleString());
+        appendRow(list, 'Size', bounds ? bounds.size.join(' × ') : '—');
+        body.appendChild(list);
+
+        if (failedResources.length > 0) {
+            const heading = document.createElement('h3');
+            heading.className = 'diagnostics__heading diagnostics__warning';
+            heading.textContent = `Failed to load (${failedResources.length})`;
+            const failures = document.createElement('ul');
+            for (const url of failedResources) {
+                const item = document.createElement('li');
+                item.textContent = url;
+                failures.appendChild(item);
+            }
+            body.append(heading, failures);
+        }
+
+        const heading = document.createElement('h3');
+        heading.className = 'diagnostics__heading';
+        heading.textContent = 'Scene graph';
+        const tree = document.createElement('ul');
+        tree.className = 'diagnostics__tree';
+        tree.appendChild(renderNode(report.sceneGraph));
+        body.append(heading, tree);
+    }
+
+    /** Rebuild the report and the panel, if it is shown */
+    function refresh() {
+        if (element.hidden) return;
+        report = getReport();
+        render();
+    }
+
+    /**
+     * Show or hide the panel
+     * @returns {boolean} Whether the panel is now shown
+     */
+    function toggle() {
+        element.hidden = !element.hidden;
+        refresh();
+        return !element.hidden;
+    }
+
+    function exportReport() {
+        if (!report) return;
+        const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `${fileStem(report.source ?? 'model')}-diagnostics.json`);
+    }
+
+    refreshButton.addEventListener('click', refresh);
+    exportButton.addEventListener('click', exportReport);
+
+    function cleanup() {
+        refreshButton.removeEventListener('click', refresh);
+        exportButton.removeEventListener('click', exportReport);
+        element.remove();
+    }
+
+    return { element, toggle, refresh, cleanup };
+}
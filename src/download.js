@@ -0,0 +1,75 @@
+/**
+ * Model download with progress reporting. Has no three.js dependency, so the
+ * model worker can use it too.
+ */
+
+/**
+ * A model failed to load. `retryable` tells whether trying again may help
+ * (a dropped connection) or not (a 404, a file that doesn't parse).
+ */
+export class ModelLoadError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {boolean} [options.retryable=false]
+     * @param {*} [options.cause] - The underlying error
+     */
+    constructor(message, { retryable = false, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ModelLoadError';
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * Whether a failed fetch is worth retrying: network failures, timeouts, rate
+ * limiting and server errors may be transient; a 404 or 403 won't fix itself.
+ * @param {number} status - HTTP status code
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+    return status === 408 || status === 425 || status === 429 || status >= 500;
+}
+
+/**
+ * Fetch a model's raw bytes, reporting download progress
+ * @param {string} url
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onProgress] - Called with the fraction downloaded, 0-1
+ * @returns {Promise<ArrayBuffer>}
+ * @throws {ModelLoadError} On network or HTTP errors, flagged with whether a retry may help
+ */
+export async function fetchModel(url, { signal, onProgress } = {}) {
+    try {
+        const response = await fetch(url, { signal });
+        if (!response.ok) {
+            throw new ModelLoadError(`Failed to fetch ${url}: ${response.status} ${response.statusText}`.trim(), {
+                retryable: isRetryableStatus(response.status)
+            });
+        }
+        
+        const total = Number(response.headers.get('Content-Length'));
+        if (!response.body || !total) {
+            return await response.arrayBuffer();
+        }
+        
+        // Read the body in chunks to drive the progress bar. Content-Length is
+        // the compressed size for encoded responses, hence the clamp.
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.byteLength;
+            onProgress?.(Math.min(loaded / total, 1));
+        }
+        return await new Blob(chunks).arrayBuffer();
+    } catch (error) {
+        if (signal?.aborted || error instanceof ModelLoadError) throw error;
+        // fetch() and body reads reject with a TypeError when the network fails
+        throw new ModelLoadError(`Network error while fetching ${url}`, { retryable: true, cause: error });
+    }
+}
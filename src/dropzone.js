@@ -0,0 +1,116 @@
+/**
+ * Drag-and-drop and file picker for previewing local model files
+ */
+
+/** File types offered by the picker: models plus the side files they reference */
+const ACCEPTED_FILES = '.fbx,.glb,.gltf,.obj,.mtl,.bin,.png,.jpg,.jpeg,.webp,.tga,.bmp';
+
+/**
+ * Check whether a drag carries files (as opposed to selected text or a link)
+ * @param {DragEvent} event
+ * @returns {boolean}
+ */
+function isFileDrag(event) {
+    return Array.from(event.dataTransfer?.types ?? []).includes('Files');
+}
+
+/**
+ * Initialize drag-and-drop and the "Open model" file picker
+ * @param {HTMLElement} container - Element to add the overlay and picker button to
+ * @param {Function} onFiles - Called with an array of File objects
+ * @returns {Function} Cleanup function
+ */
+export function initializeDropZone(container, onFiles) {
+    // Full-screen hint shown while files are dragged over the page
+    const overlay = document.createElement('div');
+    overlay.className = 'dropzone';
+    overlay.setAttribute('aria-hidden', 'true');
+    overlay.textContent = 'Drop a model (FBX, GLB, glTF or OBJ) with its textures';
+    container.appendChild(overlay);
+
+    // File picker for devices without drag-and-drop
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = true;
+    input.accept = ACCEPTED_FILES;
+    input.hidden = true;
+
+    const pickerButton = document.createElement('button');
+    pickerButton.type = 'button';
+    pickerButton.className = 'file-picker';
+    pickerButton.textContent = 'Open model…';
+    pickerButton.addEventListener('click', () => input.click());
+
+    container.appendChild(input);
+    container.appendChild(pickerButton);
+
+    // dragenter/dragleave fire for every child element crossed, so count them
+    // to know when the drag has really left the page.
+    let dragDepth = 0;
+
+    function setActive(active) {
+        overlay.classList.toggle('dropzone--active', active);
+    }
+
+    function onDragEnter(event) {
+        if (!isFileDrag(event)) return;
+        event.preventDefault();
+        dragDepth++;
+        setActive(true);
+    }
+
+    function onDragOver(event) {
+        if (!isFileDrag(event)) return;
+        // Required for the drop event to fire
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    }
+
+    function onDragLeave(event) {
+        if (!isFileDrag(event)) return;
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) {
+            setActive(false);
+        }
+    }
+
+    function onDrop(event) {
+        if (!isFileDrag(event)) return;
+        event.preventDefault();
+        dragDepth = 0;
+        setActive(false);
+        const files = Array.from(event.dataTransfer.files);
+        if (files.length > 0) {
+            onFiles(files);
+        }
+    }
+
+    function onInputChange() {
+        const files = Array.from(input.files);
+        // Clear so picking the same file again still fires a change event
+        input.value = '';
+        if (files.length > 0) {
+            onFiles(files);
+        }
+    }
+
+    document.addEventListener('dragenter', onDragEnter);
+    document.addEventListener('dragover', onDragOver);
+    document.addEventListener('dragleave', onDragLeave);
+    document.addEventListener('drop', onDrop);
+    input.addEventListener('change', onInputChange);
+
+    // Cleanup function
+    function cleanup() {
+        document.removeEventListener('dragenter', onDragEnter);
+        document.removeEventListener('dragover', onDragOver);
+        document.removeEventListener('dragleave', onDragLeave);
+        document.removeEventListener('drop', onDrop);
+        input.removeEventListener('change', onInputChange);
+        overlay.remove();
+        input.remove();
+        pickerButton.remove();
+    }
+
+    return cleanup;
+}
@@ -0,0 +1,79 @@
+/**
+ * Model format detection
+ *
+ * Kept free of three.js imports so it can be shared with code that runs
+ * outside the page's import map.
+ */
+
+/** Model formats the loader knows how to parse */
+export const MODEL_FORMATS = Object.freeze({
+    FBX: 'fbx',
+    GLTF: 'gltf',
+    OBJ: 'obj'
+});
+
+/** File extension (lowercase, no dot) -> model format */
+const EXTENSION_FORMATS = {
+    fbx: MODEL_FORMATS.FBX,
+    glb: MODEL_FORMATS.GLTF,
+    gltf: MODEL_FORMATS.GLTF,
+    obj: MODEL_FORMATS.OBJ
+};
+
+/** Binary FBX files open with this ASCII signature, followed by padding bytes */
+const FBX_BINARY_MAGIC = 'Kaydara FBX Binary';
+
+/** Binary glTF (GLB) container magic */
+const GLB_MAGIC = 'glTF';
+
+/** How many leading bytes to sniff for text-based formats */
+const SNIFF_LENGTH = 512;
+
+/**
+ * Detect a model format from the file name's extension
+ * @param {string} name - File name, path or URL
+ * @returns {string|null} One of MODEL_FORMATS, or null if the extension is unknown
+ */
+export function formatFromExtension(name) {
+    if (typeof name !== 'string') return null;
+    const path = name.split(/[?#]/)[0];
+    const dot = path.lastIndexOf('.');
+    if (dot === -1) return null;
+    return EXTENSION_FORMATS[path.slice(dot + 1).toLowerCase()] ?? null;
+}
+
+/**
+ * Detect a model format from the file's leading bytes
+ * @param {ArrayBuffer} buffer - Raw file contents
+ * @returns {string|null} One of MODEL_FORMATS, or null if the contents are not recognised
+ */
+export function formatFromMagic(buffer) {
+    if (!buffer?.byteLength) return null;
+
+    const head = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, SNIFF_LENGTH)));
+
+    if (head.startsWith(GLB_MAGIC)) return MODEL_FORMATS.GLTF;
+    if (head.startsWith(FBX_BINARY_MAGIC)) return MODEL_FORMATS.FBX;
+
+    // Text formats may open with blank lines (TextDecoder already drops a BOM)
+    const text = head.trimStart();
+
+    // ASCII FBX exports open with a "; FBX 7.x.x project file" comment
+    if (text.startsWith('; FBX')) return MODEL_FORMATS.FBX;
+    if (text.startsWith('{') && text.includes('"asset"')) return MODEL_FORMATS.GLTF;
+    if (/^(?:mtllib|usemtl|[ogs]|v[nt]?|f)\s/m.test(text)) return MODEL_FORMATS.OBJ;
+
+    return null;
+}
+
+/**
+ * Detect a model format, preferring the file's contents over its name.
+ * Magic bytes win because CDNs and drag-and-drop both hand us files whose
+ * extension doesn't always match what's inside.
+ * @param {ArrayBuffer|null} buffer - Raw file contents, if already available
+ * @param {string} name - File name, path or URL
+ * @returns {string|null} One of MODEL_FORMATS, or null if neither check matches
+ */
+export function detectModelFormat(buffer, name) {
+    return formatFromMagic(buffer) ?? formatFromExtension(name);
+}
@@ -0,0 +1,80 @@
+/**
+ * Model normalization and camera framing
+ */
+import * as THREE from 'three';
+
+/**
+ * Center a model at the origin and, optionally, scale it so its bounding sphere
+ * has the given radius. Models come in every unit system (centimetre FBX
+ * exports, metre glTF), so normalizing makes them all frame the same way.
+ * @param {THREE.Object3D} model
+ * @param {number|null} radius - Target bounding sphere radius, or null to only center
+ * @returns {THREE.Sphere} The model's bounding sphere after normalization
+ */
+export function normalizeModel(model, radius) {
+    const box = new THREE.Box3().setFromObject(model);
+    if (box.isEmpty()) {
+        return new THREE.Sphere(new THREE.Vector3(), 0);
+    }
+
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    if (radius && sphere.radius > 0) {
+        const factor = radius / sphere.radius;
+        model.scale.multiplyScalar(factor);
+        // Scaling happens about the model's own origin, so the center scales too
+        sphere.center.sub(model.position).multiplyScalar(factor).add(model.position);
+        sphere.radius = radius;
+    }
+
+    model.position.sub(sphere.center);
+    sphere.center.set(0, 0, 0);
+    return sphere;
+}
+
+/**
+ * Distance from a sphere's center at which it fits entirely in view. The
+ * tighter of the vertical and horizontal field of view wins, so portrait
+ * screens back the camera off instead of clipping the sides.
+ * @param {number} radius - Bounding sphere radius
+ * @param {number} fov - Vertical field of view in degrees
+ * @param {number} aspect - Viewport width / height
+ * @param {number} padding - Multiplier leaving a margin around the sphere (1 = touching the edges)
+ * @returns {number}
+ */
+export function fitCameraDistance(radius, fov, aspect, padding = 1) {
+    const halfVertical = THREE.MathUtils.degToRad(fov) / 2;
+    const halfHorizontal = Math.atan(Math.tan(halfVertical) * aspect);
+    const halfFov = Math.min(halfVertical, halfHorizontal);
+    return (radius * padding) / Math.sin(halfFov);
+}
+
+/**
+ * Place the camera so a sphere at the origin fits the view, looking at it from
+ * the given direction, with near/far planes hugging the sphere.
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {number} radius - Bounding sphere radius of what has to stay in view
+ * @param {{x: number, y: number, z: number}} direction - View direction (from the origin towards the camera); length is ignored
+ * @param {number} padding - See fitCameraDistance
+ * @param {number} depthRadius - Radius the near/far planes must contain, if larger than what is framed
+ * @param {{min: number, max: number}} zoom - Distances the camera may zoom to, as multiples of the
+ *     framed distance; the near/far planes contain the model across all of them
+ * @returns {number} The framed distance
+ */
+export function frameCamera(camera, radius, direction, padding = 1, depthRadius = radius, zoom = { min: 1, max: 1 }) {
+    const distance = fitCameraDistance(radius, camera.fov, camera.aspect, padding);
+    const offset = new THREE.Vector3(direction.x, direction.y, direction.z);
+    if (offset.lengthSq() === 0) {
+        offset.set(0, 0, 1);
+    }
+
+    camera.position.copy(offset.setLength(distance));
+    camera.lookAt(0, 0, 0);
+
+    // Keep the depth range tight around the model for depth buffer precision,
+    // which matters most under PS1 mode's lowp precision.
+    const depth = Math.max(radius, depthRadius);
+    camera.near = Math.max((distance * zoom.min - depth) * 0.5, depth * 0.01);
+    camera.far = (distance * zoom.max + depth) * 2;
+    camera.updateProjectionMatrix();
+    return distance;
+}
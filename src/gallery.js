@@ -0,0 +1,166 @@
+/**
+ * Model gallery: manifest loading, model switcher UI and attribution
+ */
+
+/**
+ * Validate a parsed manifest and fill in defaults for optional fields
+ * @param {Object} data - Parsed manifest JSON
+ * @returns {Array<Object>} Model entries: id, title, description, path, scale, camera, credits
+ * @throws {Error} If the manifest has no models, an entry has no path or two entries share an id
+ */
+export function parseManifest(data) {
+    if (!Array.isArray(data?.models) || data.models.length === 0) {
+        throw new Error('Model manifest lists no models');
+    }
+
+    const ids = new Set();
+
+    return data.models.map((entry, index) => {
+        if (typeof entry?.path !== 'string' || entry.path === '') {
+            throw new Error(`Model manifest entry ${index} has no path`);
+        }
+        const fileName = entry.path.split('/').pop();
+        const id = entry.id ?? fileName.replace(/\.[^.]+$/, '');
+        // The gallery finds entries by id, so a second one could never be picked
+        if (ids.has(id)) {
+            throw new Error(`Model manifest entry ${index} has duplicate model id "${id}"; give it an id of its own`);
+        }
+        ids.add(id);
+
+        return {
+            id,
+            title: entry.title ?? id,
+            description: typeof entry.description === 'string' ? entry.description : '',
+            path: entry.path,
+            scale: Number.isFinite(entry.scale) && entry.scale > 0 ? entry.scale : 1,
+            camera: entry.camera ?? null,
+            credits: Array.isArray(entry.credits) ? entry.credits : []
+        };
+    });
+}
+
+/**
+ * Fetch and validate the model manifest
+ * @param {string} url - Manifest URL
+ * @returns {Promise<Array<Object>>} Model entries, see parseManifest
+ */
+export async function loadManifest(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch model manifest: ${response.status} ${response.statusText}`);
+    }
+    return parseManifest(await response.json());
+}
+
+/**
+ * Append a link, or plain text when there is no URL, to a parent element
+ * @param {HTMLElement} parent
+ * @param {string} text
+ * @param {string} [href]
+ */
+function appendLink(parent, text, href) {
+    if (!href) {
+        parent.append(text);
+        return;
+    }
+    const link = document.createElement('a');
+    link.href = href;
+    link.textContent = text;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    parent.appendChild(link);
+}
+
+/**
+ * Show the credits for a model entry
+ * @param {HTMLElement} attributionEl - Element to render into
+ * @param {Object} entry - Model entry from parseManifest
+ */
+export function renderAttribution(attributionEl, entry) {
+    if (!attributionEl) return;
+
+    attributionEl.textContent = '';
+    attributionEl.hidden = entry.credits.length === 0;
+
+    entry.credits.forEach((credit, index) => {
+        if (index > 0) {
+            attributionEl.append(' · ');
+        }
+        appendLink(attributionEl, credit.title ?? entry.title, credit.url);
+        if (credit.author) {
+            attributionEl.append(' by ');
+            appendLink(attributionEl, credit.author, credit.authorUrl);
+        }
+        if (credit.license) {
+            attributionEl.append(` (${credit.license})`);
+        }
+    });
+}
+
+/**
+ * Describe a model entry for screen readers: its title, the manifest's
+ * description if it has one, and who made it
+ * @param {Object} entry - Model entry from parseManifest
+ * @returns {string}
+ */
+export function describeModel(entry) {
+    const parts = [entry.title, entry.description];
+    const makers = entry.credits
+        .filter(credit => credit.author)
+        .map(credit => `${credit.title ?? entry.title} by ${credit.author}`);
+    if (makers.length > 0) {
+        parts.push(makers.join(', '));
+    }
+    return parts.filter(Boolean).map(part => part.replace(/\.?$/, '.')).join(' ');
+}
+
+/**
+ * Build the model switcher. It stays hidden when there is nothing to switch between.
+ * @param {Array<Object>} entries - Model entries from parseManifest
+ * @param {Function} onSelect - Called with the chosen entry
+ * @returns {{element: HTMLElement, setActive: Function, cleanup: Function}}
+ */
+export function createGallery(entries, onSelect) {
+    const element = document.createElement('nav');
+    element.className = 'gallery';
+    element.setAttribute('aria-label', 'Model gallery');
+    element.hidden = entries.length < 2;
+
+    const buttons = entries.map((entry) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'gallery__item';
+        button.textContent = entry.title;
+        button.dataset.modelId = entry.id;
+        button.setAttribute('aria-pressed', 'false');
+        element.appendChild(button);
+        return button;
+    });
+
+    function onClick(event) {
+        const button = event.target.closest('.gallery__item');
+        if (!button || button.getAttribute('aria-pressed') === 'true') return;
+        const entry = entries.find(e => e.id === button.dataset.modelId);
+        if (entry) {
+            onSelect(entry);
+        }
+    }
+    element.addEventListener('click', onClick);
+
+    /**
+     * Mark the entry with the given id as the one being shown
+     * @param {string} id
+     */
+    function setActive(id) {
+        for (const button of buttons) {
+            button.setAttribute('aria-pressed', String(button.dataset.modelId === id));
+        }
+    }
+
+    function cleanup() {
+        element.removeEventListener('click', onClick);
+        element.remove();
+    }
+
+    return { element, setActive, cleanup };
+}
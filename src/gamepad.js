@@ -0,0 +1,123 @@
+/**
+ * Gamepad controls: sticks rotate the model, triggers zoom and face buttons
+ * trigger the feature toggles. Gamepads have no input events, so connected
+ * pads are polled from the animation loop.
+ */
+import { CONFIG } from './config.js';
+
+/** Standard mapping indices of the triggers and the sticks' axes */
+const LEFT_TRIGGER = 6;
+const RIGHT_TRIGGER = 7;
+const LEFT_STICK = [0, 1];
+const RIGHT_STICK = [2, 3];
+
+/**
+ * Shape raw stick or trigger travel: nothing inside the deadzone, then a curve
+ * from 0 to 1 over the remaining travel, so small tilts give fine control and
+ * a worn stick resting off-center doesn't drift
+ * @param {number} value - Axis in [-1, 1] or trigger in [0, 1]
+ * @param {number} deadzone - Fraction of travel ignored around rest
+ * @param {number} curve - Response exponent; 1 is linear
+ * @returns {number} Shaped value with the input's sign
+ */
+export function shapeAxis(value, deadzone, curve) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadzone) return 0;
+    const shaped = Math.min(1, (magnitude - deadzone) / (1 - deadzone)) ** curve;
+    return Math.sign(value) * shaped;
+}
+
+/**
+ * Turn a gamepad's state into viewer input. Either stick rotates; the right
+ * trigger zooms in and the left one out.
+ * @param {Gamepad} gamepad - Standard mapping
+ * @returns {{rotateX: number, rotateY: number, zoom: number, buttons: Object<string, boolean>}}
+ *     Rotation and zoom in [-1, 1]; buttons by action name (see CONFIG.gamepad.buttons), true while held
+ */
+export function readGamepad(gamepad) {
+    const { deadzone, curve, buttons } = CONFIG.gamepad;
+    const axis = index => shapeAxis(gamepad.axes[index] ?? 0, deadzone, curve);
+    const trigger = index => shapeAxis(gamepad.buttons[index]?.value ?? 0, deadzone, curve);
+    const clamp = value => Math.max(-1, Math.min(1, value));
+    const pressed = Object.entries(buttons).map(([action, index]) => [action, gamepad.buttons[index]?.pressed ?? false]);
+
+    return {
+        rotateX: clamp(axis(LEFT_STICK[0]) + axis(RIGHT_STICK[0])),
+        rotateY: clamp(axis(LEFT_STICK[1]) + axis(RIGHT_STICK[1])),
+        zoom: trigger(LEFT_TRIGGER) - trigger(RIGHT_TRIGGER),
+        buttons: Object.fromEntries(pressed)
+    };
+}
+
+/**
+ * Listen for gamepads and apply the connected ones' input on each update()
+ * @param {Function} onButton - Called with an action name from CONFIG.gamepad.buttons when its button is pressed
+ * @param {Function} [announce] - Called with text when a controller connects or disconnects
+ * @returns {{update: Function, cleanup: Function}}
+ */
+export function createGamepadControls(onButton, announce = () => {}) {
+    // Held buttons per pad index, so a press fires once rather than every frame
+    const held = new Map();
+
+    // Browsers expose a pad once one of its buttons is pressed; that press
+    // wakes it up and shouldn't also toggle something
+    function track(gamepad) {
+        held.set(gamepad.index, readGamepad(gamepad).buttons);
+    }
+
+    function onConnected(event) {
+        track(event.gamepad);
+        announce('Controller connected');
+    }
+
+    function onDisconnected(event) {
+        held.delete(event.gamepad.index);
+        announce('Controller disconnected');
+    }
+
+    /**
+     * Poll the connected pads and steer the view with them. Sticks and
+     * triggers set the same speeds a drag or the wheel would, so letting go
+     * coasts and eases back like any other input.
+     * @param {Object} mouseState - Mouse state object from initializeControls
+     */
+    function update(mouseState) {
+        if (!CONFIG.gamepad.enabled || held.size === 0) return;
+        const { rotateSpeed, zoomSpeed } = CONFIG.gamepad;
+
+        for (const gamepad of navigator.getGamepads()) {
+            if (!gamepad?.connected || !held.has(gamepad.index)) continue;
+            const input = readGamepad(gamepad);
+
+            if (input.rotateX !== 0) mouseState.velocityX = input.rotateX * rotateSpeed;
+            if (input.rotateY !== 0) mouseState.velocityY = input.rotateY * rotateSpeed;
+            if (input.zoom !== 0 && CONFIG.camera.zoom.enabled) mouseState.zoomVelocity = input.zoom * zoomSpeed;
+
+            const wasHeld = held.get(gamepad.index);
+            for (const [action, pressed] of Object.entries(input.buttons)) {
+                if (pressed && !wasHeld[action]) {
+                    onButton(action);
+                }
+            }
+            held.set(gamepad.index, input.buttons);
+        }
+    }
+
+    globalThis.addEventListener('gamepadconnected', onConnected);
+    globalThis.addEventListener('gamepaddisconnected', onDisconnected);
+
+    // Pads exposed before these listeners were added fire no connect event
+    for (const gamepad of navigator.getGamepads?.() ?? []) {
+        if (gamepad?.connected) {
+            track(gamepad);
+        }
+    }
+
+    function cleanup() {
+        globalThis.removeEventListener('gamepadconnected', onConnected);
+        globalThis.removeEventListener('gamepaddisconnected', onDisconnected);
+        held.clear();
+    }
+
+    return { update, cleanup };
+}
@@ -0,0 +1,135 @@
+/**
+ * Ground shadow under the model: a shadow-catcher plane receiving a soft
+ * shadow map, or a blob shadow for render presets that predate shadow maps
+ */
+import * as THREE from 'three';
+import { CONFIG } from './config.js';
+import { currentPreset } from './presets.js';
+
+/** Side of the blob shadow's gradient texture, in texels */
+const BLOB_SIZE = 64;
+
+/**
+ * The shadow the active render preset calls for
+ * @returns {'map'|'blob'|null} null when shadows are off
+ */
+export function shadowType() {
+    if (!CONFIG.lighting.shadows.enabled) return null;
+    return currentPreset().shadow ?? CONFIG.lighting.shadows.type;
+}
+
+/**
+ * A black texture fading from opaque in the middle to clear at the edge
+ * @returns {THREE.DataTexture}
+ */
+function createBlobTexture() {
+    const data = new Uint8Array(BLOB_SIZE * BLOB_SIZE * 4);
+    const center = (BLOB_SIZE - 1) / 2;
+    for (let y = 0; y < BLOB_SIZE; y++) {
+        for (let x = 0; x < BLOB_SIZE; x++) {
+            const distance = Math.hypot(x - center, y - center) / center;
+            const alpha = THREE.MathUtils.smoothstep(1 - distance, 0, 1);
+            data[(y * BLOB_SIZE + x) * 4 + 3] = Math.round(alpha * 255);
+        }
+    }
+    const texture = new THREE.DataTexture(data, BLOB_SIZE, BLOB_SIZE);
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/**
+ * Add the ground shadow to a scene. Its shadow light casts shadows without
+ * lighting anything, so it stays the same whatever lights the scene has.
+ * @param {THREE.Scene} scene
+ * @returns {{update: Function, applyPreset: Function, dispose: Function}}
+ */
+export function createGround(scene) {
+    const settings = CONFIG.lighting.shadows;
+    const geometry = new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2);
+
+    const catcher = new THREE.Mesh(geometry, new THREE.ShadowMaterial({ opacity: settings.opacity }));
+    catcher.name = 'Ground.shadowCatcher';
+    catcher.receiveShadow = true;
+
+    const blobTexture = createBlobTexture();
+    const blob = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        color: 0x000000,
+        map: blobTexture,
+        transparent: true,
+        opacity: settings.opacity,
+        depthWrite: false
+    }));
+    blob.name = 'Ground.blobShadow';
+
+    const light = new THREE.DirectionalLight(0xffffff, 0);
+    light.name = 'Ground.shadowLight';
+    light.shadow.mapSize.set(settings.mapSize, settings.mapSize);
+    light.shadow.radius = settings.radius;
+
+    scene.add(catcher, blob, light, light.target);
+
+    const box = new THREE.Box3();
+    const sphere = new THREE.Sphere();
+    let castingModel = null;
+
+    /**
+     * Switch the shadow light and the renderer's shadow map to what the active
+     * render preset calls for. Call again after either changes.
+     * @param {THREE.WebGLRenderer} renderer
+     */
+    function applyPreset(renderer) {
+        const mapped = shadowType() === 'map';
+        light.castShadow = mapped;
+        renderer.shadowMap.enabled = mapped;
+        renderer.shadowMap.type = THREE.PCFShadowMap;
+    }
+
+    /**
+     * Follow the model: the ground sits just below its bounding box and spans
+     * its bounding sphere, which unlike the box doesn't pulse as it turns.
+     * Call every frame, after the model has moved.
+     * @param {THREE.Object3D|null} model
+     */
+    function update(model) {
+        if (model && model !== castingModel) {
+            model.traverse((object) => {
+                object.castShadow = true;
+            });
+            castingModel = model;
+        }
+
+        const hasModel = model !== null && !box.setFromObject(model).isEmpty();
+        const type = hasModel ? shadowType() : null;
+        catcher.visible = type === 'map';
+        blob.visible = type === 'blob';
+        if (!type) return;
+
+        box.getBoundingSphere(sphere);
+        const { center, radius } = sphere;
+        const groundY = box.min.y - (box.max.y - box.min.y) * settings.offset;
+
+        catcher.position.set(center.x, groundY, center.z);
+        catcher.scale.setScalar(radius * 2 * settings.padding);
+        blob.position.copy(catcher.position);
+        blob.scale.setScalar(radius * 2 * settings.blobScale);
+
+        // Straight down, so the shadow lands under the model like a contact shadow
+        const extent = radius * settings.padding;
+        light.position.set(center.x, box.max.y + radius, center.z);
+        light.target.position.set(center.x, groundY, center.z);
+        Object.assign(light.shadow.camera, { left: -extent, right: extent, top: extent, bottom: -extent, near: 0, far: light.position.y - groundY + radius });
+        light.shadow.camera.updateProjectionMatrix();
+    }
+
+    function dispose() {
+        scene.remove(catcher, blob, light, light.target);
+        geometry.dispose();
+        catcher.material.dispose();
+        blob.material.dispose();
+        blobTexture.dispose();
+        light.dispose();
+    }
+
+    return { update, applyPreset, dispose };
+}
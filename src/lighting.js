@@ -0,0 +1,197 @@
+/**
+ * Lighting presets: the scene's lights and PMREM environment lighting, and
+ * switching between them at runtime
+ */
+import * as THREE from 'three';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+import { CONFIG } from './config.js';
+
+/** Blur applied to the procedural room, so its boxes read as soft light */
+const ROOM_SIGMA = 0.04;
+
+/**
+ * The active lighting preset, falling back to the first one for an unknown
+ * (e.g. stale persisted) name
+ * @returns {Object} An entry of CONFIG.lighting.presets
+ */
+export function currentLightingPreset() {
+    const { presets, preset } = CONFIG.lighting;
+    return presets[preset] ?? Object.values(presets)[0];
+}
+
+/**
+ * The lighting preset after the active one, wrapping around
+ * @returns {string} A key of CONFIG.lighting.presets
+ */
+export function nextLightingPresetName() {
+    const names = Object.keys(CONFIG.lighting.presets);
+    return names[(names.indexOf(CONFIG.lighting.preset) + 1) % names.length];
+}
+
+/**
+ * Make a lighting preset active and persist the choice
+ * @param {string} name - A key of CONFIG.lighting.presets
+ */
+export function setLightingPreset(name) {
+    if (!(name in CONFIG.lighting.presets)) {
+        throw new Error(`Unknown lighting preset: ${name}`);
+    }
+    CONFIG.lighting.preset = name;
+    localStorage.setItem('lightingPreset', name);
+}
+
+/**
+ * Build a light from its preset entry
+ * @param {Object} spec - An entry of a preset's lights
+ * @returns {THREE.Light}
+ */
+function createLight({ type, color = 0xffffff, groundColor = 0x000000, intensity = 1, position }) {
+    let light;
+    switch (type) {
+        case 'ambient':
+            light = new THREE.AmbientLight(color, intensity);
+            break;
+        case 'hemisphere':
+            light = new THREE.HemisphereLight(color, groundColor, intensity);
+            break;
+        case 'directional':
+            light = new THREE.DirectionalLight(color, intensity);
+            break;
+        case 'point':
+            light = new THREE.PointLight(color, intensity);
+            break;
+        default:
+            throw new Error(`Unknown light type: ${type}`);
+    }
+    if (position) {
+        light.position.set(position.x, position.y, position.z);
+    }
+    return light;
+}
+
+/**
+ * Add the lights to a scene. Nothing is lit until apply() is called with the
+ * renderer, which the environment lighting is generated with.
+ * @param {THREE.Scene} scene
+ * @returns {{apply: Function, dispose: Function}}
+ */
+export function createLighting(scene) {
+    const rig = new THREE.Group();
+    rig.name = 'Lighting';
+    scene.add(rig);
+
+    // The prefiltered environment belongs to the renderer that generated it;
+    // the equirectangular image it came from is kept for regenerating it
+    let environmentTarget = null;
+    let equirect = null;
+    let equirectUrl = null;
+    // Bumped on every apply(), so a slow image load can't land on a newer preset
+    let generation = 0;
+
+    function clearLights() {
+        for (const light of [...rig.children]) {
+            rig.remove(light);
+            light.dispose();
+        }
+    }
+
+    function clearEnvironment() {
+        scene.environment = null;
+        environmentTarget?.dispose();
+        environmentTarget = null;
+    }
+
+    function clearEquirect() {
+        equirect?.dispose();
+        equirect = null;
+        equirectUrl = null;
+    }
+
+    /**
+     * @param {string} url
+     * @returns {Promise<THREE.Texture>} The image, kept until another one is loaded
+     */
+    async function loadEquirect(url) {
+        if (url === equirectUrl) return equirect;
+        const texture = await new THREE.TextureLoader().loadAsync(url);
+        texture.mapping = THREE.EquirectangularReflectionMapping;
+        texture.colorSpace = THREE.SRGBColorSpace;
+        return texture;
+    }
+
+    /**
+     * Prefilter an environment for PBR materials
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Texture|null} texture - Equirectangular image, or null for the room
+     * @returns {THREE.WebGLRenderTarget}
+     */
+    function generateEnvironment(renderer, texture) {
+        const pmremGenerator = new THREE.PMREMGenerator(renderer);
+        try {
+            if (texture) {
+                return pmremGenerator.fromEquirectangular(texture);
+            }
+            const room = new RoomEnvironment();
+            try {
+                return pmremGenerator.fromScene(room, ROOM_SIGMA);
+            } finally {
+                room.dispose();
+            }
+        } finally {
+            pmremGenerator.dispose();
+        }
+    }
+
+    /**
+     * Switch the lights and environment to the active lighting preset. Call
+     * again after it changes, and whenever the renderer is rebuilt or its
+     * context restored, since the environment lives on the GPU.
+     * @param {THREE.WebGLRenderer} renderer
+     * @returns {Promise<void>} Settles once the environment is in place
+     */
+    async function apply(renderer) {
+        const current = ++generation;
+        const preset = currentLightingPreset();
+
+        clearLights();
+        rig.add(...preset.lights.map(createLight));
+        clearEnvironment();
+
+        const source = preset.environment ?? null;
+        if (source !== null && source !== 'room') {
+            let texture;
+            try {
+                texture = await loadEquirect(source);
+            } catch (error) {
+                console.warn(`Failed to load environment image ${source}:`, error);
+                return;
+            }
+            if (current !== generation) {
+                if (texture !== equirect) texture.dispose();
+                return;
+            }
+            if (texture !== equirect) {
+                clearEquirect();
+                equirect = texture;
+                equirectUrl = source;
+            }
+        } else {
+            clearEquirect();
+        }
+        if (source === null) return;
+
+        environmentTarget = generateEnvironment(renderer, equirect);
+        scene.environment = environmentTarget.texture;
+        scene.environmentIntensity = preset.environmentIntensity ?? 1;
+    }
+
+    function dispose() {
+        generation++;
+        clearLights();
+        clearEnvironment();
+        clearEquirect();
+        scene.remove(rig);
+    }
+
+    return { apply, dispose };
+}
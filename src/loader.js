@@ -3,134 +3,471 @@
  */
 import * as THREE from 'three';
 import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
 import { CONFIG } from './config.js';
+import { MODEL_FORMATS, formatFromExtension } from './formats.js';
+import { ModelLoadError, fetchModel } from './download.js';
+import { createModelParser } from './parser.js';
+import { parseInWorker } from './worker-client.js';
+import { normalizeModel } from './framing.js';
+import { applyPS1Material, removePS1Material } from './ps1.js';
+import { applyN64Material, removeN64Material } from './n64.js';
+import { currentPreset } from './presets.js';
+import { disposeModel } from './utils.js';
 
-// Reuse a single loader instance across retries
-const loader = new FBXLoader();
+/**
+ * Parse raw model data into a three.js object on the main thread
+ * @type {(buffer: ArrayBuffer, url: string, manager?: THREE.LoadingManager) => Promise<THREE.Object3D>}
+ */
+export const parseModel = createModelParser({ THREE, FBXLoader, GLTFLoader, OBJLoader, MTLLoader });
+
+/** URLs each loaded model failed to load (textures, .mtl and .bin files), by model */
+const failedResources = new WeakMap();
+
+/**
+ * URLs a model referenced but that failed to load, as reported by its loading
+ * manager. FBX and MTL textures keep loading after the model is returned, so
+ * the list can still grow after the model is shown.
+ * @param {THREE.Object3D} model
+ * @returns {string[]}
+ */
+export function getFailedResources(model) {
+    return failedResources.get(model) ?? [];
+}
+
+/**
+ * Record the URLs a loading manager fails to load
+ * @param {THREE.LoadingManager} manager
+ * @returns {string[]} The list, filled in as loads fail
+ */
+function trackFailures(manager) {
+    const failed = [];
+    manager.onError = (url) => {
+        failed.push(url);
+    };
+    return failed;
+}
+
+/** Troubleshooting steps shown when a model can't be fetched */
+const NETWORK_ERROR_STEPS = [
+    'Check your internet connection',
+    'Try refreshing the page',
+    'Clear your browser cache',
+    'Try a different browser'
+];
+
+/** Troubleshooting steps shown when a local file can't be parsed */
+const FILE_ERROR_STEPS = [
+    'Check that the file is an FBX, glTF/GLB or OBJ model',
+    'Drop textures and .mtl or .bin files together with the model',
+    'Try re-exporting the model from your 3D editor'
+];
+
+/** Material shader patches, by the name a render preset gives as its `shader` */
+const SHADER_PATCHES = {
+    ps1: { apply: applyPS1Material, remove: removePS1Material },
+    n64: { apply: applyN64Material, remove: removeN64Material }
+};
+
+/**
+ * Apply the active render preset's material settings to a single material
+ * @param {THREE.Material} material
+ */
+function applyMaterialSettings(material) {
+    const preset = currentPreset();
+
+    // The consoles shaded per vertex; their look comes from the shader patches instead
+    material.flatShading = false;
+    for (const [name, patch] of Object.entries(SHADER_PATCHES)) {
+        if (name !== preset.shader) {
+            patch.remove(material);
+        }
+    }
+    SHADER_PATCHES[preset.shader]?.apply(material);
+
+    // Nearest filtering keeps textures pixelated, and is what the N64 patch's
+    // own filtering expects
+    if (material.map) {
+        const nearest = preset.textureFilter === 'nearest';
+        material.map.minFilter = nearest ? THREE.NearestFilter : THREE.LinearMipmapLinearFilter;
+        material.map.magFilter = nearest ? THREE.NearestFilter : THREE.LinearFilter;
+        material.map.generateMipmaps = !nearest;
+    }
+    
+    material.dithering = false;
+    material.needsUpdate = true;
+}
 
 /**
- * Loads the FBX model with retry logic
+ * Apply the active render preset's material settings to every material of a
+ * model. Call again after the preset changes.
+ * @param {THREE.Object3D} model
+ */
+export function applyModelMaterials(model) {
+    // OBJ and FBX meshes with several material groups carry an array of materials
+    model.traverse((child) => {
+        if (child.isMesh) {
+            try {
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach(applyMaterialSettings);
+            } catch (materialError) {
+                console.error('Error applying material settings:', materialError);
+            }
+        }
+    });
+}
+
+/**
+ * Apply material settings, normalize the model's size and center it at the origin.
+ * With CONFIG.camera.fit enabled the bounding sphere is scaled to the fit radius
+ * times `scale`; otherwise `scale` is applied to the model's native size.
+ * @param {THREE.Object3D} model
+ * @param {number} scale - Uniform scale factor
+ */
+export function prepareModel(model, scale = 1) {
+    applyModelMaterials(model);
+    
+    // Normalize size and center the model
+    try {
+        if (CONFIG.camera.fit.enabled) {
+            normalizeModel(model, CONFIG.camera.fit.radius * scale);
+        } else {
+            model.scale.multiplyScalar(scale);
+            normalizeModel(model, null);
+        }
+    } catch (centerError) {
+        console.error('Error centering model:', centerError);
+    }
+}
+
+/**
+ * Delay before the next retry: exponential backoff from CONFIG.modelRetryDelay,
+ * capped at CONFIG.modelRetryMaxDelay, with "equal jitter" (half fixed, half
+ * random) so many clients recovering from the same outage don't retry in lockstep.
+ * @param {number} attemptNumber - The attempt that just failed (1-based)
+ * @param {Function} random - Source of randomness in [0, 1)
+ * @returns {number} Delay in ms
+ */
+export function computeRetryDelay(attemptNumber, random = Math.random) {
+    const backoff = Math.min(CONFIG.modelRetryDelay * 2 ** (attemptNumber - 1), CONFIG.modelRetryMaxDelay);
+    return backoff / 2 + random() * (backoff / 2);
+}
+
+/**
+ * Wait for a number of milliseconds, rejecting early if the signal aborts
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Fetch and parse a model, in the model worker when it is available
+ * @param {string} url
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onProgress] - Called with the fraction downloaded, 0-1
+ * @returns {Promise<THREE.Object3D>}
+ */
+async function fetchAndParse(url, options) {
+    const result = await parseInWorker(url, options);
+    if (result?.model) {
+        failedResources.set(result.model, result.failedUrls);
+        return result.model;
+    }
+    // The worker handed the file back, or isn't available at all
+    const buffer = result?.buffer ?? await fetchModel(url, options);
+    const manager = new THREE.LoadingManager();
+    const failed = trackFailures(manager);
+    const model = await parseModel(buffer, url, manager);
+    failedResources.set(model, failed);
+    return model;
+}
+
+/**
+ * Run a load until it succeeds or the signal aborts. On failure the loading
+ * error is shown, and its retry button runs the load again in place.
+ * @param {Function} load - Returns a promise for the model
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal]
+ * @param {string[]} [options.steps] - Troubleshooting steps for the error panel
+ * @returns {Promise<THREE.Object3D>} Resolves with the model; rejects only on abort
+ */
+function loadUntilSuccess(load, { signal, steps }) {
+    const loadingEl = document.getElementById('loading');
+    
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        signal?.addEventListener('abort', () => reject(signal.reason), { once: true });
+        
+        function run() {
+            load().then(resolve, (error) => {
+                // Superseded by another model or torn down by cleanup: stay quiet
+                if (signal?.aborted) return;
+                showLoadingError(loadingEl, error, { steps, onRetry: run });
+            });
+        }
+        run();
+    });
+}
+
+/**
+ * Finish loading: prepare the model and add it to the scene, unless the load
+ * was cancelled in the meantime, in which case the model is thrown away
+ * @param {THREE.Scene} scene
+ * @param {THREE.Object3D} model
+ * @param {number} scale
+ * @param {AbortSignal} [signal]
+ * @returns {THREE.Object3D}
+ */
+function addModel(scene, model, scale, signal) {
+    if (signal?.aborted) {
+        disposeModel(model);
+        throw signal.reason;
+    }
+    
+    prepareModel(model, scale);
+    scene.add(model);
+    
+    // Hide loading UI
+    const loadingEl = document.getElementById('loading');
+    if (loadingEl) {
+        loadingEl.style.display = 'none';
+    }
+    return model;
+}
+
+/**
+ * Loads a model with retry logic. FBX, glTF/GLB and OBJ (+MTL) are supported.
+ *
+ * Transient failures (network errors, 5xx) are retried with exponential
+ * backoff; anything else (404, a file that won't parse) goes straight to the
+ * error panel, whose retry button tries again in place.
+ *
  * @param {THREE.Scene} scene - The scene to add the model to
- * @param {Function} onSuccess - Callback when model loads successfully
- * @param {number} attemptNumber - Current attempt number
+ * @param {{path: string, scale?: number}} source - Model to load, e.g. a gallery manifest entry
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the load, including pending retries
+ * @returns {Promise<THREE.Object3D>} Resolves with the model once it is in the scene; rejects only on abort
  */
-export function loadModel(scene, onSuccess, attemptNumber = 1) {
+export function loadModel(scene, source = { path: CONFIG.modelPath }, { signal } = {}) {
     const loadingEl = document.getElementById('loading');
+    const url = source.path;
     
-    if (loadingEl && attemptNumber > 1) {
-        // Clear and rebuild loading UI for retry attempts
-        loadingEl.textContent = '';
-        const loadingText = document.createElement('div');
-        loadingText.textContent = `Loading... (Attempt ${attemptNumber}/${CONFIG.modelRetryAttempts})`;
-        const progressBar = document.createElement('progress');
-        progressBar.id = 'progress-bar';
-        progressBar.setAttribute('aria-label', 'Loading progress');
-        progressBar.max = 100;
-        progressBar.value = 0;
-        loadingEl.appendChild(loadingText);
-        loadingEl.appendChild(progressBar);
+    function onProgress(fraction) {
+        const progressBarEl = document.getElementById('progress-bar');
+        if (progressBarEl) {
+            progressBarEl.value = fraction * 100;
+        }
     }
     
-    loader.load(
-        'assets/models/tarelka.fbx',
-        function (object) {
-            const model = object;
-            
-            // Apply PS1-style material modifications
-            model.traverse((child) => {
-                if (child.isMesh) {
-                    try {
-                        if (CONFIG.ps1Style) {
-                            // Enable flat shading for low-poly PS1 look
-                            child.material.flatShading = true;
-                            
-                            // Disable texture filtering for pixelated textures
-                            if (child.material.map) {
-                                child.material.map.minFilter = THREE.NearestFilter;
-                                child.material.map.magFilter = THREE.NearestFilter;
-                                child.material.map.generateMipmaps = false;
-                            }
-                            
-                            // Reduce color precision (color banding effect)
-                            child.material.dithering = false;
-                        } else {
-                            // Restore smooth rendering for non-PS1 mode
-                            child.material.flatShading = false;
-                            
-                            // Restore smooth texture filtering
-                            if (child.material.map) {
-                                child.material.map.minFilter = THREE.LinearMipmapLinearFilter;
-                                child.material.map.magFilter = THREE.LinearFilter;
-                                child.material.map.generateMipmaps = true;
-                            }
-                            
-                            child.material.dithering = false;
-                        }
-                        
-                        child.material.needsUpdate = true;
-                    } catch (materialError) {
-                        console.error('Error applying material settings:', materialError);
-                    }
-                }
-            });
+    async function attemptLoad() {
+        for (let attemptNumber = 1; ; attemptNumber++) {
+            // The loading UI is hidden after the first model loads; bring it back
+            // when switching models or retrying, and rebuild it for retry attempts.
+            if (attemptNumber > 1) {
+                showLoadingProgress(loadingEl, `Loading... (Attempt ${attemptNumber}/${CONFIG.modelRetryAttempts})`);
+            } else if (loadingEl && (loadingEl.style.display === 'none' || loadingEl.classList.contains('error-container'))) {
+                showLoadingProgress(loadingEl, 'Loading...');
+            }
             
-            // Center the model
             try {
-                const box = new THREE.Box3().setFromObject(model);
-                if (!box.isEmpty()) {
-                    const center = box.getCenter(new THREE.Vector3());
-                    model.position.sub(center);
+                return addModel(scene, await fetchAndParse(url, { signal, onProgress }), source.scale, signal);
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                console.error(`Model loading error (attempt ${attemptNumber}):`, error);
+                
+                // Parse errors and permanent HTTP errors fail the same way every time
+                if (!error.retryable || attemptNumber >= CONFIG.modelRetryAttempts) {
+                    throw error;
                 }
-            } catch (centerError) {
-                console.error('Error centering model:', centerError);
-            }
-            
-            scene.add(model);
-            
-            // Hide loading UI
-            if (loadingEl) {
-                loadingEl.style.display = 'none';
-            }
-            
-            // Call success callback
-            if (onSuccess) {
-                onSuccess(model);
-            }
-        },
-        function (xhr) {
-            // Update progress bar
-            const progressBarEl = document.getElementById('progress-bar');
-            if (xhr.lengthComputable && progressBarEl) {
-                progressBarEl.value = (xhr.loaded / xhr.total) * 100;
-            }
-        },
-        function (error) {
-            console.error(`Model loading error (attempt ${attemptNumber}):`, error);
-            
-            // Retry logic
-            if (attemptNumber < CONFIG.modelRetryAttempts) {
+                
+                const delay = computeRetryDelay(attemptNumber);
                 if (loadingEl) {
-                    loadingEl.textContent = `Loading failed. Retrying in ${CONFIG.modelRetryDelay / 1000}s...`;
+                    loadingEl.textContent = `Loading failed. Retrying in ${(delay / 1000).toFixed(1)}s...`;
                 }
-                setTimeout(() => {
-                    loadModel(scene, onSuccess, attemptNumber + 1);
-                }, CONFIG.modelRetryDelay);
-            } else {
-                // All retry attempts exhausted
-                showLoadingError(loadingEl, error);
+                await wait(delay, signal);
             }
         }
-    );
+    }
+    
+    return loadUntilSuccess(attemptLoad, { signal, steps: NETWORK_ERROR_STEPS });
+}
+
+/**
+ * Lowercase base name of a URL or file path, without query string or fragment
+ * @param {string} url
+ * @returns {string}
+ */
+function fileNameFromUrl(url) {
+    const name = url.split(/[?#]/)[0].split(/[\\/]/).pop();
+    try {
+        return decodeURIComponent(name).toLowerCase();
+    } catch {
+        // Not percent-encoded after all (e.g. a literal "%" in the file name)
+        return name.toLowerCase();
+    }
+}
+
+/**
+ * Build a lookup from file name to object URL for a set of local files, and a
+ * loading manager that resolves the textures and side files a model references
+ * (.mtl, .bin, images) to those URLs. Exporters often write absolute or
+ * platform-specific paths, so only the base name is matched, case-insensitively.
+ * @param {File[]} files
+ * @returns {{manager: THREE.LoadingManager, revokeWhenIdle: Function}}
+ */
+function createFileManager(files) {
+    const urls = new Map(files.map(file => [file.name.toLowerCase(), URL.createObjectURL(file)]));
+    const manager = new THREE.LoadingManager();
+    let pending = 0;
+    let revokeRequested = false;
+
+    manager.setURLModifier((url) => {
+        if (/^(?:blob|data):/.test(url)) return url;
+        return urls.get(fileNameFromUrl(url)) ?? url;
+    });
+
+    function revoke() {
+        urls.forEach(url => URL.revokeObjectURL(url));
+        urls.clear();
+    }
+
+    // FBX textures keep loading after the model itself is parsed, so the object
+    // URLs have to outlive the parse; count the manager's in-flight items.
+    const { itemStart, itemEnd } = manager;
+    manager.itemStart = (url) => {
+        pending++;
+        itemStart(url);
+    };
+    manager.itemEnd = (url) => {
+        pending--;
+        itemEnd(url);
+        if (pending === 0 && revokeRequested) {
+            revoke();
+        }
+    };
+
+    /** Revoke the object URLs once nothing is loading through the manager any more */
+    function revokeWhenIdle() {
+        revokeRequested = true;
+        if (pending === 0) {
+            revoke();
+        }
+    }
+
+    return { manager, revokeWhenIdle };
+}
+
+/**
+ * Pick the model out of a set of dropped or selected files. Anything else
+ * (textures, .mtl, .bin) is treated as a resource the model may reference.
+ * @param {File[]} files
+ * @returns {File|null}
+ */
+export function pickModelFile(files) {
+    // Prefer self-contained formats when several models are dropped together
+    const priority = [MODEL_FORMATS.GLTF, MODEL_FORMATS.FBX, MODEL_FORMATS.OBJ];
+    let best = null;
+    for (const file of files) {
+        const rank = priority.indexOf(formatFromExtension(file.name));
+        if (rank !== -1 && (best === null || rank < best.rank)) {
+            best = { file, rank };
+        }
+    }
+    return best?.file ?? null;
+}
+
+/**
+ * Loads a model from local files (drag-and-drop or a file picker), parsing it
+ * from memory with the same preparation loadModel applies. Failures show the
+ * loading error, whose retry button parses the files again in place.
+ * @param {THREE.Scene} scene - The scene to add the model to
+ * @param {File[]} files - The model plus any textures and side files it references
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the load
+ * @returns {Promise<THREE.Object3D>} Resolves with the model once it is in the scene; rejects only on abort
+ */
+export function loadModelFromFiles(scene, files, { signal } = {}) {
+    const loadingEl = document.getElementById('loading');
+    const modelFile = pickModelFile(files);
+    
+    async function attemptLoad() {
+        if (!modelFile) {
+            throw new ModelLoadError('None of the files is a supported model (.fbx, .glb, .gltf or .obj).');
+        }
+        
+        showLoadingProgress(loadingEl, `Loading ${modelFile.name}...`);
+        
+        const { manager, revokeWhenIdle } = createFileManager(files);
+        const failed = trackFailures(manager);
+        try {
+            const model = await parseModel(await modelFile.arrayBuffer(), modelFile.name, manager);
+            failedResources.set(model, failed);
+            return addModel(scene, model, 1, signal);
+        } finally {
+            revokeWhenIdle();
+        }
+    }
+    
+    return loadUntilSuccess(attemptLoad, { signal, steps: FILE_ERROR_STEPS });
+}
+
+/**
+ * Reset the loading element to a message and an empty progress bar
+ * @param {HTMLElement} loadingEl - The loading element
+ * @param {string} text - Message shown above the progress bar
+ */
+function showLoadingProgress(loadingEl, text) {
+    if (!loadingEl) return;
+    
+    loadingEl.textContent = '';
+    loadingEl.className = '';
+    loadingEl.style.display = '';
+    const loadingText = document.createElement('div');
+    loadingText.textContent = text;
+    const progressBar = document.createElement('progress');
+    progressBar.id = 'progress-bar';
+    progressBar.setAttribute('aria-label', 'Loading progress');
+    progressBar.max = 100;
+    progressBar.value = 0;
+    loadingEl.appendChild(loadingText);
+    loadingEl.appendChild(progressBar);
 }
 
 /**
  * Show loading error with actionable steps
  * @param {HTMLElement} loadingEl - The loading element
  * @param {Error} error - The error object
+ * @param {Object} [options]
+ * @param {string[]} [options.steps] - Troubleshooting steps to list
+ * @param {Function} [options.onRetry] - Retries the load in place; without it there is no retry button
  */
-function showLoadingError(loadingEl, error) {
+export function showLoadingError(loadingEl, error, { steps = NETWORK_ERROR_STEPS, onRetry } = {}) {
     if (!loadingEl) return;
     
+    loadingEl.style.display = '';
     loadingEl.innerHTML = '';
     loadingEl.className = 'error-container';
     
@@ -157,12 +494,7 @@ function showLoadingError(loadingEl, error) {
     stepsHeading.textContent = 'Troubleshooting steps:';
     const stepsList = document.createElement('ul');
     stepsList.className = 'error-steps__list';
-    for (const step of [
-        'Check your internet connection',
-        'Try refreshing the page',
-        'Clear your browser cache',
-        'Try a different browser'
-    ]) {
+    for (const step of steps) {
         const li = document.createElement('li');
         li.textContent = step;
         stepsList.appendChild(li);
@@ -170,15 +502,17 @@ function showLoadingError(loadingEl, error) {
     errorSteps.appendChild(stepsHeading);
     errorSteps.appendChild(stepsList);
     
-    // Create retry button
-    const retryButton = document.createElement('button');
-    retryButton.className = 'retry-button';
-    retryButton.textContent = '🔄 Retry Loading';
-    retryButton.addEventListener('click', () => location.reload());
-    
     loadingEl.appendChild(errorIcon);
     loadingEl.appendChild(errorTitle);
     loadingEl.appendChild(errorDetails);
     loadingEl.appendChild(errorSteps);
-    loadingEl.appendChild(retryButton);
+
+    // Create retry button
+    if (onRetry) {
+        const retryButton = document.createElement('button');
+        retryButton.className = 'retry-button';
+        retryButton.textContent = '🔄 Retry Loading';
+        retryButton.addEventListener('click', onRetry);
+        loadingEl.appendChild(retryButton);
+    }
 }
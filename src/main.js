@@ -3,12 +3,29 @@
  */
 import * as THREE from 'three';
 import { CONFIG } from './config.js';
-import { checkWebGLSupport, debounce, disposeMaterial } from './utils.js';
-import { createScene, createBackgroundScene, setupLighting, createCamera } from './scene.js';
-import { createRenderer, setupContextHandlers, onWindowResize, logRendererInfo } from './renderer.js';
-import { loadModel } from './loader.js';
-import { initializeControls, updateRotation } from './controls.js';
+import { checkWebGLSupport, debounce, disposeMaterial, disposeModel, downloadBlob, fileStem } from './utils.js';
+import { createScene, createBackgroundScene, createCamera, setCameraPosition, applyFog } from './scene.js';
+import { createGround } from './ground.js';
+import { createLighting, currentLightingPreset, nextLightingPresetName, setLightingPreset } from './lighting.js';
+import { createRenderer, applyRenderSize, setupContextHandlers, releaseRenderer, onWindowResize, logRendererInfo } from './renderer.js';
+import { loadModel, loadModelFromFiles, getFailedResources, applyModelMaterials } from './loader.js';
+import { initializeControls, updateRotation, updateCamera, resetMouseState } from './controls.js';
 import { SnowEffect } from './snow.js';
+import { frameCamera } from './framing.js';
+import { loadManifest, createGallery, renderAttribution, describeModel } from './gallery.js';
+import { initializeDropZone } from './dropzone.js';
+import { terminateModelWorker } from './worker-client.js';
+import { registerServiceWorker } from './offline.js';
+import { createAnimationPlayer, createTimeline } from './animation.js';
+import { collectDiagnostics, createDiagnosticsPanel } from './diagnostics.js';
+import { updatePS1Resolution } from './ps1.js';
+import { createPostProcessing } from './postprocessing.js';
+import { currentPreset, nextPresetName, setRenderPreset } from './presets.js';
+import { captureScreenshot, createScreenshotPanel } from './screenshot.js';
+import { createRecorderPanel, recordTurntable } from './recorder.js';
+import { createAdaptiveQuality } from './quality.js';
+import { createGamepadControls } from './gamepad.js';
+import { createTiltControls } from './tilt.js';
 
 // Wait for DOM to be fully loaded
 function initializeApp() {
@@ -34,12 +51,16 @@ function initializeApp() {
     const scene = createScene();
     const { backgroundScene, backgroundCamera, backgroundMesh } = createBackgroundScene();
     const camera = createCamera();
-    const renderer = createRenderer();
+    let renderer = createRenderer();
+    updatePS1Resolution(renderer);
+    const postProcessing = createPostProcessing();
 
-    setupLighting(scene);
+    const lighting = createLighting(scene);
+    applyLighting();
+    const ground = createGround(scene);
+    ground.applyPreset(renderer);
     const mainEl = document.querySelector('main');
     mainEl.appendChild(renderer.domElement);
-    renderer.domElement.setAttribute('aria-hidden', 'true');
 
     // Initialize snow effect
     let snowEffect;
@@ -51,29 +72,285 @@ function initializeApp() {
             update: () => {}, 
             draw: () => {}, 
             toggle: () => {}, 
+            applyStyle: () => {},
+            setDensity: () => {},
+            setParallax: () => {},
             cleanup: () => {},
             enabled: false 
         };
     }
 
-    // Initialize controls
-    const { mouseState, cleanup: cleanupControls } = initializeControls();
+    // Adaptive quality: fewer pixels and snowflakes while frames run slow
+    const quality = createAdaptiveQuality((scale) => {
+        applyRenderSize(renderer, scale);
+        updatePS1Resolution(renderer);
+        // Snow costs per flake, so it follows the pixel count
+        snowEffect.setDensity(scale ** 2);
+        if (CONFIG.debug) {
+            console.log(`Adaptive quality: drawing buffer at ${Math.round(scale * 100)}%`);
+        }
+    });
 
-    // Model reference
+    // Initialize controls, on the renderer's canvas unless configured otherwise
+    const controlsElement = CONFIG.mouse.element ? document.querySelector(CONFIG.mouse.element) : null;
+    const {
+        mouseState,
+        setElement: setControlsElement,
+        setDescription: setModelDescription,
+        cleanup: cleanupControls
+    } = initializeControls(controlsElement ?? renderer.domElement, showNotification);
+
+    // Model reference, and the player and timeline for its animations (if any)
     let model = null;
+    let animationPlayer = null;
+    let timeline = null;
+
+    function clearAnimation() {
+        timeline?.cleanup();
+        timeline = null;
+        animationPlayer?.dispose();
+        animationPlayer = null;
+    }
+
+    function setupAnimation(loadedModel) {
+        animationPlayer = createAnimationPlayer(loadedModel);
+        if (animationPlayer) {
+            timeline = createTimeline(animationPlayer);
+            mainEl.appendChild(timeline.element);
+        }
+    }
 
-    // Setup context handlers (pass scene and camera for proper restoration)
-    setupContextHandlers(renderer, scene, camera);
+    /**
+     * Light the scene with the active lighting preset on the current renderer
+     */
+    function applyLighting() {
+        lighting.apply(renderer).catch((error) => {
+            console.error('Failed to apply lighting:', error);
+        });
+    }
+
+    // WebGL context loss: the animation loop stands by until the context is
+    // restored, or for good once the handlers give up
+    let contextLost = false;
+    const contextViews = [
+        { scene: backgroundScene, camera: backgroundCamera },
+        { scene, camera }
+    ];
 
-    // Load the model
-    loadModel(scene, (loadedModel) => {
-        model = loadedModel;
+    function watchContext() {
+        return setupContextHandlers(renderer, contextViews, {
+            onLost: () => {
+                contextLost = true;
+                stopAnimation();
+                recording?.abort();
+                // Its render targets went with the context
+                postProcessing.dispose();
+                showNotification('Graphics context lost. Restoring...', 0);
+            },
+            onRestored: () => {
+                contextLost = false;
+                // The prefiltered environment went with the context
+                applyLighting();
+                startAnimation();
+                showNotification('Graphics restored');
+            },
+            onFailed: () => {
+                contextLost = true;
+                stopAnimation();
+                recording?.abort();
+                showNotification('Graphics context lost');
+            }
+        });
+    }
+    let cleanupContextHandlers = watchContext();
+
+    /**
+     * Switch render presets in place. Antialiasing and shader precision are
+     * fixed when a WebGL context is created, so the renderer and its canvas are
+     * rebuilt; the model, its rotation and the controls carry over.
+     * @param {string} name - A key of CONFIG.renderPresets
+     */
+    function applyRenderPreset(name) {
+        setRenderPreset(name);
+        // A clip can't continue on another canvas
+        recording?.abort();
+
+        const oldRenderer = renderer;
+        cleanupContextHandlers();
+        postProcessing.dispose();
+        releaseRenderer(oldRenderer, [scene, backgroundScene]);
+
+        renderer = createRenderer(quality.scale);
+        // The rebuild's shader compiles would count as slow frames
+        quality.reset();
+        oldRenderer.domElement.replaceWith(renderer.domElement);
+        if (!controlsElement) {
+            setControlsElement(renderer.domElement);
+        }
+        contextLost = false;
+        cleanupContextHandlers = watchContext();
+        startAnimation();
+        updatePS1Resolution(renderer);
+
+        applyFog(scene);
+        applyLighting();
+        ground.applyPreset(renderer);
+        if (model) {
+            applyModelMaterials(model);
+        }
+        snowEffect.applyStyle();
+    }
+
+    // Gallery state. Each showModel() call aborts the previous load, so a slow
+    // load (or its pending retries) can't replace a model picked after it.
+    const attributionEl = document.getElementById('attribution');
+    let gallery = null;
+    let loadController = null;
+    let currentEntry = null;
+
+    // Diagnostics panel for the shown model (I key)
+    const diagnostics = createDiagnosticsPanel(() => (model
+        ? collectDiagnostics(model, { source: currentEntry.path ?? currentEntry.title, failedUrls: getFailedResources(model) })
+        : null));
+    mainEl.appendChild(diagnostics.element);
+
+    // Screenshot panel (C key), rendering off the live canvas
+    const screenshotPanel = createScreenshotPanel(({ scale, transparent, includeSnow }) => {
+        showNotification('Saving screenshot...', 0);
+        const overlay = includeSnow && snowEffect.enabled ? snowEffect.canvas : null;
+        return captureScreenshot(renderer, { scene, camera, backgroundScene, backgroundCamera }, { scale, transparent, overlay })
+            .then((blob) => {
+                downloadBlob(blob, `${fileStem(currentEntry?.path ?? 'tarelka')}-screenshot.png`);
+                showNotification('Screenshot saved');
+            }, (screenshotError) => {
+                console.error('Screenshot failed:', screenshotError);
+                showNotification('Screenshot failed');
+            });
+    });
+    mainEl.appendChild(screenshotPanel.element);
+
+    // Turntable recorder panel (V key). While a clip is recorded, the recorder
+    // steps the frames at a fixed time step and animate() stands by.
+    let recording = null;
+    const recorderPanel = createRecorderPanel(({ format, includeSnow }) => {
+        recording = new AbortController();
+        const { signal } = recording;
+        const overlay = includeSnow && snowEffect.enabled ? snowEffect.canvas : null;
+        const label = format === 'gif' ? 'GIF' : 'video';
+
+        function drawFrame(angle, delta) {
+            snowEffect.update(delta);
+            if (model) {
+                animationPlayer?.update(delta);
+                timeline?.update();
+                // Turn from wherever the model is, so the clip starts on the current view
+                model.rotation.y = mouseState.defaultRotationY + mouseState.rotationY + angle;
+            }
+            renderFrame();
+            snowEffect.draw();
+        }
+
+        function onProgress(stage, fraction) {
+            const percent = Math.round(fraction * 100);
+            showNotification(stage === 'encode' ? `Encoding GIF... ${percent}%` : `Recording ${label}... ${percent}%`, 0);
+        }
+
+        return recordTurntable(renderer.domElement, drawFrame, { format, overlay, onProgress, signal })
+            .then((blob) => {
+                downloadBlob(blob, `${fileStem(currentEntry?.path ?? 'tarelka')}-turntable.${format}`);
+                showNotification('Recording saved');
+            }, (recordingError) => {
+                if (signal.aborted) {
+                    showNotification('Recording cancelled');
+                } else {
+                    console.error('Recording failed:', recordingError);
+                    showNotification('Recording failed');
+                }
+            })
+            .finally(() => {
+                recording = null;
+            });
+    });
+    mainEl.appendChild(recorderPanel.element);
+
+    // Camera framing: the view direction comes from the shown model's manifest
+    // entry, the distance from the viewport's FOV and aspect. Models are
+    // normalized to CONFIG.camera.fit.radius; a manifest scale makes one look
+    // bigger or smaller within that frame. Zooming moves the camera relative
+    // to the framed distance.
+    let viewDirection = CONFIG.camera.position;
+    let modelScale = 1;
+    let cameraDistance = 0;
+
+    function frameModel() {
+        if (CONFIG.camera.fit.enabled) {
+            const { radius, padding } = CONFIG.camera.fit;
+            const zoomRange = CONFIG.camera.zoom.enabled ? CONFIG.camera.zoom : undefined;
+            cameraDistance = frameCamera(camera, radius, viewDirection, padding, radius * modelScale, zoomRange);
+        } else {
+            cameraDistance = Math.hypot(viewDirection.x, viewDirection.y, viewDirection.z);
+        }
+    }
+    frameModel();
+
+    /**
+     * Replace the current model with a manifest entry
+     * @param {Object} entry - Model entry from the gallery manifest
+     * @param {Function} [load] - Takes an AbortSignal and returns a promise for the model; defaults to fetching entry.path
+     */
+    function showModel(entry, load = (signal) => loadModel(scene, entry, { signal })) {
+        loadController?.abort();
+        loadController = new AbortController();
+        const { signal } = loadController;
+
+        clearAnimation();
+        disposeModel(model);
+        model = null;
+        currentEntry = entry;
+        diagnostics.refresh();
+        resetMouseState(mouseState);
+        viewDirection = entry.camera?.position ?? CONFIG.camera.position;
+        modelScale = entry.scale;
+        setCameraPosition(camera, viewDirection);
+        frameModel();
+        renderAttribution(attributionEl, entry);
+        setModelDescription(describeModel(entry));
+        gallery?.setActive(entry.id);
+
+        load(signal).then((loadedModel) => {
+            model = loadedModel;
+            setupAnimation(model);
+            diagnostics.refresh();
+        }, (error) => {
+            // Aborted loads clean up after themselves
+            if (!signal.aborted) {
+                console.error('Unexpected model loading failure:', error);
+            }
+        });
+    }
+
+    // Preview local files dropped onto the page or picked with the file picker
+    const cleanupDropZone = initializeDropZone(mainEl, (files) => {
+        const entry = { id: 'local', title: 'Local file', path: null, scale: 1, camera: null, credits: [] };
+        showModel(entry, (signal) => loadModelFromFiles(scene, files, { signal }));
+    });
+
+    // Cache the app for offline use, offering a reload when an update is ready
+    const cleanupServiceWorker = registerServiceWorker(mainEl);
+
+    // Load the manifest, falling back to the single configured model without a gallery
+    loadManifest(CONFIG.manifestPath).then((entries) => {
+        gallery = createGallery(entries, showModel);
+        mainEl.appendChild(gallery.element);
+        showModel(entries[0]);
+    }, (manifestError) => {
+        console.error('Failed to load model manifest:', manifestError);
+        showModel({ id: 'default', title: 'Model', path: CONFIG.modelPath, scale: 1, camera: null, credits: [] });
     });
 
     // Animation state
     const timer = new THREE.Timer();
     timer.connect(document);
-    let jitterTime = 0;
     let animationId;
 
     // FPS counter
@@ -85,6 +362,27 @@ function initializeApp() {
         fpsCounter.classList.add('visible');
     }
 
+    /**
+     * Start the animation loop, unless it's running, the tab is hidden or
+     * there's no WebGL context to draw with
+     */
+    function startAnimation() {
+        if (animationId || document.hidden || contextLost) return;
+        // Reset the FPS measurement window so the paused duration
+        // isn't counted as part of the next 1-second sample.
+        frameCount = 0;
+        lastFpsUpdate = performance.now();
+        quality.reset();
+        animationId = requestAnimationFrame(animate);
+    }
+
+    function stopAnimation() {
+        if (animationId) {
+            cancelAnimationFrame(animationId);
+            animationId = null;
+        }
+    }
+
     // Reusable notification element
     let notificationEl = null;
     let notificationTimer = null;
@@ -106,18 +404,37 @@ function initializeApp() {
         startDebugMonitoring();
     }
 
+    /**
+     * Move the ground under the model, then clear and render the background
+     * and the main scene, through the post-processing passes when they are enabled
+     */
+    function renderFrame() {
+        ground.update(model);
+        postProcessing.render(renderer, () => {
+            renderer.clear();
+            renderer.render(backgroundScene, backgroundCamera);
+            renderer.clearDepth();
+
+            try {
+                renderer.render(scene, camera);
+            } catch (renderError) {
+                console.error('Render error:', renderError);
+            }
+        });
+    }
+
     /**
      * Main animation loop
      */
     function animate(timestamp) {
         animationId = requestAnimationFrame(animate);
 
+        // Keep the timer ticking during a recording, so the recording's
+        // length doesn't arrive as one huge delta afterwards
         timer.update(timestamp);
         const delta = timer.getDelta();
-        
-        if (CONFIG.ps1Style) {
-            jitterTime += delta;
-        }
+        if (recording) return;
+        quality.sample(delta);
         
         // Update FPS counter
         if (CONFIG.showFPS && fpsCounter) {
@@ -134,29 +451,23 @@ function initializeApp() {
         // Update snow effect
         snowEffect.update(delta);
         
-        // Clear and render
-        renderer.clear();
-        renderer.render(backgroundScene, backgroundCamera);
-        renderer.clearDepth();
-        
+        // Gamepad sticks and triggers steer like a drag or the wheel
+        gamepad.update(mouseState);
+
+        // Device tilt turns the model and shifts the snow layers
+        tilt.update(mouseState, delta);
+        snowEffect.setParallax(mouseState.tiltX, mouseState.tiltY);
+
         // Update model rotation and position
         if (model) {
+            // The mixer poses the model's parts; rotation turns the root
+            animationPlayer?.update(delta);
+            timeline?.update();
             updateRotation(model, mouseState, delta);
-            
-            if (CONFIG.ps1Style) {
-                // Apply PS1-style vertex jitter/wobble
-                model.position.x = Math.sin(jitterTime * 10) * CONFIG.ps1Jitter;
-                model.position.y = Math.cos(jitterTime * 15) * CONFIG.ps1Jitter;
-                model.position.z = Math.sin(jitterTime * 12) * CONFIG.ps1Jitter;
-            }
         }
+        updateCamera(camera, mouseState, cameraDistance);
         
-        // Render main scene
-        try {
-            renderer.render(scene, camera);
-        } catch (renderError) {
-            console.error('Render error:', renderError);
-        }
+        renderFrame();
         
         // Draw snow effect on top
         snowEffect.draw();
@@ -167,32 +478,27 @@ function initializeApp() {
      */
     function cleanup() {
         // Stop the animation loop before disposing resources it relies on
-        if (animationId) {
-            cancelAnimationFrame(animationId);
-            animationId = null;
-        }
+        stopAnimation();
 
-        // Dispose of model geometries and materials
-        if (model) {
-            model.traverse((child) => {
-                if (child.isMesh) {
-                    if (child.geometry) {
-                        child.geometry.dispose();
-                    }
-                    
-                    if (child.material) {
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach(mat => disposeMaterial(mat));
-                        } else {
-                            disposeMaterial(child.material);
-                        }
-                    }
-                }
-            });
-            
-            scene.remove(model);
-            model = null;
-        }
+        // Stop a recording in progress
+        recording?.abort();
+
+        // Cancel any load or retry still in flight, then dispose of model geometries and materials
+        loadController?.abort();
+        loadController = null;
+        terminateModelWorker();
+        clearAnimation();
+        disposeModel(model);
+        model = null;
+        
+        // Remove the gallery and drag-and-drop handlers
+        gallery?.cleanup();
+        gallery = null;
+        diagnostics.cleanup();
+        screenshotPanel.cleanup();
+        recorderPanel.cleanup();
+        cleanupDropZone();
+        cleanupServiceWorker();
         
         // Dispose background materials and geometries
         if (backgroundMesh) {
@@ -204,16 +510,22 @@ function initializeApp() {
             }
         }
         
-        // Dispose renderer
+        // Dispose the lights, the ground, post-processing targets and the renderer
+        lighting.dispose();
+        ground.dispose();
+        postProcessing.dispose();
         if (renderer) {
+            cleanupContextHandlers();
             renderer.dispose();
         }
 
         // Disconnect the timer's visibility-change listener
         timer.dispose();
         
-        // Remove controls event listeners
+        // Remove controls, gamepad and tilt event listeners
         cleanupControls();
+        gamepad.cleanup();
+        tilt.cleanup();
         
         // Cleanup snow effect
         snowEffect.cleanup();
@@ -245,7 +557,12 @@ function initializeApp() {
     globalThis.cleanupThreeJS = cleanup;
 
     // Attach resize event listener
-    const debouncedResize = debounce(() => onWindowResize(camera, renderer), CONFIG.resize.debounceMs);
+    // Re-frame after the aspect changes, e.g. rotating a phone to portrait
+    const debouncedResize = debounce(() => {
+        onWindowResize(camera, renderer, quality.scale);
+        updatePS1Resolution(renderer);
+        frameModel();
+    }, CONFIG.resize.debounceMs);
     window.addEventListener('resize', debouncedResize);
 
     function showNotification(text, autoRemoveMs = 2000) {
@@ -269,23 +586,17 @@ function initializeApp() {
         }
     }
 
-    // Keyboard toggle for PS1 style, snow effect, and debug mode
-    const keydownHandler = (e) => {
-        if (e.key === 'p' || e.key === 'P') {
-            // Write the toggled value to localStorage but don't mutate CONFIG
-            // in memory — prevents jitter starting/stopping before the reload.
-            const newPs1Style = !CONFIG.ps1Style;
-            localStorage.setItem('ps1Style', String(newPs1Style));
-            showNotification(`PS1 Style: ${newPs1Style ? 'ON' : 'OFF'} (reloading...)`, 0);
-            setTimeout(() => location.reload(), 800);
-        }
-        
-        if (e.key === 's' || e.key === 'S') {
+    // Feature toggles shared by the keyboard and gamepad
+    const toggles = {
+        renderPreset() {
+            applyRenderPreset(nextPresetName());
+            showNotification(`Render Preset: ${currentPreset().label}`);
+        },
+        snow() {
             snowEffect.toggle();
             showNotification(`Snow Effect: ${snowEffect.enabled ? 'ON' : 'OFF'}`);
-        }
-        
-        if (e.key === 'd' || e.key === 'D') {
+        },
+        debug() {
             CONFIG.debug = !CONFIG.debug;
             if (CONFIG.debug) {
                 startDebugMonitoring();
@@ -293,29 +604,76 @@ function initializeApp() {
                 stopDebugMonitoring();
             }
             showNotification(`Debug Mode: ${CONFIG.debug ? 'ON' : 'OFF'}`);
+        },
+        reset() {
+            resetMouseState(mouseState);
+            // Wherever the device is held now is level again
+            tilt.calibrate();
+            showNotification('View reset');
+        }
+    };
+
+    // Keyboard toggles for the render and lighting presets, snow effect, and debug mode
+    const keydownHandler = (e) => {
+        // Leave browser shortcuts (Ctrl/Cmd+C, +V, +I) and typing in the panels' form controls alone
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target instanceof Element && e.target.closest('input, select, textarea')) return;
+
+        if (e.key === 'p' || e.key === 'P') {
+            toggles.renderPreset();
+        }
+
+        if (e.key === 'l' || e.key === 'L') {
+            setLightingPreset(nextLightingPresetName());
+            applyLighting();
+            showNotification(`Lighting: ${currentLightingPreset().label}`);
+        }
+        
+        if (e.key === 's' || e.key === 'S') {
+            toggles.snow();
+        }
+        
+        if (e.key === 'd' || e.key === 'D') {
+            toggles.debug();
+        }
+        
+        if (e.key === 'i' || e.key === 'I') {
+            diagnostics.toggle();
+        }
+
+        if (e.key === 'c' || e.key === 'C') {
+            screenshotPanel.toggle();
+        }
+
+        if (e.key === 'v' || e.key === 'V') {
+            recorderPanel.toggle();
+        }
+
+        if (e.key === 't' || e.key === 'T') {
+            tilt.toggle();
         }
     };
     document.addEventListener('keydown', keydownHandler);
 
+    // Controllers: the face buttons run the same toggles
+    const gamepad = createGamepadControls(action => toggles[action]?.(), showNotification);
+
+    // Tilt parallax, turned on with its button or the T key
+    const tilt = createTiltControls(showNotification);
+    mainEl.appendChild(tilt.element);
+
     // Pause/resume animation when tab visibility changes
     const visibilityChangeHandler = () => {
         if (document.hidden) {
-            if (animationId) {
-                cancelAnimationFrame(animationId);
-                animationId = null;
-            }
-        } else if (!animationId) {
-            // Reset the FPS measurement window so the hidden duration
-            // isn't counted as part of the next 1-second sample.
-            frameCount = 0;
-            lastFpsUpdate = performance.now();
-            animationId = requestAnimationFrame(animate);
+            stopAnimation();
+        } else {
+            startAnimation();
         }
     };
     document.addEventListener('visibilitychange', visibilityChangeHandler);
 
     // Start animation loop
-    animationId = requestAnimationFrame(animate);
+    startAnimation();
 }
 
 // Initialize when DOM is ready
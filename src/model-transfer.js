@@ -0,0 +1,212 @@
+/**
+ * Serialization of parsed models for postMessage, so the model worker can hand
+ * them to the main thread. Geometry buffers and decoded images are transferred
+ * rather than copied. Has no three.js dependency (it only reads the objects),
+ * so it runs in the worker; the main thread rebuilds models in worker-client.js.
+ */
+
+/** Object types the main thread knows how to rebuild */
+const TRANSFERABLE_OBJECTS = new Set([
+    'Object3D', 'Group', 'Bone', 'Mesh', 'SkinnedMesh', 'Line', 'LineSegments', 'LineLoop', 'Points'
+]);
+
+/** Properties that are never copied: listeners hold functions, version is bumped on rebuild */
+const SKIPPED_KEYS = new Set(['_listeners', 'version']);
+
+/**
+ * Check for values postMessage can clone as they are
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPrimitive(value) {
+    return value === null || ['number', 'boolean', 'string'].includes(typeof value);
+}
+
+/**
+ * Encode an object's own data properties. Primitives, arrays of primitives and
+ * plain objects (userData, defines) are copied; math types (vectors, colors,
+ * matrices, Eulers) become arrays; textures become indices into the texture
+ * list. Everything else (functions, parents, geometry) is left out.
+ * @param {Object} source - Object3D, Material or Texture
+ * @param {Object} context - Serialization state
+ * @returns {Object} Property name -> encoded value
+ */
+function encodeProperties(source, context) {
+    const properties = {};
+    for (const [key, value] of Object.entries(source)) {
+        if (SKIPPED_KEYS.has(key) || value === undefined) continue;
+
+        if (isPrimitive(value) || (Array.isArray(value) && value.every(isPrimitive))) {
+            properties[key] = { value };
+        } else if (value.isTexture) {
+            properties[key] = { texture: encodeTexture(value, context) };
+        } else if (typeof value.toArray === 'function') {
+            properties[key] = { array: value.toArray() };
+        } else if (value.constructor === Object) {
+            properties[key] = { value };
+        }
+    }
+    return properties;
+}
+
+/**
+ * Add a texture to the texture list, once per texture
+ * @param {THREE.Texture} texture
+ * @param {Object} context
+ * @returns {number} Index into the texture list
+ */
+function encodeTexture(texture, context) {
+    if (context.textures.has(texture)) {
+        return context.textures.get(texture);
+    }
+    if (texture.isDataTexture || texture.isCompressedTexture) {
+        throw new TypeError(`Can't transfer a ${texture.constructor.name}`);
+    }
+
+    const image = texture.image ?? null;
+    if (image !== null) {
+        if (typeof ImageBitmap === 'undefined' || !(image instanceof ImageBitmap)) {
+            throw new TypeError('Only ImageBitmap textures can be transferred');
+        }
+        context.transfer.add(image);
+    }
+
+    const index = context.data.textures.length;
+    context.textures.set(texture, index);
+    // Push before encoding properties so indices stay in order
+    const data = { image };
+    context.data.textures.push(data);
+    data.properties = encodeProperties(texture, context);
+    return index;
+}
+
+/**
+ * Add a material to the material list, once per material
+ * @param {THREE.Material} material
+ * @param {Object} context
+ * @returns {number} Index into the material list
+ */
+function encodeMaterial(material, context) {
+    if (!context.materials.has(material)) {
+        context.materials.set(material, context.data.materials.length);
+        context.data.materials.push({ type: material.type, properties: encodeProperties(material, context) });
+    }
+    return context.materials.get(material);
+}
+
+/**
+ * Encode a buffer attribute, de-interleaving interleaved ones
+ * @param {THREE.BufferAttribute|THREE.InterleavedBufferAttribute} attribute
+ * @param {Object} context
+ * @returns {Object}
+ */
+function encodeAttribute(attribute, context) {
+    let array = attribute.array;
+    if (attribute.isInterleavedBufferAttribute) {
+        array = new attribute.data.array.constructor(attribute.count * attribute.itemSize);
+        for (let i = 0; i < attribute.count; i++) {
+            for (let k = 0; k < attribute.itemSize; k++) {
+                array[i * attribute.itemSize + k] = attribute.getComponent(i, k);
+            }
+        }
+    }
+    context.transfer.add(array.buffer);
+    return { array, itemSize: attribute.itemSize, normalized: attribute.normalized, name: attribute.name };
+}
+
+/**
+ * Add a geometry to the geometry list, once per geometry
+ * @param {THREE.BufferGeometry} geometry
+ * @param {Object} context
+ * @returns {number} Index into the geometry list
+ */
+function encodeGeometry(geometry, context) {
+    if (context.geometries.has(geometry)) {
+        return context.geometries.get(geometry);
+    }
+
+    const attributes = {};
+    for (const [name, attribute] of Object.entries(geometry.attributes)) {
+        attributes[name] = encodeAttribute(attribute, context);
+    }
+    const morphAttributes = {};
+    for (const [name, targets] of Object.entries(geometry.morphAttributes)) {
+        morphAttributes[name] = targets.map(attribute => encodeAttribute(attribute, context));
+    }
+
+    const index = context.data.geometries.length;
+    context.geometries.set(geometry, index);
+    context.data.geometries.push({
+        uuid: geometry.uuid,
+        name: geometry.name,
+        index: geometry.index ? encodeAttribute(geometry.index, context) : null,
+        attributes,
+        morphAttributes,
+        morphTargetsRelative: geometry.morphTargetsRelative,
+        groups: geometry.groups.map(group => ({ ...group })),
+        drawRange: { ...geometry.drawRange },
+        userData: geometry.userData
+    });
+    return index;
+}
+
+/**
+ * Encode an object and its descendants
+ * @param {THREE.Object3D} object
+ * @param {Object} context
+ * @returns {Object}
+ */
+function encodeObject(object, context) {
+    if (!TRANSFERABLE_OBJECTS.has(object.type)) {
+        throw new TypeError(`Can't transfer a ${object.type}`);
+    }
+
+    const data = { type: object.type, properties: encodeProperties(object, context) };
+    context.objects.add(object.uuid);
+
+    if (object.geometry) {
+        data.geometry = encodeGeometry(object.geometry, context);
+        data.material = Array.isArray(object.material)
+            ? object.material.map(material => encodeMaterial(material, context))
+            : encodeMaterial(object.material, context);
+    }
+    if (object.isSkinnedMesh) {
+        data.skeleton = {
+            bones: object.skeleton.bones.map(bone => bone.uuid),
+            boneInverses: object.skeleton.boneInverses.map(matrix => matrix.toArray())
+        };
+    }
+
+    data.children = object.children.map(child => encodeObject(child, context));
+    return data;
+}
+
+/**
+ * Serialize a parsed model for postMessage
+ * @param {THREE.Object3D} model - Parsed model, with animation clips on `.animations`
+ * @returns {{data: Object, transfer: Transferable[]}} Message payload and its transfer list
+ * @throws {TypeError} If the model holds something that can't be rebuilt on the main thread
+ *     (lights, cameras, data textures, bones outside the model)
+ */
+export function serializeModel(model) {
+    const context = {
+        data: { geometries: [], materials: [], textures: [], root: null, animations: [] },
+        geometries: new Map(),
+        materials: new Map(),
+        textures: new Map(),
+        objects: new Set(),
+        // A Set, because transferring the same buffer twice is an error
+        transfer: new Set()
+    };
+
+    context.data.root = encodeObject(model, context);
+    context.data.animations = (model.animations ?? []).map(clip => clip.toJSON());
+
+    model.traverse((object) => {
+        if (object.isSkinnedMesh && !object.skeleton.bones.every(bone => context.objects.has(bone.uuid))) {
+            throw new TypeError(`Skeleton of ${object.name || 'a skinned mesh'} has bones outside the model`);
+        }
+    });
+
+    return { data: context.data, transfer: Array.from(context.transfer) };
+}
@@ -0,0 +1,208 @@
+/**
+ * Model worker: fetches and parses models off the main thread, so large files
+ * don't freeze the loading progress bar or the render loop. Parsed models are
+ * posted back with their geometry buffers and decoded images transferred; see
+ * worker-client.js for the main-thread side.
+ *
+ * Messages in:  { type: 'init', importMap } (first), { type: 'load', id, url } and { type: 'abort', id }
+ * Messages out: { type: 'progress', id, fraction }, { type: 'loaded', id, model },
+ *               { type: 'unsupported', id, buffer, reason } (parse on the main thread instead),
+ *               { type: 'error', id, message, retryable },
+ *               { type: 'unavailable', reason } (three.js failed to load; use the main thread from now on)
+ */
+import { fetchModel } from './download.js';
+import { createModelParser } from './parser.js';
+import { serializeModel } from './model-transfer.js';
+import { linkPinnedModules } from './pinned-modules.js';
+
+/**
+ * What the worker imports. Module workers don't get the page's import map, so
+ * these are fetched from the mirror the page picked, with its integrity hashes
+ * (tests/importmap.test.js checks every file has one).
+ */
+const MODULES = [
+    'three',
+    'three/addons/loaders/FBXLoader.js',
+    'three/addons/loaders/GLTFLoader.js',
+    'three/addons/loaders/OBJLoader.js',
+    'three/addons/loaders/MTLLoader.js'
+];
+
+/** Image files decoded in the worker; anything else (e.g. TGA) has no handler here, as on the main thread */
+const IMAGE_URL = /^blob:|^data:image\/|\.(?:png|jpe?g|gif|webp|bmp|avif)(?:[?#].*)?$/i;
+
+/** Thrown for models that parse fine but have to be parsed on the main thread */
+class MainThreadOnlyError extends Error {}
+
+/**
+ * Import three.js and the loaders, and build the worker's parser with them
+ * @param {Object} importMap - The page's import map
+ * @returns {Promise<{THREE: Object, BitmapTextureLoader: Function, parseModel: Function}>}
+ */
+async function loadThree(importMap) {
+    const urls = await linkPinnedModules(importMap, MODULES);
+    const [THREE, { FBXLoader }, { GLTFLoader }, { OBJLoader }, { MTLLoader }] = await Promise.all(urls.map(url => import(url)));
+
+    /**
+     * GLTFLoader decodes images with the DOM-only TextureLoader in browsers where
+     * it doesn't trust createImageBitmap (Safari < 17, Firefox < 98). Textures
+     * would silently go missing in a worker, so hand those models back instead.
+     */
+    class WorkerGLTFLoader extends GLTFLoader {
+        constructor(manager) {
+            super(manager);
+            this.register((parser) => {
+                if (!parser.textureLoader.isImageBitmapLoader) {
+                    throw new MainThreadOnlyError('GLTFLoader needs the DOM to decode textures in this browser');
+                }
+                return { name: 'worker_texture_check' };
+            });
+        }
+    }
+
+    /**
+     * Texture loader for the worker. TextureLoader decodes through an <img>,
+     * which workers don't have, so decode to an ImageBitmap instead. Images are
+     * decoded as stored; flipY is applied afterwards by bakeFlipY().
+     */
+    class BitmapTextureLoader extends THREE.Loader {
+        /**
+         * @param {THREE.LoadingManager} manager
+         * @param {Set<Promise>} pending - Collects a promise per texture, settled once it has loaded or failed
+         */
+        constructor(manager, pending) {
+            super(manager);
+            this.pending = pending;
+            this.bitmapLoader = new THREE.ImageBitmapLoader(manager).setOptions({ imageOrientation: 'none', premultiplyAlpha: 'none' });
+        }
+
+        load(url, onLoad, onProgress, onError) {
+            const texture = new THREE.Texture();
+            this.bitmapLoader.setPath(this.path).setCrossOrigin(this.crossOrigin);
+
+            this.pending.add(new Promise((resolve) => {
+                this.bitmapLoader.load(url, (bitmap) => {
+                    texture.image = bitmap;
+                    texture.needsUpdate = true;
+                    onLoad?.(texture);
+                    resolve();
+                }, onProgress, (error) => {
+                    console.warn(`Could not load texture "${url}":`, error);
+                    onError?.(error);
+                    resolve();
+                });
+            }));
+            return texture;
+        }
+    }
+
+    return {
+        THREE,
+        BitmapTextureLoader,
+        parseModel: createModelParser({ THREE, FBXLoader, GLTFLoader: WorkerGLTFLoader, OBJLoader, MTLLoader })
+    };
+}
+
+/** Settles once three.js is loaded, after the init message */
+let three = null;
+
+/** Abort controllers of loads in progress, by request id */
+const controllers = new Map();
+
+/**
+ * ImageBitmaps ignore Texture.flipY when uploaded, so flip the images that
+ * need it here, where it doesn't block rendering.
+ * @param {THREE.Object3D} model
+ */
+async function bakeFlipY(model) {
+    const textures = new Set();
+    model.traverse((object) => {
+        for (const material of [object.material ?? []].flat()) {
+            Object.values(material).filter(value => value?.isTexture).forEach(texture => textures.add(texture));
+        }
+    });
+
+    const flipped = new Map();
+    for (const texture of textures) {
+        const image = texture.image;
+        if (!texture.flipY || !(image instanceof ImageBitmap)) continue;
+        if (!flipped.has(image)) {
+            flipped.set(image, await createImageBitmap(image, { imageOrientation: 'flipY', premultiplyAlpha: 'none' }));
+        }
+        texture.image = flipped.get(image);
+        texture.flipY = false;
+    }
+    flipped.forEach((_, original) => original.close());
+}
+
+/**
+ * Fetch, parse and post back a model
+ * @param {number} id - Request id
+ * @param {string} url - Absolute model URL
+ */
+async function loadModel(id, url) {
+    let THREE, BitmapTextureLoader, parseModel;
+    try {
+        ({ THREE, BitmapTextureLoader, parseModel } = await three);
+    } catch {
+        // Reported once as 'unavailable'; the main thread takes the load over
+        return;
+    }
+
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    const { signal } = controller;
+    let buffer = null;
+
+    /** Send the raw file back for the main thread to parse */
+    function handBack(reason) {
+        self.postMessage({ type: 'unsupported', id, buffer, reason: reason.message }, [buffer]);
+    }
+
+    try {
+        buffer = await fetchModel(url, {
+            signal,
+            onProgress: fraction => self.postMessage({ type: 'progress', id, fraction })
+        });
+
+        const pending = new Set();
+        const failedUrls = [];
+        const manager = new THREE.LoadingManager(undefined, undefined, url => failedUrls.push(url));
+        manager.addHandler(IMAGE_URL, new BitmapTextureLoader(manager, pending));
+
+        const model = await parseModel(buffer, url, manager);
+        // FBX and MTL textures keep loading after the model is returned
+        await Promise.all(pending);
+        await bakeFlipY(model);
+        if (signal.aborted) return;
+
+        try {
+            const { data, transfer } = serializeModel(model);
+            self.postMessage({ type: 'loaded', id, model: data, failedUrls }, transfer);
+        } catch (transferError) {
+            handBack(transferError);
+        }
+    } catch (error) {
+        if (signal.aborted) return;
+        if (error instanceof MainThreadOnlyError) {
+            handBack(error);
+        } else {
+            self.postMessage({ type: 'error', id, message: error.message, retryable: error.retryable === true });
+        }
+    } finally {
+        controllers.delete(id);
+    }
+}
+
+self.addEventListener('message', ({ data: message }) => {
+    if (message.type === 'init') {
+        three = loadThree(message.importMap);
+        three.catch((error) => {
+            self.postMessage({ type: 'unavailable', reason: error.message });
+        });
+    } else if (message.type === 'load') {
+        loadModel(message.id, message.url);
+    } else if (message.type === 'abort') {
+        controllers.get(message.id)?.abort();
+    }
+});
@@ -0,0 +1,60 @@
+/**
+ * N64-style material patch: the console's 3-point texture filtering, injected
+ * into three.js's built-in shaders
+ */
+import * as THREE from 'three';
+
+// The N64 blended each texel with only two of its neighbours, picking the
+// triangle of the texel square the sample falls in. Textures must use
+// NearestFilter, so the four texels read here are exact.
+const FRAGMENT_PARS = /* glsl */`
+vec4 n64ThreePoint( sampler2D tex, vec2 uv ) {
+    vec2 size = vec2( textureSize( tex, 0 ) );
+    vec2 texel = uv * size - 0.5;
+    vec2 f = fract( texel );
+    vec2 base = ( floor( texel ) + 0.5 ) / size;
+    vec2 texelSize = 1.0 / size;
+    vec4 a = texture2D( tex, base );
+    vec4 b = texture2D( tex, base + vec2( texelSize.x, 0.0 ) );
+    vec4 c = texture2D( tex, base + vec2( 0.0, texelSize.y ) );
+    vec4 d = texture2D( tex, base + texelSize );
+    return f.x + f.y <= 1.0
+        ? a + f.x * ( b - a ) + f.y * ( c - a )
+        : d + ( 1.0 - f.x ) * ( c - d ) + ( 1.0 - f.y ) * ( b - d );
+}
+`;
+
+const MAP_FRAGMENT = THREE.ShaderChunk.map_fragment.replace('texture2D( map, vMapUv )', 'n64ThreePoint( map, vMapUv )');
+
+/**
+ * The one onBeforeCompile shared by all patched materials, so they also share
+ * compiled programs
+ * @param {Object} shader - three.js shader source and uniforms
+ */
+function patchShader(shader) {
+    shader.fragmentShader = shader.fragmentShader
+        .replace('#include <map_pars_fragment>', `#include <map_pars_fragment>\n${FRAGMENT_PARS}`)
+        .replace('#include <map_fragment>', MAP_FRAGMENT);
+}
+
+/**
+ * Patch a material to filter its color map like the N64. Shader materials,
+ * which don't use three.js's shader chunks, are left as they are.
+ * @param {THREE.Material} material
+ */
+export function applyN64Material(material) {
+    if (material.isShaderMaterial) return;
+    material.onBeforeCompile = patchShader;
+    material.needsUpdate = true;
+}
+
+/**
+ * Undo applyN64Material, going back to the material's stock shaders
+ * @param {THREE.Material} material
+ */
+export function removeN64Material(material) {
+    if (material.onBeforeCompile !== patchShader) return;
+    // Drop the own property, uncovering THREE.Material's no-op default
+    delete material.onBeforeCompile;
+    material.needsUpdate = true;
+}
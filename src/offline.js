@@ -0,0 +1,101 @@
+/**
+ * Service worker registration and the "update ready" notice
+ */
+import { CONFIG } from './config.js';
+
+/**
+ * Show a notice offering to reload into an updated version
+ * @param {HTMLElement} container - Element to add the notice to
+ * @param {ServiceWorker} waitingWorker - The installed update
+ * @param {Function} onAccept - Called once the user asked for the update
+ * @returns {HTMLElement} The notice
+ */
+function showUpdateNotice(container, waitingWorker, onAccept) {
+    const notice = document.createElement('div');
+    notice.className = 'notification update-notice';
+    notice.setAttribute('role', 'status');
+    notice.setAttribute('aria-live', 'polite');
+    notice.textContent = 'A new version is available. ';
+
+    const reloadButton = document.createElement('button');
+    reloadButton.type = 'button';
+    reloadButton.className = 'update-notice__button';
+    reloadButton.textContent = 'Reload';
+    reloadButton.addEventListener('click', () => {
+        onAccept();
+        notice.remove();
+        // The worker takes over, then the controllerchange listener reloads the page
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    });
+
+    const dismissButton = document.createElement('button');
+    dismissButton.type = 'button';
+    dismissButton.className = 'update-notice__button';
+    dismissButton.setAttribute('aria-label', 'Dismiss');
+    dismissButton.textContent = '×';
+    dismissButton.addEventListener('click', () => notice.remove());
+
+    notice.append(reloadButton, dismissButton);
+    container.appendChild(notice);
+    return notice;
+}
+
+/**
+ * Register the service worker (sw.js) for offline use, and show a notice
+ * when an updated version has been installed and is waiting to take over
+ * @param {HTMLElement} container - Element to add the update notice to
+ * @returns {Function} Cleanup function
+ */
+export function registerServiceWorker(container) {
+    const serviceWorker = navigator.serviceWorker;
+    if (!CONFIG.serviceWorker || !serviceWorker) {
+        return () => {};
+    }
+
+    let notice = null;
+    let updateAccepted = false;
+
+    function offerUpdate(waitingWorker) {
+        // Without a controlling worker this is the first install, not an update
+        if (!serviceWorker.controller || notice?.isConnected) return;
+        notice = showUpdateNotice(container, waitingWorker, () => {
+            updateAccepted = true;
+        });
+    }
+
+    function onControllerChange() {
+        // The first install also claims the page; only reload for an accepted update
+        if (updateAccepted) {
+            location.reload();
+        }
+    }
+
+    serviceWorker.addEventListener('controllerchange', onControllerChange);
+
+    // sw.js sits at the site root so its scope covers the whole app. Like the
+    // no-cache rule for it in _headers, updateViaCache makes browsers check the
+    // server for a new version on every load.
+    serviceWorker.register(new URL('../sw.js', import.meta.url), { updateViaCache: 'none' })
+        .then((registration) => {
+            if (registration.waiting) {
+                offerUpdate(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const installing = registration.installing;
+                installing?.addEventListener('statechange', () => {
+                    if (installing.state === 'installed') {
+                        offerUpdate(installing);
+                    }
+                });
+            });
+        })
+        .catch((error) => {
+            console.warn('Service worker registration failed; offline use is unavailable:', error);
+        });
+
+    // Cleanup function
+    return () => {
+        serviceWorker.removeEventListener('controllerchange', onControllerChange);
+        notice?.remove();
+    };
+}
@@ -0,0 +1,99 @@
+/**
+ * Model parsing, shared by the main thread and the model worker.
+ *
+ * Module workers don't see the page's import map, so the worker links its own
+ * copy of three.js from blob URLs (see pinned-modules.js). This module
+ * therefore doesn't import three.js itself: callers pass in the copy and
+ * loaders they have.
+ */
+import { MODEL_FORMATS, detectModelFormat } from './formats.js';
+
+/**
+ * Create a parseModel function bound to a copy of three.js and its loaders
+ * @param {Object} three
+ * @param {Object} three.THREE - The three.js namespace
+ * @param {Function} three.FBXLoader
+ * @param {Function} three.GLTFLoader
+ * @param {Function} three.OBJLoader
+ * @param {Function} three.MTLLoader
+ * @returns {(buffer: ArrayBuffer, url: string, manager?: THREE.LoadingManager) => Promise<THREE.Object3D>}
+ */
+export function createModelParser({ THREE, FBXLoader, GLTFLoader, OBJLoader, MTLLoader }) {
+    // Reuse one parser per format and loading manager across loads
+    const parsers = new WeakMap();
+
+    /**
+     * Get (creating on first use) the three.js loader for a model format
+     * @param {string} format - One of MODEL_FORMATS
+     * @param {THREE.LoadingManager} manager - Manager that resolves the model's textures and side files
+     * @returns {THREE.Loader}
+     */
+    function getParser(format, manager) {
+        if (!parsers.has(manager)) {
+            parsers.set(manager, {});
+        }
+        const managerParsers = parsers.get(manager);
+        if (!managerParsers[format]) {
+            switch (format) {
+                case MODEL_FORMATS.FBX: managerParsers[format] = new FBXLoader(manager); break;
+                case MODEL_FORMATS.GLTF: managerParsers[format] = new GLTFLoader(manager); break;
+                case MODEL_FORMATS.OBJ: managerParsers[format] = new OBJLoader(manager); break;
+            }
+        }
+        return managerParsers[format];
+    }
+
+    /**
+     * Parse an OBJ file, loading the material library it references if there is one.
+     * A missing or broken .mtl isn't fatal: the geometry still loads with default materials.
+     * @param {ArrayBuffer} buffer - Raw OBJ data
+     * @param {string} path - Base path for the .mtl and its textures
+     * @param {THREE.LoadingManager} manager
+     * @returns {Promise<THREE.Group>}
+     */
+    async function parseOBJ(buffer, path, manager) {
+        const text = new TextDecoder().decode(buffer);
+        const objLoader = getParser(MODEL_FORMATS.OBJ, manager);
+        const mtllib = /^mtllib\s+(.+?)\s*$/m.exec(text)?.[1];
+
+        objLoader.setMaterials(null);
+        if (mtllib) {
+            try {
+                const materials = await new MTLLoader(manager).setPath(path).loadAsync(mtllib);
+                materials.preload();
+                objLoader.setMaterials(materials);
+            } catch (mtlError) {
+                console.warn(`Could not load material library "${mtllib}":`, mtlError);
+            }
+        }
+
+        return objLoader.parse(text);
+    }
+
+    /**
+     * Parse raw model data into a three.js object, choosing the parser by magic bytes
+     * and falling back to the file extension
+     * @param {ArrayBuffer} buffer - Raw file contents
+     * @param {string} url - File URL or name, used for format detection and resolving textures
+     * @param {THREE.LoadingManager} [manager] - Manager that resolves textures and side files
+     * @returns {Promise<THREE.Object3D>} Parsed model; embedded animation clips are on `.animations`
+     */
+    return async function parseModel(buffer, url, manager = THREE.DefaultLoadingManager) {
+        const format = detectModelFormat(buffer, url);
+        const path = THREE.LoaderUtils.extractUrlBase(url);
+
+        switch (format) {
+            case MODEL_FORMATS.FBX:
+                return getParser(format, manager).parse(buffer, path);
+            case MODEL_FORMATS.GLTF: {
+                const gltf = await getParser(format, manager).parseAsync(buffer, path);
+                gltf.scene.animations = gltf.animations;
+                return gltf.scene;
+            }
+            case MODEL_FORMATS.OBJ:
+                return parseOBJ(buffer, path, manager);
+            default:
+                throw new Error(`Unsupported model format: ${url}`);
+        }
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * Load three.js modules through the page's import map where there is none:
+ * module workers don't get one. Every file is fetched from the same mirror
+ * with the import map's SRI hash, its imports are pointed at the blob URLs of
+ * its (equally checked) dependencies, and it is imported from a blob URL of
+ * its own. Files without an integrity entry are refused.
+ */
+
+/** Static import and export statements, at the start of a line so doc comments showing them are left alone */
+const STATIC_IMPORT = /^((?:import|export)\b[^;]*?\bfrom\s*)(['"])([^'"]+)\2/gm;
+
+/**
+ * Resolve a module specifier the way the import map would
+ * @param {Object} importMap - Parsed import map, with imports and integrity
+ * @param {string} specifier - 'three', 'three/addons/…', or relative to parentUrl
+ * @param {string} [parentUrl] - URL of the importing module
+ * @returns {string} Absolute URL
+ */
+export function resolveSpecifier(importMap, specifier, parentUrl) {
+    const { imports } = importMap;
+    if (specifier in imports) {
+        return imports[specifier];
+    }
+    const prefix = Object.keys(imports)
+        .filter(key => key.endsWith('/') && specifier.startsWith(key))
+        .sort((a, b) => b.length - a.length)[0];
+    if (prefix) {
+        return imports[prefix] + specifier.slice(prefix.length);
+    }
+    if (/^\.{1,2}\//.test(specifier) && parentUrl) {
+        return new URL(specifier, parentUrl).href;
+    }
+    throw new TypeError(`Cannot resolve "${specifier}" with the import map`);
+}
+
+/**
+ * Fetch and link modules and everything they import
+ * @param {Object} importMap - Parsed import map, with imports and integrity
+ * @param {string[]} specifiers - Modules to link, e.g. ['three', 'three/addons/loaders/FBXLoader.js']
+ * @returns {Promise<string[]>} A blob URL to import() per specifier, in order
+ * @throws {Error} If a file has no integrity entry, fails to load or doesn't match its hash
+ */
+export async function linkPinnedModules(importMap, specifiers) {
+    // One blob per file, however many modules import it, so they share state
+    // as they would on the page (three.js has no import cycles)
+    const linked = new Map();
+
+    function link(url) {
+        if (!linked.has(url)) {
+            linked.set(url, linkModule(url));
+        }
+        return linked.get(url);
+    }
+
+    async function linkModule(url) {
+        const integrity = importMap.integrity?.[url];
+        if (!integrity) {
+            throw new Error(`No integrity hash for ${url}`);
+        }
+        const response = await fetch(url, { integrity, mode: 'cors' });
+        if (!response.ok) {
+            throw new Error(`${url} responded ${response.status}`);
+        }
+        const source = await response.text();
+
+        const imported = new Set([...source.matchAll(STATIC_IMPORT)].map(([, , , specifier]) => specifier));
+        const blobUrls = new Map(await Promise.all([...imported].map(async specifier => [
+            specifier,
+            await link(resolveSpecifier(importMap, specifier, url))
+        ])));
+
+        const rewritten = source.replace(STATIC_IMPORT, (match, statement, quote, specifier) => `${statement}${quote}${blobUrls.get(specifier)}${quote}`);
+        return URL.createObjectURL(new Blob([rewritten], { type: 'text/javascript' }));
+    }
+
+    return Promise.all(specifiers.map(specifier => link(resolveSpecifier(importMap, specifier))));
+}
@@ -0,0 +1,341 @@
+/**
+ * Retro post-processing: renders the scenes into an offscreen target, then runs
+ * it through a chain of full-screen passes (palette mapping, character cells,
+ * dithering, color quantization, CRT curvature, scanlines, vignette) on the way
+ * to the canvas
+ */
+import * as THREE from 'three';
+import { CONFIG } from './config.js';
+import { currentPreset } from './presets.js';
+
+const VERTEX_SHADER = /* glsl */`
+varying vec2 vUv;
+
+void main() {
+    vUv = uv;
+    gl_Position = vec4( position.xy, 0.0, 1.0 );
+}
+`;
+
+// Shared by every pass. The scene target holds linear colors; passes work on
+// display (sRGB) values, so the first pass encodes what it reads.
+const FRAGMENT_HEADER = /* glsl */`
+uniform sampler2D tInput;
+uniform bool linearInput;
+varying vec2 vUv;
+
+vec4 readInput( vec2 uv ) {
+    vec4 color = texture2D( tInput, uv );
+    return linearInput ? sRGBTransferOETF( color ) : color;
+}
+
+// 4x4 Bayer threshold in (0, 1) for a pixel, for ordered dithering
+float bayer4( vec2 pixel ) {
+    int x = int( mod( pixel.x, 4.0 ) );
+    int y = int( mod( pixel.y, 4.0 ) );
+    int pattern[ 16 ] = int[ 16 ]( 0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5 );
+    return ( float( pattern[ x + y * 4 ] ) + 0.5 ) / 16.0;
+}
+
+float brightness( vec3 color ) {
+    return dot( color, vec3( 0.299, 0.587, 0.114 ) );
+}
+`;
+
+// 5x5 character glyphs for the ASCII pass, from least to most ink
+const ASCII_GLYPHS = [
+    ['     ', '     ', '     ', '     ', '     '],
+    ['     ', '     ', '     ', '     ', '  #  '],
+    ['     ', '  #  ', '     ', '  #  ', '     '],
+    ['     ', '  #  ', ' ### ', '  #  ', '     '],
+    ['     ', ' ### ', ' # # ', ' ### ', '     '],
+    ['#   #', ' # # ', '  #  ', ' # # ', '#   #'],
+    [' # # ', '#####', ' # # ', '#####', ' # # '],
+    [' ### ', '# ###', '# # #', '# ###', ' ### ']
+];
+
+/**
+ * Pack a glyph into 25 bits, row by row from the top
+ * @param {string[]} rows - 5 rows of 5 characters, '#' for ink
+ * @returns {number}
+ */
+function packGlyph(rows) {
+    return [...rows.join('')].reduce((bits, char, index) => (char === '#' ? bits | (1 << index) : bits), 0);
+}
+
+/**
+ * Steps per channel for CONFIG.postProcessing.quantize, or 8 bits when it is off
+ * @param {Object} settings - CONFIG.postProcessing
+ * @returns {number}
+ */
+function quantizeLevels(settings) {
+    const bits = settings.quantize.enabled ? settings.quantize.bits : 8;
+    return 2 ** THREE.MathUtils.clamp(Math.round(bits), 1, 8) - 1;
+}
+
+/**
+ * The passes, in the order they run. Each reads its CONFIG.postProcessing entry
+ * by name; update() copies that entry's parameters into the pass's uniforms.
+ */
+const PASSES = [
+    {
+        // Maps brightness to a 4-color palette, the Game Boy's shades of green
+        // by default, with ordered dithering between neighbouring shades
+        name: 'palette',
+        uniforms: { colors: { value: [0, 1, 2, 3].map(() => new THREE.Color()) }, dither: { value: 0.5 } },
+        update(uniforms, settings) {
+            // Passes work on display values, so the colors stay sRGB-encoded
+            settings.palette.colors.forEach((hex, index) => uniforms.colors.value[index].setHex(hex).convertLinearToSRGB());
+            uniforms.dither.value = settings.palette.dither;
+        },
+        fragmentShader: /* glsl */`
+            uniform vec3 colors[ 4 ];
+            uniform float dither;
+
+            void main() {
+                vec4 color = readInput( vUv );
+                float threshold = ( bayer4( floor( gl_FragCoord.xy ) ) - 0.5 ) * dither;
+                int shade = int( clamp( floor( brightness( color.rgb ) * 3.0 + 0.5 + threshold ), 0.0, 3.0 ) );
+                gl_FragColor = vec4( colors[ shade ], color.a );
+            }
+        `
+    },
+    {
+        // Replaces each cell of pixels with a character as bright as the cell,
+        // in the cell's color
+        name: 'ascii',
+        uniforms: { cellSize: { value: 8 } },
+        update(uniforms, settings) {
+            // At least a glyph plus a 1-pixel gap around it
+            uniforms.cellSize.value = Math.max(7, Math.round(settings.ascii.cellSize));
+        },
+        fragmentShader: /* glsl */`
+            uniform float cellSize;
+
+            const int GLYPH_COUNT = ${ASCII_GLYPHS.length};
+            const int GLYPHS[ GLYPH_COUNT ] = int[ GLYPH_COUNT ]( ${ASCII_GLYPHS.map(packGlyph).join(', ')} );
+
+            void main() {
+                vec2 cell = floor( gl_FragCoord.xy / cellSize );
+                vec4 color = readInput( ( cell + 0.5 ) * cellSize / vec2( textureSize( tInput, 0 ) ) );
+                int glyph = GLYPHS[ int( clamp( brightness( color.rgb ) * float( GLYPH_COUNT ), 0.0, float( GLYPH_COUNT - 1 ) ) ) ];
+
+                // Position in the glyph's 5x5 grid, inside a 1-pixel margin
+                vec2 inCell = ( gl_FragCoord.xy - cell * cellSize - 1.0 ) / ( cellSize - 2.0 );
+                float ink = 0.0;
+                if ( all( greaterThanEqual( inCell, vec2( 0.0 ) ) ) && all( lessThan( inCell, vec2( 1.0 ) ) ) ) {
+                    ivec2 bit = ivec2( floor( inCell * 5.0 ) );
+                    // Glyph rows are packed from the top; gl_FragCoord counts from the bottom
+                    ink = float( ( glyph >> ( bit.x + ( 4 - bit.y ) * 5 ) ) & 1 );
+                }
+                gl_FragColor = vec4( color.rgb * ink, 1.0 );
+            }
+        `
+    },
+    {
+        // Offsets each pixel by a 4x4 Bayer threshold before quantizing, so
+        // gradients turn into a fixed pattern instead of bands
+        name: 'dither',
+        uniforms: { strength: { value: 1 }, levels: { value: 31 } },
+        update(uniforms, settings) {
+            uniforms.strength.value = settings.dither.strength;
+            uniforms.levels.value = quantizeLevels(settings);
+        },
+        fragmentShader: /* glsl */`
+            uniform float strength;
+            uniform float levels;
+
+            void main() {
+                vec4 color = readInput( vUv );
+                float threshold = bayer4( floor( gl_FragCoord.xy ) ) - 0.5;
+                color.rgb = clamp( color.rgb + threshold * strength / levels, 0.0, 1.0 );
+                gl_FragColor = color;
+            }
+        `
+    },
+    {
+        // RGB555 by default: 5 bits, 32 levels per channel
+        name: 'quantize',
+        uniforms: { levels: { value: 31 } },
+        update(uniforms, settings) {
+            uniforms.levels.value = quantizeLevels(settings);
+        },
+        fragmentShader: /* glsl */`
+            uniform float levels;
+
+            void main() {
+                vec4 color = readInput( vUv );
+                color.rgb = floor( color.rgb * levels + 0.5 ) / levels;
+                gl_FragColor = color;
+            }
+        `
+    },
+    {
+        // Barrel distortion of a curved tube; outside the tube is the black bezel
+        name: 'curvature',
+        uniforms: { amount: { value: 0.1 } },
+        update(uniforms, settings) {
+            uniforms.amount.value = settings.curvature.amount;
+        },
+        fragmentShader: /* glsl */`
+            uniform float amount;
+
+            void main() {
+                vec2 centered = vUv * 2.0 - 1.0;
+                centered += centered * centered.yx * centered.yx * amount;
+                vec2 uv = centered * 0.5 + 0.5;
+                if ( any( lessThan( uv, vec2( 0.0 ) ) ) || any( greaterThan( uv, vec2( 1.0 ) ) ) ) {
+                    gl_FragColor = vec4( 0.0, 0.0, 0.0, 1.0 );
+                } else {
+                    gl_FragColor = readInput( uv );
+                }
+            }
+        `
+    },
+    {
+        // Darkens the last row of every `spacing` rows of rendered pixels
+        name: 'scanlines',
+        uniforms: { intensity: { value: 0.3 }, spacing: { value: 2 } },
+        update(uniforms, settings) {
+            uniforms.intensity.value = settings.scanlines.intensity;
+            uniforms.spacing.value = Math.max(1, Math.round(settings.scanlines.spacing));
+        },
+        fragmentShader: /* glsl */`
+            uniform float intensity;
+            uniform float spacing;
+
+            void main() {
+                vec4 color = readInput( vUv );
+                float row = mod( floor( gl_FragCoord.y ), spacing );
+                color.rgb *= row >= spacing - 1.0 ? 1.0 - intensity : 1.0;
+                gl_FragColor = color;
+            }
+        `
+    },
+    {
+        name: 'vignette',
+        uniforms: { intensity: { value: 0.4 } },
+        update(uniforms, settings) {
+            uniforms.intensity.value = settings.vignette.intensity;
+        },
+        fragmentShader: /* glsl */`
+            uniform float intensity;
+
+            void main() {
+                vec4 color = readInput( vUv );
+                // 0 at the center, 1 in the corners
+                float edge = distance( vUv, vec2( 0.5 ) ) * 1.41421356;
+                color.rgb *= 1.0 - intensity * edge * edge;
+                gl_FragColor = color;
+            }
+        `
+    }
+];
+
+/**
+ * Names of the passes that run under the current CONFIG, in order: those the
+ * render preset turns on, plus the enabled ones while post-processing is on.
+ * Without any, the scenes draw straight to the canvas.
+ * @returns {string[]}
+ */
+export function activePasses() {
+    const settings = CONFIG.postProcessing;
+    const presetPasses = currentPreset().passes ?? [];
+    return PASSES
+        .filter(pass => presetPasses.includes(pass.name) || (settings.enabled && settings[pass.name]?.enabled))
+        .map(pass => pass.name);
+}
+
+/**
+ * Create the post-processing pipeline. It holds no reference to a renderer, so
+ * it survives the renderer being rebuilt; call dispose() before the old one
+ * goes, and the next render() recreates its GPU resources.
+ * @returns {{render: Function, dispose: Function}}
+ */
+export function createPostProcessing() {
+    const targetOptions = { type: THREE.HalfFloatType, depthBuffer: false };
+    // The scene target ping-pongs with a second one through the passes
+    const sceneTarget = new THREE.WebGLRenderTarget(1, 1, { ...targetOptions, depthBuffer: true });
+    const passTarget = new THREE.WebGLRenderTarget(1, 1, targetOptions);
+    const size = new THREE.Vector2();
+
+    const geometry = new THREE.PlaneGeometry(2, 2);
+    const quad = new THREE.Mesh(geometry);
+    quad.frustumCulled = false;
+    const quadScene = new THREE.Scene().add(quad);
+    const quadCamera = new THREE.OrthographicCamera();
+
+    const materials = new Map(PASSES.map(pass => [pass.name, new THREE.ShaderMaterial({
+        name: `PostProcessing.${pass.name}`,
+        uniforms: {
+            tInput: { value: null },
+            linearInput: { value: false },
+            ...THREE.UniformsUtils.clone(pass.uniforms)
+        },
+        vertexShader: VERTEX_SHADER,
+        fragmentShader: FRAGMENT_HEADER + pass.fragmentShader,
+        depthTest: false,
+        depthWrite: false
+    })]));
+
+    /**
+     * Match the targets to the drawing buffer, which computeRenderSize sizes,
+     * so the passes see the same pixels the canvas shows
+     * @param {THREE.WebGLRenderer} renderer
+     */
+    function fitTargets(renderer) {
+        renderer.getDrawingBufferSize(size);
+        // Multisample only where the preset antialiases the canvas too
+        const samples = currentPreset().antialias ? CONFIG.postProcessing.samples : 0;
+        if (sceneTarget.samples !== samples) {
+            sceneTarget.dispose();
+            sceneTarget.samples = samples;
+        }
+        if (sceneTarget.width !== size.x || sceneTarget.height !== size.y) {
+            sceneTarget.setSize(size.x, size.y);
+            passTarget.setSize(size.x, size.y);
+        }
+    }
+
+    /**
+     * Draw a frame through the active passes
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {Function} drawScenes - Clears and renders the scenes into the current render target
+     */
+    function render(renderer, drawScenes) {
+        const names = activePasses();
+        if (names.length === 0) {
+            renderer.setRenderTarget(null);
+            drawScenes();
+            return;
+        }
+
+        fitTargets(renderer);
+        renderer.setRenderTarget(sceneTarget);
+        drawScenes();
+
+        let input = sceneTarget;
+        names.forEach((name, index) => {
+            const material = materials.get(name);
+            PASSES.find(pass => pass.name === name).update(material.uniforms, CONFIG.postProcessing);
+            material.uniforms.tInput.value = input.texture;
+            material.uniforms.linearInput.value = index === 0;
+
+            const output = index === names.length - 1 ? null : (input === sceneTarget ? passTarget : sceneTarget);
+            quad.material = material;
+            renderer.setRenderTarget(output);
+            renderer.render(quadScene, quadCamera);
+            input = output;
+        });
+    }
+
+    /** Free the targets, materials and quad from the renderer that drew them */
+    function dispose() {
+        sceneTarget.dispose();
+        passTarget.dispose();
+        materials.forEach(material => material.dispose());
+        geometry.dispose();
+    }
+
+    return { render, dispose };
+}
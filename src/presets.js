@@ -0,0 +1,36 @@
+/**
+ * Render presets: the active preset and switching between them
+ */
+import { CONFIG } from './config.js';
+
+/**
+ * The active render preset, falling back to the standard one for an unknown
+ * (e.g. stale persisted) name
+ * @returns {Object} An entry of CONFIG.renderPresets
+ */
+export function currentPreset() {
+    return CONFIG.renderPresets[CONFIG.renderPreset] ?? CONFIG.renderPresets.standard;
+}
+
+/**
+ * The preset after the active one, wrapping around
+ * @returns {string} A key of CONFIG.renderPresets
+ */
+export function nextPresetName() {
+    const names = Object.keys(CONFIG.renderPresets);
+    return names[(names.indexOf(CONFIG.renderPreset) + 1) % names.length];
+}
+
+/**
+ * Make a preset active and persist the choice
+ * @param {string} name - A key of CONFIG.renderPresets
+ */
+export function setRenderPreset(name) {
+    if (!(name in CONFIG.renderPresets)) {
+        throw new Error(`Unknown render preset: ${name}`);
+    }
+    CONFIG.renderPreset = name;
+    localStorage.setItem('renderPreset', name);
+    // Superseded by renderPreset
+    localStorage.removeItem('ps1Style');
+}
@@ -0,0 +1,99 @@
+/**
+ * PS1-style material patch: vertex snapping, affine texture mapping and
+ * 15-bit vertex colors, injected into three.js's built-in shaders
+ */
+import * as THREE from 'three';
+import { CONFIG } from './config.js';
+
+/**
+ * Uniforms shared by every patched material, so one update reaches them all
+ */
+const uniforms = {
+    // Snapping grid size in cells, see updatePS1Resolution
+    ps1Resolution: { value: new THREE.Vector2(320, 240) }
+};
+
+const VERTEX_PARS = /* glsl */`
+uniform vec2 ps1Resolution;
+#ifdef USE_MAP
+    varying highp vec2 ps1AffineMapUv;
+    varying highp float ps1W;
+#endif
+`;
+
+// The PS1 had no sub-pixel precision: vertices landed on whole pixels of its
+// low-resolution framebuffer, so models shimmer as they move.
+const VERTEX_SNAP = /* glsl */`
+if ( gl_Position.w > 0.0 ) {
+    vec2 ps1Grid = ps1Resolution * 0.5;
+    gl_Position.xy = floor( gl_Position.xy / gl_Position.w * ps1Grid + 0.5 ) / ps1Grid * gl_Position.w;
+}
+#ifdef USE_MAP
+    // Pre-multiplied by w and divided again per fragment, this interpolates
+    // the UVs linearly in screen space, without perspective correction
+    ps1AffineMapUv = vMapUv * gl_Position.w;
+    ps1W = gl_Position.w;
+#endif
+`;
+
+// 5 bits per channel, as in the PS1's 15-bit color
+const VERTEX_COLOR = /* glsl */`
+#if defined( USE_COLOR ) || defined( USE_COLOR_ALPHA ) || defined( USE_INSTANCING_COLOR ) || defined( USE_BATCHING_COLOR )
+    vColor.rgb = floor( vColor.rgb * 31.0 + 0.5 ) / 31.0;
+#endif
+`;
+
+const FRAGMENT_PARS = /* glsl */`
+#ifdef USE_MAP
+    varying highp vec2 ps1AffineMapUv;
+    varying highp float ps1W;
+    #define vMapUv ( ps1AffineMapUv / ps1W )
+#endif
+`;
+
+/**
+ * The one onBeforeCompile shared by all patched materials. Sharing the
+ * function also makes three.js share the compiled programs between them.
+ * @param {Object} shader - three.js shader source and uniforms
+ */
+function patchShader(shader) {
+    shader.uniforms.ps1Resolution = uniforms.ps1Resolution;
+    shader.vertexShader = shader.vertexShader
+        .replace('#include <uv_pars_vertex>', `#include <uv_pars_vertex>\n${VERTEX_PARS}`)
+        .replace('#include <color_vertex>', `#include <color_vertex>\n${VERTEX_COLOR}`)
+        .replace('#include <project_vertex>', `#include <project_vertex>\n${VERTEX_SNAP}`);
+    shader.fragmentShader = shader.fragmentShader
+        .replace('#include <uv_pars_fragment>', `#include <uv_pars_fragment>\n${FRAGMENT_PARS}`);
+}
+
+/**
+ * Patch a material to render like the PS1. Shader materials, which don't use
+ * three.js's shader chunks, are left as they are.
+ * @param {THREE.Material} material
+ */
+export function applyPS1Material(material) {
+    if (material.isShaderMaterial) return;
+    material.onBeforeCompile = patchShader;
+    material.needsUpdate = true;
+}
+
+/**
+ * Undo applyPS1Material, going back to the material's stock shaders
+ * @param {THREE.Material} material
+ */
+export function removePS1Material(material) {
+    if (material.onBeforeCompile !== patchShader) return;
+    // Drop the own property, uncovering THREE.Material's no-op default
+    delete material.onBeforeCompile;
+    material.needsUpdate = true;
+}
+
+/**
+ * Size the vertex snapping grid to the renderer's drawing buffer, divided by
+ * CONFIG.ps1Jitter. Call after every resize.
+ * @param {THREE.WebGLRenderer} renderer
+ */
+export function updatePS1Resolution(renderer) {
+    const size = renderer.getDrawingBufferSize(uniforms.ps1Resolution.value);
+    size.divideScalar(Math.max(CONFIG.ps1Jitter, 1e-3));
+}
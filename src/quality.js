@@ -0,0 +1,90 @@
+/**
+ * Adaptive quality: watches frame times and scales the drawing buffer down
+ * when the device can't keep up, and back up once it can
+ */
+import { CONFIG } from './config.js';
+
+/**
+ * Create an adaptive quality controller. Feed it every frame's delta; it keeps
+ * a rolling average over CONFIG.renderer.adaptive.windowFrames frames and
+ * steps the scale between minScale and maxScale.
+ *
+ * Hysteresis keeps it from oscillating: the thresholds for lowering and
+ * raising leave a dead band between them, raising also needs the average to
+ * stay low for raiseAfterFrames frames, and the window starts over after each
+ * change so the new scale is judged on its own frames.
+ *
+ * @param {Function} onChange - Called with the new scale after it changes
+ * @returns {{sample: Function, reset: Function, readonly scale: number}}
+ */
+export function createAdaptiveQuality(onChange) {
+    const settings = CONFIG.renderer.adaptive;
+    const frameTimes = new Float64Array(settings.windowFrames);
+    let count = 0;
+    let next = 0;
+    let sum = 0;
+    let fastFrames = 0;
+    let scale = settings.maxScale;
+
+    /**
+     * Forget the measured frames, e.g. after the loop was paused or the
+     * renderer rebuilt, when the next frames aren't representative
+     */
+    function reset() {
+        count = 0;
+        next = 0;
+        sum = 0;
+        fastFrames = 0;
+    }
+
+    function setScale(value) {
+        // Round away float drift from repeated steps
+        scale = Math.round(value * 1000) / 1000;
+        reset();
+        onChange(scale);
+    }
+
+    /**
+     * Record a frame and adjust the scale if the window calls for it
+     * @param {number} delta - Frame time, in seconds
+     */
+    function sample(delta) {
+        if (!settings.enabled) return;
+        const frameMs = delta * 1000;
+        // One-off stalls, such as shader compiles, say nothing about the load
+        if (frameMs > settings.maxFrameMs) return;
+
+        if (count === frameTimes.length) {
+            sum -= frameTimes[next];
+        } else {
+            count++;
+        }
+        frameTimes[next] = frameMs;
+        sum += frameMs;
+        next = (next + 1) % frameTimes.length;
+        if (count < frameTimes.length) return;
+
+        const average = sum / count;
+        if (average > settings.lowerAboveMs) {
+            fastFrames = 0;
+            if (scale > settings.minScale) {
+                setScale(Math.max(settings.minScale, scale - settings.step));
+            }
+        } else if (average < settings.raiseBelowMs) {
+            fastFrames++;
+            if (fastFrames >= settings.raiseAfterFrames && scale < settings.maxScale) {
+                setScale(Math.min(settings.maxScale, scale + settings.step));
+            }
+        } else {
+            fastFrames = 0;
+        }
+    }
+
+    return {
+        sample,
+        reset,
+        get scale() {
+            return scale;
+        }
+    };
+}
@@ -0,0 +1,486 @@
+/**
+ * Turntable recorder: steps the model through exactly one revolution at a
+ * fixed frame rate and captures each frame, composited with the snow, as a
+ * WebM video or an animated GIF, plus the panel that offers the options
+ */
+import { CONFIG } from './config.js';
+import { currentPreset } from './presets.js';
+
+const FORMATS = {
+    webm: 'WebM video',
+    gif: 'Animated GIF'
+};
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Wait for a number of milliseconds, or just yield to the event loop
+ * @param {number} [ms]
+ * @returns {Promise<void>}
+ */
+function wait(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+}
+
+/**
+ * Number of frames in one revolution
+ * @param {number} seconds - Length of the revolution
+ * @param {number} fps - Fixed frame rate
+ * @returns {number}
+ */
+export function turntableFrameCount(seconds, fps) {
+    return Math.max(1, Math.round(seconds * fps));
+}
+
+/**
+ * Turntable angle of a frame. The last frame stops one step short of a full
+ * turn, so the clip loops back to the first without showing a pose twice.
+ * @param {number} frame - Frame index
+ * @param {number} frameCount - Frames in the revolution
+ * @returns {number} Angle in radians
+ */
+export function turntableAngle(frame, frameCount) {
+    return (frame / frameCount) * Math.PI * 2;
+}
+
+/**
+ * Size of the recorded frames: the canvas's drawing buffer, scaled down to
+ * fit `maxSize` on its longer side. Sides are even, as video encoders expect.
+ * @param {number} width - Drawing buffer width
+ * @param {number} height - Drawing buffer height
+ * @param {number} maxSize - Longest side, in pixels
+ * @returns {{width: number, height: number}}
+ */
+export function recordingSize(width, height, maxSize) {
+    const factor = Math.min(1, maxSize / Math.max(width, height));
+    return {
+        width: Math.max(2, Math.floor((width * factor) / 2) * 2),
+        height: Math.max(2, Math.floor((height * factor) / 2) * 2)
+    };
+}
+
+/**
+ * Whether the browser can record canvas frames to WebM
+ * @returns {boolean}
+ */
+export function isWebMSupported() {
+    return typeof MediaRecorder !== 'undefined'
+        && typeof HTMLCanvasElement.prototype.captureStream === 'function'
+        && WEBM_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+}
+
+// Colors are binned to 5 bits per channel as frames come in, which keeps them
+// at two bytes a pixel until the palette is known
+const CHANNEL_SHIFTS = [10, 5, 0];
+
+function colorKey(r, g, b) {
+    return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+function keyChannel(key, channel) {
+    return (key >> CHANNEL_SHIFTS[channel]) & 31;
+}
+
+/**
+ * Build a palette by median cut: the box of binned colors with the most
+ * pixels times spread is split along its widest channel, at the pixel
+ * median, until there are `size` boxes; each box becomes its average color
+ * @param {Uint32Array} histogram - Pixel count per color key
+ * @param {number} size - Palette entries
+ * @returns {Array<number[]>} [r, g, b] entries, 8 bits per channel
+ */
+function buildPalette(histogram, size) {
+    function createBox(keys) {
+        let count = 0;
+        const min = [31, 31, 31];
+        const max = [0, 0, 0];
+        for (const key of keys) {
+            count += histogram[key];
+            for (let channel = 0; channel < 3; channel++) {
+                const value = keyChannel(key, channel);
+                min[channel] = Math.min(min[channel], value);
+                max[channel] = Math.max(max[channel], value);
+            }
+        }
+        const ranges = max.map((value, channel) => value - min[channel]);
+        const channel = ranges.indexOf(Math.max(...ranges));
+        return { keys, count, channel, score: count * ranges[channel] };
+    }
+
+    const keys = [];
+    for (let key = 0; key < histogram.length; key++) {
+        if (histogram[key]) keys.push(key);
+    }
+
+    const boxes = [createBox(keys)];
+    while (boxes.length < size) {
+        let index = -1;
+        for (let i = 0; i < boxes.length; i++) {
+            if (boxes[i].score > 0 && (index < 0 || boxes[i].score > boxes[index].score)) index = i;
+        }
+        if (index < 0) break;
+
+        const { keys: boxKeys, count, channel } = boxes[index];
+        boxKeys.sort((a, b) => keyChannel(a, channel) - keyChannel(b, channel));
+        let split = 1;
+        for (let seen = histogram[boxKeys[0]]; split < boxKeys.length - 1 && seen < count / 2; split++) {
+            seen += histogram[boxKeys[split]];
+        }
+        boxes.splice(index, 1, createBox(boxKeys.slice(0, split)), createBox(boxKeys.slice(split)));
+    }
+
+    return boxes.map(({ keys: boxKeys, count }) => [0, 1, 2].map((channel) => {
+        let sum = 0;
+        for (const key of boxKeys) {
+            const value = keyChannel(key, channel);
+            sum += ((value << 3) | (value >> 2)) * histogram[key];
+        }
+        return Math.round(sum / count);
+    }));
+}
+
+/**
+ * Map every color key that occurs to its nearest palette entry
+ * @param {Uint32Array} histogram
+ * @param {Array<number[]>} palette
+ * @returns {Uint8Array} Palette index per color key
+ */
+function paletteLookup(histogram, palette) {
+    const lookup = new Uint8Array(histogram.length);
+    for (let key = 0; key < histogram.length; key++) {
+        if (!histogram[key]) continue;
+        const color = [0, 1, 2].map((channel) => {
+            const value = keyChannel(key, channel);
+            return (value << 3) | (value >> 2);
+        });
+        let best = 0;
+        let bestDistance = Infinity;
+        palette.forEach(([r, g, b], index) => {
+            const distance = (r - color[0]) ** 2 + (g - color[1]) ** 2 + (b - color[2]) ** 2;
+            if (distance < bestDistance) {
+                best = index;
+                bestDistance = distance;
+            }
+        });
+        lookup[key] = best;
+    }
+    return lookup;
+}
+
+/**
+ * LZW-compress palette indices as GIF image data, split into sub-blocks
+ * @param {Uint8Array} indices
+ * @param {number} minCodeSize - Bits per palette index
+ * @returns {Uint8Array} Minimum code size byte, sub-blocks and block terminator
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    // At most 12 bits a pixel, plus the clear codes
+    const packed = new Uint8Array(indices.length * 2 + 16);
+    let length = 0;
+    let bits = 0;
+    let bitCount = 0;
+
+    function emit(code, size) {
+        bits |= code << bitCount;
+        bitCount += size;
+        while (bitCount >= 8) {
+            packed[length++] = bits & 0xff;
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    }
+
+    const dictionary = new Map();
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    emit(clearCode, codeSize);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const entry = (prefix << 8) | index;
+        const code = dictionary.get(entry);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix, codeSize);
+        if (nextCode === 4096) {
+            emit(clearCode, codeSize);
+            dictionary.clear();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            dictionary.set(entry, nextCode++);
+        }
+        prefix = index;
+    }
+    emit(prefix, codeSize);
+    emit(endCode, codeSize);
+    if (bitCount > 0) packed[length++] = bits & 0xff;
+
+    const blocks = new Uint8Array(1 + length + Math.ceil(length / 255) + 1);
+    blocks[0] = minCodeSize;
+    let offset = 1;
+    for (let start = 0; start < length; start += 255) {
+        const end = Math.min(start + 255, length);
+        blocks[offset++] = end - start;
+        blocks.set(packed.subarray(start, end), offset);
+        offset += end - start;
+    }
+    blocks[offset] = 0;
+    return blocks;
+}
+
+function uint16(value) {
+    return [value & 0xff, value >> 8];
+}
+
+/**
+ * Create an animated GIF encoder. Frames are kept binned until finish(), which
+ * picks one palette for the whole clip so colors don't flicker between frames.
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} options
+ * @param {number} options.delay - Frame delay, in hundredths of a second
+ * @returns {{addFrame: Function, finish: Function}}
+ */
+export function createGIFEncoder(width, height, { delay }) {
+    const histogram = new Uint32Array(1 << 15);
+    const frames = [];
+
+    /**
+     * Add a frame
+     * @param {Uint8ClampedArray} rgba - Pixels, top row first, as getImageData returns them
+     */
+    function addFrame(rgba) {
+        const keys = new Uint16Array(width * height);
+        for (let i = 0; i < keys.length; i++) {
+            const key = colorKey(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2]);
+            keys[i] = key;
+            histogram[key]++;
+        }
+        frames.push(keys);
+    }
+
+    /**
+     * Quantize and compress the frames, yielding to the event loop between them
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Called with the fraction of frames encoded
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<Blob>} A looping GIF
+     */
+    async function finish({ onProgress = () => {}, signal } = {}) {
+        const palette = buildPalette(histogram, 256);
+        const lookup = paletteLookup(histogram, palette);
+        const colorTable = new Uint8Array(256 * 3);
+        colorTable.set(palette.flat());
+
+        const parts = [
+            new TextEncoder().encode('GIF89a'),
+            // Logical screen: 256-entry global color table
+            new Uint8Array([...uint16(width), ...uint16(height), 0xf7, 0, 0]),
+            colorTable,
+            // Loop forever
+            new Uint8Array([0x21, 0xff, 0x0b, ...new TextEncoder().encode('NETSCAPE2.0'), 0x03, 0x01, 0, 0, 0])
+        ];
+
+        for (let i = 0; i < frames.length; i++) {
+            signal?.throwIfAborted();
+            const keys = frames[i];
+            const indices = new Uint8Array(keys.length);
+            for (let p = 0; p < keys.length; p++) {
+                indices[p] = lookup[keys[p]];
+            }
+            // Free the binned frame as soon as it's compressed
+            frames[i] = null;
+
+            parts.push(
+                // Graphic control: replace the previous frame, then wait `delay`
+                new Uint8Array([0x21, 0xf9, 0x04, 0x04, ...uint16(delay), 0, 0]),
+                new Uint8Array([0x2c, 0, 0, 0, 0, ...uint16(width), ...uint16(height), 0]),
+                lzwEncode(indices, 8)
+            );
+            onProgress((i + 1) / frames.length);
+            await wait();
+        }
+        parts.push(new Uint8Array([0x3b]));
+        frames.length = 0;
+
+        return new Blob(parts, { type: 'image/gif' });
+    }
+
+    return { addFrame, finish };
+}
+
+/**
+ * Feed the frames to a MediaRecorder. It timestamps frames as they arrive, so
+ * they are produced in real time, one every 1/fps seconds.
+ */
+async function captureWebM(frame, composite, frameCount, fps, onProgress, signal) {
+    if (!isWebMSupported()) {
+        throw new Error('WebM recording is not supported in this browser');
+    }
+    const stream = frame.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, {
+        mimeType: WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)),
+        videoBitsPerSecond: CONFIG.recorder.webm.bitsPerSecond
+    });
+    const chunks = [];
+    recorder.addEventListener('dataavailable', (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    });
+    const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }));
+
+    recorder.start();
+    const start = performance.now();
+    try {
+        for (let i = 0; i < frameCount; i++) {
+            signal?.throwIfAborted();
+            composite(i);
+            track.requestFrame();
+            onProgress('capture', (i + 1) / frameCount);
+            // Against the start time, so slow frames don't add up to drift
+            await wait(start + ((i + 1) * 1000) / fps - performance.now());
+        }
+    } finally {
+        recorder.stop();
+        await stopped;
+        track.stop();
+    }
+    return new Blob(chunks, { type: 'video/webm' });
+}
+
+/**
+ * Read each frame back for the GIF encoder. No pacing is needed: GIF frame
+ * delays are stored in the file.
+ */
+async function captureGIF(frame, composite, frameCount, fps, onProgress, signal) {
+    const ctx = frame.getContext('2d');
+    const encoder = createGIFEncoder(frame.width, frame.height, { delay: Math.round(100 / fps) });
+    for (let i = 0; i < frameCount; i++) {
+        signal?.throwIfAborted();
+        composite(i);
+        encoder.addFrame(ctx.getImageData(0, 0, frame.width, frame.height).data);
+        onProgress('capture', (i + 1) / frameCount);
+        await wait();
+    }
+    return encoder.finish({ onProgress: fraction => onProgress('encode', fraction), signal });
+}
+
+/**
+ * Record one revolution of the turntable. `drawFrame` poses and renders the
+ * scene for a frame; the renderer's canvas and the overlay are then copied
+ * into the recorded frame straight away, while the drawing buffer still
+ * holds the image.
+ * @param {HTMLCanvasElement} canvas - The renderer's canvas, background included
+ * @param {Function} drawFrame - Takes the turntable angle and the fixed time step, in seconds, and renders
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'webm' or 'gif'
+ * @param {HTMLCanvasElement|null} [options.overlay] - Drawn on top, e.g. the snow canvas
+ * @param {Function} [options.onProgress] - Called with the stage ('capture' or 'encode') and its completed fraction
+ * @param {AbortSignal} [options.signal] - Stops the recording, rejecting with the abort reason
+ * @returns {Promise<Blob>}
+ */
+export async function recordTurntable(canvas, drawFrame,
+    { format = CONFIG.recorder.format, overlay = null, onProgress = () => {}, signal } = {}) {
+    if (!(format in FORMATS)) {
+        throw new Error(`Unknown recording format: ${format}`);
+    }
+    const { seconds, fps } = CONFIG.recorder;
+    const frameCount = turntableFrameCount(seconds, fps);
+    const { width, height } = recordingSize(canvas.width, canvas.height, CONFIG.recorder[format].maxSize);
+
+    const frame = document.createElement('canvas');
+    frame.width = width;
+    frame.height = height;
+    const ctx = frame.getContext('2d');
+    // Keep pixelated presets blocky when scaling down, as on screen
+    const smoothing = !currentPreset().pixelated;
+
+    function composite(index) {
+        drawFrame(turntableAngle(index, frameCount), 1 / fps);
+        ctx.imageSmoothingEnabled = smoothing;
+        ctx.drawImage(canvas, 0, 0, width, height);
+        if (overlay) {
+            ctx.drawImage(overlay, 0, 0, width, height);
+        }
+    }
+
+    const capture = format === 'gif' ? captureGIF : captureWebM;
+    return capture(frame, composite, frameCount, fps, onProgress, signal);
+}
+
+/**
+ * Build the recorder panel: format and snow options and a record button
+ * @param {Function} onRecord - Takes {format, includeSnow} and returns a promise that settles when the clip is saved
+ * @returns {{element: HTMLElement, toggle: Function, cleanup: Function}}
+ */
+export function createRecorderPanel(onRecord) {
+    const element = document.createElement('form');
+    element.className = 'recorder';
+    element.setAttribute('aria-label', 'Turntable recorder');
+    element.hidden = true;
+
+    const title = document.createElement('h2');
+    title.className = 'recorder__title';
+    title.textContent = 'Turntable';
+
+    const formatSelect = document.createElement('select');
+    formatSelect.className = 'recorder__format';
+    formatSelect.setAttribute('aria-label', 'Recording format');
+    const webmSupported = isWebMSupported();
+    for (const [format, label] of Object.entries(FORMATS)) {
+        const option = new Option(label, format);
+        option.disabled = format === 'webm' && !webmSupported;
+        formatSelect.add(option);
+    }
+    formatSelect.value = CONFIG.recorder.format === 'webm' && !webmSupported ? 'gif' : CONFIG.recorder.format;
+
+    const snowLabel = document.createElement('label');
+    snowLabel.className = 'recorder__option';
+    const snowInput = document.createElement('input');
+    snowInput.type = 'checkbox';
+    snowInput.checked = CONFIG.recorder.includeSnow;
+    snowLabel.append(snowInput, ' Include snow');
+
+    const recordButton = document.createElement('button');
+    recordButton.type = 'submit';
+    recordButton.className = 'recorder__button';
+    recordButton.textContent = 'Record';
+
+    element.append(title, formatSelect, snowLabel, recordButton);
+
+    function onSubmit(event) {
+        event.preventDefault();
+        recordButton.disabled = true;
+        onRecord({
+            format: formatSelect.value,
+            includeSnow: snowInput.checked
+        }).finally(() => {
+            recordButton.disabled = false;
+        });
+    }
+
+    /**
+     * Show or hide the panel
+     * @returns {boolean} Whether the panel is now shown
+     */
+    function toggle() {
+        element.hidden = !element.hidden;
+        return !element.hidden;
+    }
+
+    element.addEventListener('submit', onSubmit);
+
+    function cleanup() {
+        element.removeEventListener('submit', onSubmit);
+        element.remove();
+    }
+
+    return { element, toggle, cleanup };
+}
@@ -3,23 +3,28 @@
  */
 import * as THREE from 'three';
 import { CONFIG } from './config.js';
+import { disposeMaterial, TEXTURE_SLOTS } from './utils.js';
+import { currentPreset } from './presets.js';
 
 /**
  * Compute the drawing buffer size in whole device pixels, plus the CSS size the
  * canvas should be displayed at.
  *
- * PS1 mode renders at a fraction of the viewport for the pixelated look;
- * otherwise the buffer follows devicePixelRatio, capped to avoid excessive fill
- * rate on 3x+ HiDPI displays.
+ * Retro render presets render at a fraction of the viewport for their low-res
+ * look; otherwise the buffer follows devicePixelRatio, capped to avoid
+ * excessive fill rate on 3x+ HiDPI displays. Either is then multiplied by the
+ * adaptive quality scale.
  *
+ * @param {number} [qualityScale=1] - Adaptive quality scale, see quality.js
  * @returns {{width: number, height: number, cssWidth: number, cssHeight: number}}
  */
-export function computeRenderSize() {
+export function computeRenderSize(qualityScale = 1) {
     const cssWidth = window.innerWidth;
     const cssHeight = window.innerHeight;
-    const scale = CONFIG.ps1Style
-        ? 1 / CONFIG.ps1PixelScale
-        : Math.min(window.devicePixelRatio, CONFIG.renderer.maxPixelRatio);
+    const { pixelScale } = currentPreset();
+    const scale = qualityScale * (pixelScale
+        ? 1 / pixelScale
+        : Math.min(window.devicePixelRatio, CONFIG.renderer.maxPixelRatio));
 
     return {
         cssWidth,
@@ -42,9 +47,10 @@ export function computeRenderSize() {
  * size is then applied separately to stretch the buffer over the viewport.
  *
  * @param {THREE.WebGLRenderer} renderer
+ * @param {number} [qualityScale=1] - Adaptive quality scale, see quality.js
  */
-export function applyRenderSize(renderer) {
-    const { width, height, cssWidth, cssHeight } = computeRenderSize();
+export function applyRenderSize(renderer, qualityScale = 1) {
+    const { width, height, cssWidth, cssHeight } = computeRenderSize(qualityScale);
 
     renderer.setPixelRatio(1);
     renderer.setSize(width, height, false); // Don't set inline CSS from buffer size
@@ -53,19 +59,21 @@ export function applyRenderSize(renderer) {
 }
 
 /**
- * Create and configure the WebGL renderer
+ * Create and configure the WebGL renderer for the active render preset
+ * @param {number} [qualityScale=1] - Adaptive quality scale, see quality.js
  * @returns {THREE.WebGLRenderer}
  */
-export function createRenderer() {
+export function createRenderer(qualityScale = 1) {
+    const preset = currentPreset();
     const renderer = new THREE.WebGLRenderer({
-        antialias: !CONFIG.ps1Style,  // PS1 had no antialiasing
-        precision: CONFIG.ps1Style ? 'lowp' : 'highp'  // Lower precision for PS1 look
+        antialias: preset.antialias,  // e.g. the PS1 had no antialiasing
+        precision: preset.precision  // Lower precision for the PS1 look
     });
 
-    if (CONFIG.ps1Style) {
-        renderer.domElement.classList.add('renderer--ps1');
+    if (preset.pixelated) {
+        renderer.domElement.classList.add('renderer--pixelated');
     }
-    applyRenderSize(renderer);
+    applyRenderSize(renderer, qualityScale);
 
     renderer.outputColorSpace = THREE.SRGBColorSpace;
     renderer.autoClear = false;
@@ -75,41 +83,162 @@ export function createRenderer() {
 }
 
 /**
- * Set up WebGL context loss and restoration handlers
+ * Dispose of the geometries, materials and textures of everything in the
+ * scenes, on whichever renderer uploaded them. The objects stay intact and
+ * upload again the next time they are drawn.
+ * @param {THREE.Object3D[]} scenes
+ */
+function disposeSceneResources(scenes) {
+    for (const scene of scenes) {
+        scene.traverse((object) => {
+            object.geometry?.dispose();
+            [object.material ?? []].flat().forEach(disposeMaterial);
+        });
+    }
+}
+
+/**
+ * Textures a material samples: its standard slots plus shader uniforms
+ * @param {THREE.Material} material
+ * @returns {THREE.Texture[]}
+ */
+function materialTextures(material) {
+    const slots = TEXTURE_SLOTS.map(slot => material[slot]);
+    const uniforms = Object.values(material.uniforms ?? {}).map(uniform => uniform.value);
+    return [...slots, ...uniforms].filter(value => value?.isTexture);
+}
+
+/**
+ * Replace the loading element with an error and a reload button, for when the
+ * GPU keeps dropping the context and rendering can't go on
+ */
+function showContextError() {
+    const loadingEl = document.getElementById('loading');
+    if (!loadingEl) return;
+
+    loadingEl.style.display = '';
+    loadingEl.innerHTML = '';
+    loadingEl.className = 'error-container';
+
+    const errorIcon = document.createElement('div');
+    errorIcon.className = 'error-icon';
+    errorIcon.textContent = '⚠️';
+
+    const errorTitle = document.createElement('div');
+    errorTitle.className = 'error-title';
+    errorTitle.textContent = 'Graphics Stopped Working';
+
+    const errorDetails = document.createElement('div');
+    errorDetails.className = 'error-details';
+    errorDetails.textContent = 'The graphics context was lost several times in a row. Close other tabs or apps using the GPU, then reload.';
+
+    const retryButton = document.createElement('button');
+    retryButton.className = 'retry-button';
+    retryButton.type = 'button';
+    retryButton.textContent = 'Reload';
+    retryButton.addEventListener('click', () => location.reload());
+
+    loadingEl.append(errorIcon, errorTitle, errorDetails, retryButton);
+}
+
+/**
+ * Set up WebGL context loss and restoration handlers.
+ *
+ * three.js forgets everything it uploaded when the context comes back, so on
+ * loss the scenes' resources are disposed (detaching them from the dead
+ * context's caches), and on restore their shaders are compiled and textures
+ * uploaded again before the first frame; geometry buffers follow as that frame
+ * is drawn. Losing the context more than CONFIG.renderer.contextLoss.maxLosses
+ * times within its window gives up and shows an error instead.
+ *
  * @param {THREE.WebGLRenderer} renderer
- * @param {THREE.Scene} scene - The scene to re-render
- * @param {THREE.Camera} camera - The camera to use for rendering
+ * @param {Array<{scene: THREE.Scene, camera: THREE.Camera}>} views - Everything the renderer draws
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onLost] - Stop rendering, e.g. the animation loop
+ * @param {Function} [callbacks.onRestored] - Resume rendering
+ * @param {Function} [callbacks.onFailed] - Called instead of onLost when giving up
+ * @returns {Function} Removes the handlers
  */
-export function setupContextHandlers(renderer, scene, camera) {
-    renderer.domElement.addEventListener('webglcontextlost', function(event) {
+export function setupContextHandlers(renderer, views, { onLost = () => {}, onRestored = () => {}, onFailed = () => {} } = {}) {
+    const canvas = renderer.domElement;
+    const { maxLosses, windowMs } = CONFIG.renderer.contextLoss;
+    let losses = [];
+    let failed = false;
+
+    function onContextLost(event) {
+        // Without this the browser never restores the context
         event.preventDefault();
+        disposeSceneResources(views.map(view => view.scene));
+
+        const now = performance.now();
+        losses = [...losses.filter(time => now - time < windowMs), now];
+        if (losses.length > maxLosses) {
+            failed = true;
+            console.error(`WebGL context lost ${losses.length} times within ${windowMs / 1000}s; giving up.`);
+            showContextError();
+            onFailed();
+            return;
+        }
+
         console.warn('WebGL context lost. Attempting to restore...');
-    }, false);
-    
-    renderer.domElement.addEventListener('webglcontextrestored', function() {
-        console.log('WebGL context restored successfully.');
-        
-        // Hide any loading message if it's showing
-        const loadingEl = document.getElementById('loading');
-        if (loadingEl && loadingEl.style.display !== 'none') {
-            loadingEl.style.display = 'none';
+        onLost();
+    }
+
+    function onContextRestored() {
+        if (failed) return;
+
+        for (const { scene, camera } of views) {
+            scene.traverse((object) => {
+                [object.material ?? []].flat().flatMap(materialTextures).forEach(texture => renderer.initTexture(texture));
+            });
+            renderer.compile(scene, camera);
         }
-    }, false);
+
+        console.log('WebGL context restored successfully.');
+        onRestored();
+    }
+
+    canvas.addEventListener('webglcontextlost', onContextLost, false);
+    canvas.addEventListener('webglcontextrestored', onContextRestored, false);
+
+    return () => {
+        canvas.removeEventListener('webglcontextlost', onContextLost, false);
+        canvas.removeEventListener('webglcontextrestored', onContextRestored, false);
+    };
+}
+
+/**
+ * Free everything a renderer uploaded for the given scenes, then dispose of the
+ * renderer and its GL context, e.g. when switching render presets. The scenes stay intact: their geometries,
+ * materials and textures upload again to whichever renderer draws them next.
+ *
+ * Disposing the scene resources matters even though the context goes away:
+ * three.js's per-renderer caches hold them through dispose listeners, which
+ * would otherwise keep the old renderer alive.
+ *
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Object3D[]} scenes - Everything the renderer has drawn
+ */
+export function releaseRenderer(renderer, scenes) {
+    disposeSceneResources(scenes);
+    renderer.dispose();
+    renderer.forceContextLoss();
 }
 
 /**
  * Handle window resize events
  * @param {THREE.Camera} camera
  * @param {THREE.WebGLRenderer} renderer
+ * @param {number} [qualityScale=1] - Adaptive quality scale, see quality.js
  */
-export function onWindowResize(camera, renderer) {
+export function onWindowResize(camera, renderer, qualityScale = 1) {
     try {
         camera.aspect = window.innerWidth / window.innerHeight;
         camera.updateProjectionMatrix();
 
         // Recomputes the pixel ratio too, so moving the window between displays
         // with different devicePixelRatio is picked up.
-        applyRenderSize(renderer);
+        applyRenderSize(renderer, qualityScale);
     } catch (resizeError) {
         console.error('Resize error:', resizeError);
     }
@@ -3,13 +3,25 @@
  */
 import * as THREE from 'three';
 import { CONFIG } from './config.js';
+import { currentPreset } from './presets.js';
 
 /**
  * Create and configure the main scene
  * @returns {THREE.Scene}
  */
 export function createScene() {
-    return new THREE.Scene();
+    const scene = new THREE.Scene();
+    applyFog(scene);
+    return scene;
+}
+
+/**
+ * Set the scene's fog from the active render preset. Call again after it changes.
+ * @param {THREE.Scene} scene
+ */
+export function applyFog(scene) {
+    const { fog } = currentPreset();
+    scene.fog = fog ? new THREE.FogExp2(fog.color, fog.density) : null;
 }
 
 /**
@@ -28,17 +40,26 @@ export function createBackgroundScene() {
         }
     `;
     
+    // The palette is picked in sRGB; the uniform holds the color in the
+    // linear working space, like every other color three.js manages
     const randomColor = CONFIG.background.colors[Math.floor(Math.random() * CONFIG.background.colors.length)];
+    const fillColor = new THREE.Color().setRGB(randomColor[0], randomColor[1], randomColor[2], THREE.SRGBColorSpace);
     
+    // The gradient is worked out in sRGB, where the palette was designed, then
+    // output through colorspace_fragment, so it is encoded exactly once
+    // whether it's drawn to the canvas or to a linear render target
+    // (post-processing, screenshots)
     const fragmentShader = `
         varying vec2 vUv;
         uniform vec3 fillColor;
         void main() {
             vec2 center = vec2(0.5, 0.5);
             float dist = distance(vUv, center);
-            vec3 darkColor = fillColor * 0.2;
-            vec3 color = mix(fillColor, darkColor, dist * 1.25);
-            gl_FragColor = vec4(color, 1.0);
+            vec3 displayColor = sRGBTransferOETF(vec4(fillColor, 1.0)).rgb;
+            vec3 darkColor = displayColor * 0.2;
+            vec3 color = mix(displayColor, darkColor, dist * 1.25);
+            gl_FragColor = sRGBTransferEOTF(vec4(color, 1.0));
+            #include <colorspace_fragment>
         }
     `;
     
@@ -46,7 +67,7 @@ export function createBackgroundScene() {
         vertexShader: vertexShader,
         fragmentShader: fragmentShader,
         uniforms: {
-            fillColor: { value: new THREE.Vector3(randomColor[0], randomColor[1], randomColor[2]) }
+            fillColor: { value: fillColor }
         }
     });
     
@@ -57,47 +78,6 @@ export function createBackgroundScene() {
     return { backgroundScene, backgroundCamera, backgroundMesh };
 }
 
-/**
- * Set up lighting for the scene
- * @param {THREE.Scene} scene - The scene to add lights to
- */
-export function setupLighting(scene) {
-    const ambientLight = new THREE.AmbientLight(0xffffff, CONFIG.lighting.ambient);
-    scene.add(ambientLight);
-    
-    const directionalLight = new THREE.DirectionalLight(0xffffff, CONFIG.lighting.directional1.intensity);
-    directionalLight.position.set(
-        CONFIG.lighting.directional1.position.x,
-        CONFIG.lighting.directional1.position.y,
-        CONFIG.lighting.directional1.position.z
-    );
-    scene.add(directionalLight);
-    
-    const directionalLight2 = new THREE.DirectionalLight(0xffffff, CONFIG.lighting.directional2.intensity);
-    directionalLight2.position.set(
-        CONFIG.lighting.directional2.position.x,
-        CONFIG.lighting.directional2.position.y,
-        CONFIG.lighting.directional2.position.z
-    );
-    scene.add(directionalLight2);
-    
-    const pointLight = new THREE.PointLight(0xffffff, CONFIG.lighting.point.intensity);
-    pointLight.position.set(
-        CONFIG.lighting.point.position.x,
-        CONFIG.lighting.point.position.y,
-        CONFIG.lighting.point.position.z
-    );
-    scene.add(pointLight);
-    
-    const topLight = new THREE.DirectionalLight(0xffffff, CONFIG.lighting.top.intensity);
-    topLight.position.set(
-        CONFIG.lighting.top.position.x,
-        CONFIG.lighting.top.position.y,
-        CONFIG.lighting.top.position.z
-    );
-    scene.add(topLight);
-}
-
 /**
  * Create and configure the camera
  * @returns {THREE.PerspectiveCamera}
@@ -109,7 +89,16 @@ export function createCamera() {
         CONFIG.camera.near,
         CONFIG.camera.far
     );
-    camera.position.set(CONFIG.camera.position.x, CONFIG.camera.position.y, CONFIG.camera.position.z);
-    camera.lookAt(0, 0, 0);
+    setCameraPosition(camera, CONFIG.camera.position);
     return camera;
 }
+
+/**
+ * Move the camera and aim it at the origin, where models are centered
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {{x: number, y: number, z: number}} position
+ */
+export function setCameraPosition(camera, position) {
+    camera.position.set(position.x, position.y, position.z);
+    camera.lookAt(0, 0, 0);
+}
@@ -0,0 +1,180 @@
+/**
+ * Screenshots: re-renders the scene offscreen at a multiple of the viewport
+ * size and saves it as a PNG, plus the panel that offers the options
+ */
+import * as THREE from 'three';
+import { CONFIG } from './config.js';
+import { currentPreset } from './presets.js';
+
+/**
+ * Size of a screenshot: the CSS viewport times `scale`, reduced where needed
+ * to fit the largest texture the GPU supports
+ * @param {number} scale - Multiple of the viewport size
+ * @param {number} maxSize - Largest render target side, in pixels
+ * @returns {{width: number, height: number}}
+ */
+export function screenshotSize(scale, maxSize) {
+    const factor = Math.min(scale, maxSize / window.innerWidth, maxSize / window.innerHeight);
+    return {
+        width: Math.max(1, Math.floor(window.innerWidth * factor)),
+        height: Math.max(1, Math.floor(window.innerHeight * factor))
+    };
+}
+
+/**
+ * Encode pixels read back from WebGL as a PNG, optionally with an overlay canvas
+ * drawn over the whole image
+ * @param {Uint8Array} pixels - RGBA rows, bottom row first as WebGL returns them
+ * @param {number} width
+ * @param {number} height
+ * @param {HTMLCanvasElement|null} overlay
+ * @returns {Promise<Blob>}
+ */
+function encodePNG(pixels, width, height, overlay) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    const image = ctx.createImageData(width, height);
+    const rowBytes = width * 4;
+    for (let row = 0; row < height; row++) {
+        const source = (height - 1 - row) * rowBytes;
+        image.data.set(pixels.subarray(source, source + rowBytes), row * rowBytes);
+    }
+    ctx.putImageData(image, 0, 0);
+
+    if (overlay) {
+        // Keep a low-res overlay blocky in pixelated presets, as on screen
+        ctx.imageSmoothingEnabled = !currentPreset().pixelated;
+        ctx.drawImage(overlay, 0, 0, width, height);
+    }
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    });
+}
+
+/**
+ * Render the scene into an offscreen target and encode it as a PNG. The live
+ * canvas isn't touched, and the pixels are read back asynchronously, so the
+ * animation keeps running while the image is produced. Post-processing passes
+ * are not applied.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {Object} scenes
+ * @param {THREE.Scene} scenes.scene
+ * @param {THREE.Camera} scenes.camera
+ * @param {THREE.Scene} scenes.backgroundScene
+ * @param {THREE.Camera} scenes.backgroundCamera
+ * @param {Object} [options]
+ * @param {number} [options.scale] - Multiple of the viewport size
+ * @param {boolean} [options.transparent] - Leave out the background, for a PNG with alpha
+ * @param {HTMLCanvasElement|null} [options.overlay] - Drawn on top, e.g. the snow canvas
+ * @returns {Promise<Blob>}
+ */
+export async function captureScreenshot(renderer, { scene, camera, backgroundScene, backgroundCamera },
+    { scale = CONFIG.screenshot.scale, transparent = false, overlay = null } = {}) {
+    const { width, height } = screenshotSize(scale, renderer.capabilities.maxTextureSize);
+    const target = new THREE.WebGLRenderTarget(width, height, {
+        samples: currentPreset().antialias ? CONFIG.screenshot.samples : 0
+    });
+    // Encoded for display on the way in, so the pixels read back are final
+    target.texture.colorSpace = THREE.SRGBColorSpace;
+    const previousTarget = renderer.getRenderTarget();
+
+    try {
+        renderer.setRenderTarget(target);
+        renderer.clear();
+        if (!transparent) {
+            renderer.render(backgroundScene, backgroundCamera);
+            renderer.clearDepth();
+        }
+        renderer.render(scene, camera);
+        renderer.setRenderTarget(previousTarget);
+
+        const pixels = await renderer.readRenderTargetPixelsAsync(target, 0, 0, width, height, new Uint8Array(width * height * 4));
+        return await encodePNG(pixels, width, height, overlay);
+    } finally {
+        renderer.setRenderTarget(previousTarget);
+        target.dispose();
+    }
+}
+
+/**
+ * Build the screenshot panel: size, background and snow options and a save button
+ * @param {Function} onCapture - Takes {scale, transparent, includeSnow} and returns a promise that settles when saved
+ * @returns {{element: HTMLElement, toggle: Function, cleanup: Function}}
+ */
+export function createScreenshotPanel(onCapture) {
+    const element = document.createElement('form');
+    element.className = 'screenshot';
+    element.setAttribute('aria-label', 'Screenshot');
+    element.hidden = true;
+
+    const title = document.createElement('h2');
+    title.className = 'screenshot__title';
+    title.textContent = 'Screenshot';
+
+    const scaleSelect = document.createElement('select');
+    scaleSelect.className = 'screenshot__scale';
+    scaleSelect.setAttribute('aria-label', 'Screenshot size');
+    for (const scale of CONFIG.screenshot.scales) {
+        scaleSelect.add(new Option(`${scale}× viewport`, String(scale)));
+    }
+    scaleSelect.value = String(CONFIG.screenshot.scale);
+
+    /**
+     * @param {string} text
+     * @param {boolean} checked
+     * @returns {{label: HTMLLabelElement, input: HTMLInputElement}}
+     */
+    function createCheckbox(text, checked) {
+        const label = document.createElement('label');
+        label.className = 'screenshot__option';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = checked;
+        label.append(input, ` ${text}`);
+        return { label, input };
+    }
+
+    const transparent = createCheckbox('Transparent background', CONFIG.screenshot.transparent);
+    const snow = createCheckbox('Include snow', CONFIG.screenshot.includeSnow);
+
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.className = 'screenshot__button';
+    saveButton.textContent = 'Save PNG';
+
+    element.append(title, scaleSelect, transparent.label, snow.label, saveButton);
+
+    function onSubmit(event) {
+        event.preventDefault();
+        saveButton.disabled = true;
+        onCapture({
+            scale: Number(scaleSelect.value),
+            transparent: transparent.input.checked,
+            includeSnow: snow.input.checked
+        }).finally(() => {
+            saveButton.disabled = false;
+        });
+    }
+
+    /**
+     * Show or hide the panel
+     * @returns {boolean} Whether the panel is now shown
+     */
+    function toggle() {
+        element.hidden = !element.hidden;
+        return !element.hidden;
+    }
+
+    element.addEventListener('submit', onSubmit);
+
+    function cleanup() {
+        element.removeEventListener('submit', onSubmit);
+        element.remove();
+    }
+
+    return { element, toggle, cleanup };
+}
@@ -8,6 +8,7 @@
  */
 import { CONFIG } from './config.js';
 import { isSnowSeason, debounce } from './utils.js';
+import { currentPreset } from './presets.js';
 
 /** Layer distribution ratios: background, middle, foreground */
 const LAYER_DISTRIBUTION = [0.3, 0.4, 0.3];
@@ -74,6 +75,11 @@ export class SnowEffect {
         this.canvas = document.createElement('canvas');
         this.ctx = this.canvas.getContext('2d');
         this.snowflakes = [];
+        // Fraction of CONFIG.snow.flakesPerArea's density, lowered by adaptive quality
+        this.density = 1;
+        // Device tilt in [-1, 1], shifting nearer layers further
+        this.parallaxX = 0;
+        this.parallaxY = 0;
         
         // Determine snow enabled state: respect user preference, fall back to seasonal default
         const stored = localStorage.getItem('snowEnabled');
@@ -83,24 +89,49 @@ export class SnowEffect {
         this.canvas.className = 'snow-canvas';
         this.canvas.setAttribute('aria-hidden', 'true');
 
-        // PS1 mode: draw at a fraction of viewport resolution and let the CSS
-        // upscale with nearest-neighbor filtering, matching the WebGL renderer's
-        // pixelation (see renderer.js computeRenderSize).
-        if (CONFIG.ps1Style) {
-            this.canvas.classList.add('snow-canvas--ps1');
-        }
-
         document.querySelector('main').appendChild(this.canvas);
         
-        this.resize();
+        this.applyStyle();
         
         // Handle window resize (debounced to match renderer resize behavior)
         this.resizeHandler = debounce(() => this.resize(), CONFIG.resize.debounceMs);
         window.addEventListener('resize', this.resizeHandler);
     }
     
+    /**
+     * Match the canvas to the active render preset. Call again after it changes.
+     */
+    applyStyle() {
+        // Low-res presets: draw at a fraction of viewport resolution and let the
+        // CSS upscale it, with nearest-neighbor filtering where the preset is
+        // pixelated, matching the WebGL renderer (see renderer.js computeRenderSize).
+        this.canvas.classList.toggle('snow-canvas--pixelated', Boolean(currentPreset().pixelated));
+        this.resize();
+    }
+
+    /**
+     * Scale the number of snowflakes, e.g. down when the device struggles
+     * @param {number} density - Fraction of the configured density, 0 to 1
+     */
+    setDensity(density) {
+        this.density = density;
+        this._adjustFlakeCount(this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Shift the layers by a device tilt, nearer ones further, as if looking
+     * past the model through the snow (see CONFIG.tilt.snowShift)
+     * @param {number} x - Tilt toward the screen's right, -1 to 1
+     * @param {number} y - Tilt toward the screen's top, -1 to 1
+     */
+    setParallax(x, y) {
+        this.parallaxX = x;
+        this.parallaxY = y;
+    }
+
     resize() {
-        const scale = CONFIG.ps1Style ? 1 / CONFIG.ps1PixelScale : 1;
+        const { pixelScale } = currentPreset();
+        const scale = pixelScale ? 1 / pixelScale : 1;
         this.canvas.width = Math.max(1, Math.floor(window.innerWidth * scale));
         this.canvas.height = Math.max(1, Math.floor(window.innerHeight * scale));
         this.canvas.style.width = `${window.innerWidth}px`;
@@ -125,7 +156,7 @@ export class SnowEffect {
      */
     _adjustFlakeCount(canvasWidth, canvasHeight) {
         const targetTotal = Math.max(
-            Math.floor((canvasWidth * canvasHeight) / CONFIG.snow.flakesPerArea),
+            Math.floor((canvasWidth * canvasHeight * this.density) / CONFIG.snow.flakesPerArea),
             MIN_SNOWFLAKES
         );
         const currentTotal = this.snowflakes.length;
@@ -210,6 +241,13 @@ export class SnowEffect {
         
         const ctx = this.ctx;
         ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Parallax offset per layer, in canvas pixels
+        const scale = this.canvas.width / window.innerWidth;
+        const offsets = CONFIG.tilt.snowShift.map(shift => ({
+            x: -this.parallaxX * shift * scale,
+            y: this.parallaxY * shift * scale
+        }));
         
         // Group snowflakes by fillStyle for batched drawing
         const groups = new Map();
@@ -232,16 +270,18 @@ export class SnowEffect {
             
             // Small flakes: fillRect is cheaper than arc for tiny circles
             for (const flake of group.small) {
+                const { x, y } = offsets[flake.layer];
                 const d = flake.radius * 2;
-                ctx.fillRect(flake.x - flake.radius, flake.y - flake.radius, d, d);
+                ctx.fillRect(flake.x + x - flake.radius, flake.y + y - flake.radius, d, d);
             }
             
             // Large flakes: batch into a single Path2D, one fill() call per group
             if (group.large.length > 0) {
                 const path = new Path2D();
                 for (const flake of group.large) {
-                    path.moveTo(flake.x + flake.radius, flake.y);
-                    path.arc(flake.x, flake.y, flake.radius, 0, Math.PI * 2);
+                    const { x, y } = offsets[flake.layer];
+                    path.moveTo(flake.x + x + flake.radius, flake.y + y);
+                    path.arc(flake.x + x, flake.y + y, flake.radius, 0, Math.PI * 2);
                 }
                 ctx.fill(path);
             }
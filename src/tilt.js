@@ -0,0 +1,191 @@
+/**
+ * Tilt parallax: on phones and tablets, tilting the device turns the model a
+ * little and shifts the snow layers. Readings are taken relative to the pose
+ * the device was in when tilt was turned on, so it works held at any angle.
+ */
+import { CONFIG } from './config.js';
+
+/**
+ * The screen's rotation from the device's natural orientation
+ * @returns {number} Degrees: 0, 90, 180 or 270 (or -90)
+ */
+function screenAngle() {
+    return screen.orientation?.angle ?? globalThis.orientation ?? 0;
+}
+
+/**
+ * Turn device-frame tilt into screen-frame tilt. beta and gamma are measured
+ * against the device's natural (portrait, on phones) orientation, so in
+ * landscape they trade places.
+ * @param {number} beta - Front-to-back tilt in degrees, positive with the top edge raised
+ * @param {number} gamma - Left-to-right tilt in degrees, positive with the right edge lowered
+ * @param {number} angle - Screen rotation in degrees, see screenAngle()
+ * @returns {{x: number, y: number}} Tilt in degrees toward the screen's right and top
+ */
+export function screenTilt(beta, gamma, angle) {
+    switch (((angle % 360) + 360) % 360) {
+        case 90:
+            return { x: beta, y: -gamma };
+        case 180:
+            return { x: -gamma, y: -beta };
+        case 270:
+            return { x: -beta, y: gamma };
+        default:
+            return { x: gamma, y: beta };
+    }
+}
+
+/**
+ * Whether this browser can report device orientation at all. Some that can
+ * (desktops) still have no sensor; that only shows once tilt is turned on.
+ * @returns {boolean}
+ */
+export function isTiltSupported() {
+    return typeof DeviceOrientationEvent !== 'undefined';
+}
+
+/**
+ * Ask for motion sensor access where the browser requires it (iOS Safari).
+ * Must be called from a tap or click.
+ * @returns {Promise<boolean>} Whether orientation events may be listened to
+ */
+async function requestPermission() {
+    if (typeof DeviceOrientationEvent.requestPermission !== 'function') return true;
+    try {
+        return await DeviceOrientationEvent.requestPermission() === 'granted';
+    } catch {
+        // Rejected when not called from a user gesture
+        return false;
+    }
+}
+
+/**
+ * Create the tilt toggle button and follow the device's orientation while
+ * tilt is on. The smoothed tilt is written to the mouse state on each
+ * update(), for updateRotation() and the snow to pick up.
+ * @param {Function} [announce] - Called with text when tilt turns on or off or isn't available
+ * @returns {{element: HTMLButtonElement, update: Function, toggle: Function, calibrate: Function, cleanup: Function}}
+ */
+export function createTiltControls(announce = () => {}) {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.className = 'tilt-button';
+    element.textContent = 'Tilt';
+    element.setAttribute('aria-pressed', 'false');
+    element.hidden = !isTiltSupported();
+
+    let active = false;
+    // Latest reading and the pose it is measured from, in screen-frame degrees
+    let reading = null;
+    let rest = null;
+    let restAngle = 0;
+    let sensorTimer = null;
+
+    function onOrientation(event) {
+        if (event.beta === null || event.gamma === null) {
+            // Browsers without a sensor may still fire one empty event
+            unavailable();
+            return;
+        }
+        clearTimeout(sensorTimer);
+        const angle = screenAngle();
+        reading = screenTilt(event.beta, event.gamma, angle);
+        // Turning the screen swaps the axes, so the old pose means nothing
+        if (!rest || angle !== restAngle) {
+            rest = reading;
+            restAngle = angle;
+        }
+    }
+
+    function setActive(value) {
+        active = value;
+        element.setAttribute('aria-pressed', String(value));
+        localStorage.setItem('tiltEnabled', String(value));
+    }
+
+    function start() {
+        setActive(true);
+        reading = null;
+        rest = null;
+        globalThis.addEventListener('deviceorientation', onOrientation);
+        sensorTimer = setTimeout(unavailable, CONFIG.tilt.sensorTimeoutMs);
+    }
+
+    function stop() {
+        clearTimeout(sensorTimer);
+        globalThis.removeEventListener('deviceorientation', onOrientation);
+        setActive(false);
+        reading = null;
+    }
+
+    function unavailable() {
+        stop();
+        element.hidden = true;
+        announce('Tilt is not available on this device');
+    }
+
+    /**
+     * Turn tilt on or off. On iOS the first turn on asks for motion sensor
+     * access, so call this from a tap, click or key press.
+     * @returns {Promise<void>} Settles once tilt is on, or it was refused
+     */
+    async function toggle() {
+        if (active) {
+            stop();
+            announce('Tilt: OFF');
+            return;
+        }
+        if (!isTiltSupported()) {
+            announce('Tilt is not available on this device');
+            return;
+        }
+        if (!await requestPermission()) {
+            announce('Tilt needs motion sensor access');
+            return;
+        }
+        start();
+        announce('Tilt: ON');
+    }
+
+    /**
+     * Take the device's current pose as the new rest pose
+     */
+    function calibrate() {
+        rest = reading;
+    }
+
+    /**
+     * Ease the mouse state's tilt toward the device's tilt, or back to zero
+     * while tilt is off
+     * @param {Object} mouseState - Mouse state object from initializeControls
+     * @param {number} delta - Time delta in seconds
+     */
+    function update(mouseState, delta) {
+        const { maxAngle, smoothing } = CONFIG.tilt;
+        const clamp = value => Math.max(-1, Math.min(1, value / maxAngle));
+        const targetX = active && reading ? clamp(reading.x - rest.x) : 0;
+        const targetY = active && reading ? clamp(reading.y - rest.y) : 0;
+
+        // Exponential smoothing, independent of the frame rate; it also
+        // hides the sensor's jitter
+        const t = smoothing > 0 ? 1 - Math.exp(-delta / smoothing) : 1;
+        mouseState.tiltX += (targetX - mouseState.tiltX) * t;
+        mouseState.tiltY += (targetY - mouseState.tiltY) * t;
+    }
+
+    element.addEventListener('click', toggle);
+
+    // Restore a persisted choice, except where turning it on needs a tap
+    if (CONFIG.tilt.enabled && isTiltSupported() && typeof DeviceOrientationEvent.requestPermission !== 'function') {
+        start();
+    }
+
+    function cleanup() {
+        clearTimeout(sensorTimer);
+        globalThis.removeEventListener('deviceorientation', onOrientation);
+        element.removeEventListener('click', toggle);
+        element.remove();
+    }
+
+    return { element, update, toggle, calibrate, cleanup };
+}
@@ -45,6 +45,25 @@ export function isSnowSeason(winterMonths) {
     return Array.isArray(winterMonths) && winterMonths.includes(currentMonth);
 }
 
+/**
+ * Material properties that can hold a texture
+ */
+export const TEXTURE_SLOTS = [
+    'map',
+    'lightMap',
+    'bumpMap',
+    'normalMap',
+    'specularMap',
+    'envMap',
+    'alphaMap',
+    'aoMap',
+    'displacementMap',
+    'emissiveMap',
+    'gradientMap',
+    'metalnessMap',
+    'roughnessMap'
+];
+
 /**
  * Helper function to properly dispose of a Three.js material and its textures
  * @param {THREE.Material} material - The material to dispose
@@ -53,20 +72,60 @@ export function disposeMaterial(material) {
     if (!material) return;
     
     // Dispose all textures in the material
-    if (material.map) material.map.dispose();
-    if (material.lightMap) material.lightMap.dispose();
-    if (material.bumpMap) material.bumpMap.dispose();
-    if (material.normalMap) material.normalMap.dispose();
-    if (material.specularMap) material.specularMap.dispose();
-    if (material.envMap) material.envMap.dispose();
-    if (material.alphaMap) material.alphaMap.dispose();
-    if (material.aoMap) material.aoMap.dispose();
-    if (material.displacementMap) material.displacementMap.dispose();
-    if (material.emissiveMap) material.emissiveMap.dispose();
-    if (material.gradientMap) material.gradientMap.dispose();
-    if (material.metalnessMap) material.metalnessMap.dispose();
-    if (material.roughnessMap) material.roughnessMap.dispose();
+    for (const slot of TEXTURE_SLOTS) {
+        material[slot]?.dispose();
+    }
     
     // Dispose the material itself
     material.dispose();
 }
+
+/**
+ * Dispose of a model's geometries and materials and detach it from its parent
+ * @param {THREE.Object3D} model - The model to dispose
+ */
+export function disposeModel(model) {
+    if (!model) return;
+    
+    model.traverse((child) => {
+        if (child.isMesh) {
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+            
+            if (child.material) {
+                if (Array.isArray(child.material)) {
+                    child.material.forEach(mat => disposeMaterial(mat));
+                } else {
+                    disposeMaterial(child.material);
+                }
+            }
+        }
+    });
+    
+    model.removeFromParent();
+}
+
+/**
+ * A file name without its directories and extension, e.g. for naming downloads
+ * @param {string} path - e.g. "assets/models/plate.glb"
+ * @returns {string} e.g. "plate"
+ */
+export function fileStem(path) {
+    return path.split('/').pop().replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Offer a blob to the user as a file download
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoke after the click has started the download
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,292 @@
+/**
+ * Main-thread side of the model worker: sends load requests and rebuilds the
+ * models it posts back. Whenever the worker can't help (no Worker support, the
+ * worker script failed to load, a model it can't transfer) the caller gets
+ * told to load on the main thread instead.
+ */
+import * as THREE from 'three';
+import { CONFIG } from './config.js';
+import { ModelLoadError } from './download.js';
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 1;
+
+/** Requests in flight, by id: { resolve, reject, onProgress } */
+const requests = new Map();
+
+/**
+ * Rebuild a buffer attribute
+ * @param {Object} data - From model-transfer.js
+ * @returns {THREE.BufferAttribute}
+ */
+function deserializeAttribute(data) {
+    const attribute = new THREE.BufferAttribute(data.array, data.itemSize, data.normalized);
+    attribute.name = data.name;
+    return attribute;
+}
+
+/**
+ * Rebuild a geometry
+ * @param {Object} data - From model-transfer.js
+ * @returns {THREE.BufferGeometry}
+ */
+function deserializeGeometry(data) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.uuid = data.uuid;
+    geometry.name = data.name;
+    if (data.index) {
+        geometry.setIndex(deserializeAttribute(data.index));
+    }
+    for (const [name, attribute] of Object.entries(data.attributes)) {
+        geometry.setAttribute(name, deserializeAttribute(attribute));
+    }
+    for (const [name, targets] of Object.entries(data.morphAttributes)) {
+        geometry.morphAttributes[name] = targets.map(deserializeAttribute);
+    }
+    geometry.morphTargetsRelative = data.morphTargetsRelative;
+    data.groups.forEach(group => geometry.addGroup(group.start, group.count, group.materialIndex));
+    geometry.setDrawRange(data.drawRange.start, data.drawRange.count);
+    geometry.userData = data.userData;
+    return geometry;
+}
+
+/**
+ * Apply properties encoded by model-transfer.js to a freshly constructed object
+ * @param {Object} target - Object3D, Material or Texture
+ * @param {Object} properties - Property name -> encoded value
+ * @param {THREE.Texture[]} textures - Rebuilt textures, for texture references
+ */
+function applyProperties(target, properties, textures) {
+    for (const [key, encoded] of Object.entries(properties)) {
+        if ('texture' in encoded) {
+            target[key] = textures[encoded.texture];
+        } else if ('array' in encoded) {
+            target[key]?.fromArray?.(encoded.array);
+        } else {
+            target[key] = encoded.value;
+        }
+    }
+}
+
+/**
+ * Construct a three.js object from its type name, making sure it is the expected kind
+ * @param {string} type - Class name, e.g. 'Mesh'
+ * @param {string} kind - Flag the object must have, e.g. 'isObject3D'
+ * @param {...*} args - Constructor arguments
+ * @returns {Object}
+ */
+function createByType(type, kind, ...args) {
+    const Class = THREE[type];
+    const instance = typeof Class === 'function' ? new Class(...args) : null;
+    if (!instance?.[kind]) {
+        throw new TypeError(`Unknown ${kind.slice(2)} type: ${type}`);
+    }
+    return instance;
+}
+
+/**
+ * Rebuild a model posted by the worker
+ * @param {Object} data - Serialized model from model-transfer.js
+ * @returns {THREE.Object3D} The model, with animation clips on `.animations`
+ */
+export function deserializeModel(data) {
+    const textures = data.textures.map(({ image, properties }) => {
+        const texture = new THREE.Texture(image ?? undefined);
+        applyProperties(texture, properties, []);
+        if (image) {
+            texture.needsUpdate = true;
+        }
+        return texture;
+    });
+    const materials = data.materials.map(({ type, properties }) => {
+        const material = createByType(type, 'isMaterial');
+        applyProperties(material, properties, textures);
+        return material;
+    });
+    const geometries = data.geometries.map(deserializeGeometry);
+
+    // Skeletons reference bones anywhere in the model, so bind them once it's all built
+    const objects = new Map();
+    const skinnedMeshes = [];
+
+    function deserializeObject(objectData) {
+        let object;
+        if (objectData.geometry === undefined) {
+            object = createByType(objectData.type, 'isObject3D');
+        } else {
+            const material = Array.isArray(objectData.material)
+                ? objectData.material.map(index => materials[index])
+                : materials[objectData.material];
+            object = createByType(objectData.type, 'isObject3D', geometries[objectData.geometry], material);
+        }
+        applyProperties(object, objectData.properties, textures);
+        objects.set(object.uuid, object);
+        if (objectData.skeleton) {
+            skinnedMeshes.push({ mesh: object, skeleton: objectData.skeleton });
+        }
+
+        objectData.children.forEach(child => object.add(deserializeObject(child)));
+        return object;
+    }
+
+    const model = deserializeObject(data.root);
+    for (const { mesh, skeleton } of skinnedMeshes) {
+        const bones = skeleton.bones.map(uuid => objects.get(uuid));
+        const boneInverses = skeleton.boneInverses.map(matrix => new THREE.Matrix4().fromArray(matrix));
+        mesh.bind(new THREE.Skeleton(bones, boneInverses), mesh.bindMatrix);
+    }
+    model.animations = data.animations.map(clip => THREE.AnimationClip.parse(clip));
+    return model;
+}
+
+/**
+ * Free the decoded images of a model nobody is waiting for anymore
+ * @param {Object} [data] - Serialized model
+ */
+function closeImages(data) {
+    data?.textures.forEach(texture => texture.image?.close());
+}
+
+/**
+ * Handle a message from the worker
+ * @param {MessageEvent} event
+ */
+function onMessage({ data: message }) {
+    if (message.type === 'unavailable') {
+        disableWorker(message.reason);
+        return;
+    }
+
+    const request = requests.get(message.id);
+    if (!request) {
+        // The load was aborted while the worker was busy with it
+        closeImages(message.model);
+        return;
+    }
+
+    switch (message.type) {
+        case 'progress':
+            request.onProgress?.(message.fraction);
+            break;
+        case 'loaded':
+            requests.delete(message.id);
+            try {
+                request.resolve({ model: deserializeModel(message.model), failedUrls: message.failedUrls ?? [] });
+            } catch (error) {
+                request.reject(error);
+            }
+            break;
+        case 'unsupported':
+            requests.delete(message.id);
+            console.warn('Parsing model on the main thread:', message.reason);
+            request.resolve({ buffer: message.buffer });
+            break;
+        case 'error':
+            requests.delete(message.id);
+            request.reject(new ModelLoadError(message.message, { retryable: message.retryable }));
+            break;
+    }
+}
+
+/**
+ * Stop using the worker, e.g. because its script or the three.js modules it
+ * imports failed to load. Loads from then on, and any in flight, happen on the main thread.
+ * @param {*} reason
+ */
+function disableWorker(reason) {
+    console.warn('Model worker unavailable, parsing on the main thread instead:', reason);
+    workerFailed = true;
+    terminateModelWorker();
+}
+
+/**
+ * The import map src/bootstrap.js installed, for the worker to load three.js
+ * from the same mirror with the same integrity hashes
+ * @returns {Object|null}
+ */
+function pageImportMap() {
+    const script = document.querySelector('script[type="importmap"]');
+    try {
+        return script ? JSON.parse(script.textContent) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the model worker, starting it on first use
+ * @returns {Worker|null} Null when models have to be loaded on the main thread
+ */
+function getWorker() {
+    if (!CONFIG.modelWorker || workerFailed || typeof Worker === 'undefined') {
+        return null;
+    }
+    if (!worker) {
+        const importMap = pageImportMap();
+        if (!importMap) {
+            disableWorker('the page has no import map');
+            return null;
+        }
+        try {
+            worker = new Worker(new URL('./model-worker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            disableWorker(error);
+            return null;
+        }
+        worker.addEventListener('message', onMessage);
+        worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            disableWorker(event.message || 'failed to start');
+        });
+        worker.postMessage({ type: 'init', importMap });
+    }
+    return worker;
+}
+
+/**
+ * Fetch and parse a model in the worker
+ * @param {string} url - Model URL, relative to the page
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onProgress] - Called with the fraction downloaded, 0-1
+ * @returns {Promise<{model?: THREE.Object3D, failedUrls?: string[], buffer?: ArrayBuffer}|null>} The
+ *     model and the URLs of resources it failed to load; or the raw file if it has to be parsed
+ *     on the main thread; or null if the worker isn't available
+ * @throws {ModelLoadError} If fetching or parsing failed
+ */
+export function parseInWorker(url, { signal, onProgress } = {}) {
+    const modelWorker = getWorker();
+    if (!modelWorker) {
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const id = nextRequestId++;
+        requests.set(id, { resolve, reject, onProgress });
+        signal?.addEventListener('abort', () => {
+            if (requests.delete(id)) {
+                modelWorker.postMessage({ type: 'abort', id });
+                reject(signal.reason);
+            }
+        }, { once: true });
+
+        // The worker resolves URLs against its own script, so send an absolute one
+        modelWorker.postMessage({ type: 'load', id, url: new URL(url, document.baseURI).href });
+    });
+}
+
+/**
+ * Terminate the worker. Loads still in flight fall back to the main thread.
+ */
+export function terminateModelWorker() {
+    worker?.terminate();
+    worker = null;
+    requests.forEach(request => request.resolve(null));
+    requests.clear();
+}
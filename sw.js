@@ -0,0 +1,250 @@
+/**
+ * Service worker: keeps the viewer working offline and when the CDN is down.
+ *
+ * Everything the app needs is precached on install into a cache named after
+ * CACHE_VERSION. Bump the version whenever this file changes; that is also
+ * what makes browsers install the new worker and the page offer a reload.
+ *
+ * Files _headers serves with `Cache-Control: no-cache` (app code, styles, this
+ * worker) plus the page itself are fetched network-first, so online visitors
+ * still get every deploy right away and the cache only answers offline.
+ * Version-pinned CDN modules never change and are served cache-first; other
+ * assets (models, icons) stale-while-revalidate.
+ */
+
+const CACHE_VERSION = 'v15';
+const CACHE_PREFIX = 'tarelka-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+/** App files, relative to this worker. tests/sw.test.js checks every src/ module is listed. */
+const APP_FILES = [
+    './',
+    'style.css',
+    'src/animation.js',
+    'src/bootstrap.js',
+    'src/config.js',
+    'src/controls.js',
+    'src/diagnostics.js',
+    'src/download.js',
+    'src/dropzone.js',
+    'src/formats.js',
+    'src/framing.js',
+    'src/gallery.js',
+    'src/gamepad.js',
+    'src/ground.js',
+    'src/lighting.js',
+    'src/loader.js',
+    'src/main.js',
+    'src/model-transfer.js',
+    'src/model-worker.js',
+    'src/n64.js',
+    'src/offline.js',
+    'src/parser.js',
+    'src/pinned-modules.js',
+    'src/postprocessing.js',
+    'src/presets.js',
+    'src/ps1.js',
+    'src/quality.js',
+    'src/recorder.js',
+    'src/renderer.js',
+    'src/scene.js',
+    'src/screenshot.js',
+    'src/snow.js',
+    'src/tilt.js',
+    'src/utils.js',
+    'src/worker-client.js',
+    'assets/models/manifest.json',
+    'assets/icons/site.webmanifest',
+    'assets/icons/favicon-16x16.png',
+    'assets/icons/favicon-32x32.png',
+    'assets/icons/apple-touch-icon.png',
+    'assets/icons/android-chrome-192x192.png'
+];
+
+/** Paths (relative to this worker) that _headers marks `no-cache`, plus the page */
+const NETWORK_FIRST = [/^$/, /^index\.html$/, /^style\.css$/, /^sw\.js$/, /^src\//];
+
+/** Version-pinned three.js modules on the CDN mirrors; their content never changes */
+const CDN_PREFIXES = ['https://cdn.jsdelivr.net/npm/three@', 'https://unpkg.com/three@'];
+
+/**
+ * three.js modules listed in each of the page's candidate import maps, with
+ * their SRI hashes, in the page's order of preference
+ * @param {string} html - index.html
+ * @returns {{url: string, integrity: string}[][]} One module list per mirror
+ */
+function importMapModules(html) {
+    return [...html.matchAll(/<script type="application\/json" data-importmap[^>]*>(.*?)<\/script>/gs)]
+        .map(([, text]) => Object.entries(JSON.parse(text).integrity).map(([url, integrity]) => ({ url, integrity })));
+}
+
+/**
+ * Cache the import map modules from the first mirror that serves them all.
+ * The page's bootstrap probes mirrors in the same order, and falls through
+ * to the cached one when offline.
+ * @param {Cache} cache
+ * @param {{url: string, integrity: string}[][]} mirrors - From importMapModules()
+ */
+async function precacheImportMap(cache, mirrors) {
+    let lastError;
+    for (const modules of mirrors) {
+        try {
+            // Fetched with their integrity hashes, so a tampered CDN response
+            // fails the install instead of being cached
+            await Promise.all(modules.map(({ url, integrity }) => cache.add(new Request(url, { integrity, mode: 'cors' }))));
+            return;
+        } catch (error) {
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Model files listed in the gallery manifest
+ * @param {Object} manifest - assets/models/manifest.json
+ * @returns {string[]}
+ */
+function modelPaths(manifest) {
+    return manifest.models.map(entry => entry.path);
+}
+
+/**
+ * Path of a same-origin URL relative to this worker, or null for other origins
+ * @param {string} url
+ * @returns {string|null}
+ */
+function relativePath(url) {
+    const base = new URL('./', self.location.href).href;
+    return url.startsWith(base) ? url.slice(base.length).replace(/[?#].*$/, '') : null;
+}
+
+/**
+ * Whether a request must go to the network first
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function isNetworkFirst(request) {
+    const path = relativePath(request.url);
+    return request.mode === 'navigate' || (path !== null && NETWORK_FIRST.some(pattern => pattern.test(path)));
+}
+
+/**
+ * Fill the cache with everything the app needs offline. The CDN modules and
+ * models are read from the precached page and manifest, so they can't drift
+ * from what the app actually loads; the model worker imports the same
+ * modules through the page's import map.
+ */
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    // Bypass the HTTP cache, which may still hold files from before a deploy
+    const fresh = path => new Request(path, { cache: 'reload' });
+
+    await cache.addAll(APP_FILES.map(fresh));
+
+    const [html, manifest] = await Promise.all([
+        cache.match('./').then(response => response.text()),
+        cache.match('assets/models/manifest.json').then(response => response.json())
+    ]);
+
+    await Promise.all([
+        precacheImportMap(cache, importMapModules(html)),
+        cache.addAll(modelPaths(manifest).map(fresh))
+    ]);
+}
+
+/**
+ * Store a copy of a successful response. The copy is written in the
+ * background so large models still stream to the page as they download.
+ * @param {FetchEvent} event
+ * @param {Cache} cache
+ * @param {Response} response
+ * @returns {Response} The response, for the page
+ */
+function cacheResponse(event, cache, response) {
+    if (response.ok) {
+        event.waitUntil(cache.put(event.request, response.clone()));
+    }
+    return response;
+}
+
+/**
+ * Network first, falling back to the cache (and to the page for navigations)
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(event) {
+    const { request } = event;
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        return cacheResponse(event, cache, await fetch(request));
+    } catch (error) {
+        const cached = await cache.match(request) ?? (request.mode === 'navigate' ? await cache.match('./') : undefined);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Cache first, caching whatever the network returns on a miss
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(event) {
+    const cache = await caches.open(CACHE_NAME);
+    return await cache.match(event.request) ?? cacheResponse(event, cache, await fetch(event.request));
+}
+
+/**
+ * Answer from the cache right away and refresh it in the background
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(event.request);
+    const update = fetch(event.request).then(response => cacheResponse(event, cache, response));
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        // Take over the page that installed us, so it is offline-ready right away
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || request.headers.has('range')) return;
+
+    if (isNetworkFirst(request)) {
+        event.respondWith(networkFirst(event));
+    } else if (CDN_PREFIXES.some(prefix => request.url.startsWith(prefix))) {
+        event.respondWith(cacheFirst(event));
+    } else if (relativePath(request.url) !== null) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+// The page asks a waiting update to take over once the user accepts it
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { createAnimationPlayer, createTimeline } from '../src/animation.js';
+
+/** A model whose child "box" slides along x over two clips */
+function animatedModel() {
+    const model = new THREE.Group();
+    model.name = 'root';
+    const box = new THREE.Object3D();
+    box.name = 'box';
+    model.add(box);
+    model.animations = [
+        new THREE.AnimationClip('slide', 2, [new THREE.NumberKeyframeTrack('box.position[x]', [0, 2], [0, 10])]),
+        new THREE.AnimationClip('lift', 1, [new THREE.NumberKeyframeTrack('box.position[y]', [0, 1], [0, 4])])
+    ];
+    return { model, box };
+}
+
+describe('createAnimationPlayer', () => {
+    it('returns null for models without animations', () => {
+        expect(createAnimationPlayer(new THREE.Group())).toBeNull();
+    });
+
+    it('plays the first clip as the mixer advances', () => {
+        const { model, box } = animatedModel();
+        const player = createAnimationPlayer(model);
+
+        player.update(1);
+
+        expect(player.playing).toBe(true);
+        expect(player.time).toBeCloseTo(1);
+        expect(box.position.x).toBeCloseTo(5);
+    });
+
+    it('holds the pose while paused and scrubs to any time', () => {
+        const { model, box } = animatedModel();
+        const player = createAnimationPlayer(model);
+
+        player.pause();
+        player.update(1);
+        expect(box.position.x).toBe(0);
+
+        player.seek(1.5);
+        expect(box.position.x).toBeCloseTo(7.5);
+        player.seek(99);
+        expect(player.time).toBe(2);
+    });
+
+    it('applies the playback speed', () => {
+        const { model, box } = animatedModel();
+        const player = createAnimationPlayer(model);
+
+        player.setSpeed(0.5);
+        player.update(1);
+
+        expect(box.position.x).toBeCloseTo(2.5);
+    });
+
+    it('stops at the end in "once" mode and starts over on play', () => {
+        const { model, box } = animatedModel();
+        const player = createAnimationPlayer(model);
+        player.setLoop('once');
+
+        player.update(3);
+        expect(player.playing).toBe(false);
+        expect(box.position.x).toBeCloseTo(10);
+
+        player.play();
+        player.update(0.5);
+        expect(box.position.x).toBeCloseTo(2.5);
+    });
+
+    it('switches clips', () => {
+        const { model, box } = animatedModel();
+        const player = createAnimationPlayer(model);
+
+        player.select(1);
+        player.update(0.5);
+
+        expect(player.clipIndex).toBe(1);
+        expect(player.duration).toBe(1);
+        expect(box.position.y).toBeCloseTo(2);
+    });
+
+    it('leaves the model root\'s transform to the viewer', () => {
+        const { model, box } = animatedModel();
+        model.animations = [new THREE.AnimationClip('walk', 1, [
+            new THREE.VectorKeyframeTrack('root.position', [0, 1], [0, 0, 0, 0, 0, 5]),
+            new THREE.NumberKeyframeTrack('.rotation[y]', [0, 1], [0, 3]),
+            new THREE.NumberKeyframeTrack('box.position[x]', [0, 1], [0, 1])
+        ])];
+        const player = createAnimationPlayer(model);
+
+        player.update(0.5);
+
+        expect(player.clips[0].tracks).toHaveLength(1);
+        expect(model.position.z).toBe(0);
+        expect(model.rotation.y).toBe(0);
+        expect(box.position.x).toBeCloseTo(0.5);
+    });
+});
+
+describe('createTimeline', () => {
+    it('offers a clip selector only when there is more than one clip', () => {
+        const { model } = animatedModel();
+        const single = animatedModel().model;
+        single.animations.length = 1;
+
+        const timeline = createTimeline(createAnimationPlayer(model));
+        const singleTimeline = createTimeline(createAnimationPlayer(single));
+
+        expect(timeline.element.querySelector('.timeline__clip').hidden).toBe(false);
+        expect(timeline.element.querySelector('.timeline__clip').options).toHaveLength(2);
+        expect(singleTimeline.element.querySelector('.timeline__clip').hidden).toBe(true);
+    });
+
+    it('toggles playback from the play button', () => {
+        const player = createAnimationPlayer(animatedModel().model);
+        const { element } = createTimeline(player);
+        const button = element.querySelector('.timeline__play');
+
+        expect(button.getAttribute('aria-label')).toBe('Pause');
+        button.click();
+
+        expect(player.playing).toBe(false);
+        expect(button.getAttribute('aria-label')).toBe('Play');
+    });
+
+    it('scrubs, changes speed and loop mode through its controls', () => {
+        const { model, box } = animatedModel();
+        const player = createAnimationPlayer(model);
+        const { element } = createTimeline(player);
+        const scrub = element.querySelector('.timeline__scrub');
+        const change = (el, value, type = 'change') => {
+            el.value = value;
+            el.dispatchEvent(new Event(type));
+        };
+
+        change(scrub, '1', 'input');
+        change(element.querySelector('.timeline__speed'), '2');
+        change(element.querySelector('.timeline__loop'), 'pingpong');
+
+        expect(box.position.x).toBeCloseTo(5);
+        expect(scrub.max).toBe('2');
+        expect(element.querySelector('.timeline__time').textContent).toBe('1.00 / 2.00 s');
+        expect(player.speed).toBe(2);
+        expect(player.loop).toBe('pingpong');
+    });
+
+    it('tracks the playhead on update and removes itself on cleanup', () => {
+        const player = createAnimationPlayer(animatedModel().model);
+        const timeline = createTimeline(player);
+        document.body.appendChild(timeline.element);
+
+        player.update(0.5);
+        timeline.update();
+        expect(timeline.element.querySelector('.timeline__scrub').value).toBe('0.5');
+
+        timeline.cleanup();
+        expect(document.querySelector('.timeline')).toBeNull();
+    });
+});
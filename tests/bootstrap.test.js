@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import bootstrapSource from '../src/bootstrap.js?raw';
+
+const PRIMARY = 'https://cdn.example/three@1.0.0/';
+const FALLBACK = 'https://mirror.example/three@1.0.0/';
+
+/** A candidate import map block for the mirror at `base` */
+function candidate(name, base) {
+    const importMap = {
+        imports: { three: `${base}build/three.module.js`, 'three/addons/': `${base}examples/jsm/` },
+        integrity: { [`${base}build/three.module.js`]: 'sha384-test' }
+    };
+    return `<script type="application/json" data-importmap="${name}">${JSON.stringify(importMap)}</script>`;
+}
+
+/** Run the bootstrap script and wait until it has loaded main.js */
+async function runBootstrap() {
+    new Function(bootstrapSource)();
+    await vi.waitFor(() => expect(document.querySelector('script[type="module"]')).not.toBeNull());
+    return {
+        importMap: document.querySelector('script[type="importmap"]'),
+        main: document.querySelector('script[type="module"]')
+    };
+}
+
+describe('bootstrap', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `<output id="loading">Loading...</output>
+            ${candidate('primary', PRIMARY)}${candidate('fallback', FALLBACK)}`;
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('installs the primary import map when its mirror answers, then loads the app', async () => {
+        const fetch = vi.fn(async () => new Response('export {}'));
+        vi.stubGlobal('fetch', fetch);
+
+        const { importMap, main } = await runBootstrap();
+
+        expect(importMap.textContent).toBe(document.querySelector('[data-importmap="primary"]').textContent);
+        expect(main.getAttribute('src')).toBe('src/main.js');
+        expect(importMap.compareDocumentPosition(main) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy();
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(fetch.mock.calls[0][1]).toMatchObject({ integrity: 'sha384-test', mode: 'cors' });
+    });
+
+    it('falls back to the next mirror when the first fails or serves an error', async () => {
+        vi.stubGlobal('fetch', vi.fn(async url => (url.startsWith(PRIMARY)
+            ? new Response('', { status: 503 })
+            : new Response('export {}'))));
+
+        const { importMap } = await runBootstrap();
+
+        expect(JSON.parse(importMap.textContent).imports.three).toBe(`${FALLBACK}build/three.module.js`);
+    });
+
+    it('still starts with the primary map, and reports a failed start, when no mirror answers', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+
+        const { importMap, main } = await runBootstrap();
+        main.dispatchEvent(new Event('error'));
+
+        expect(JSON.parse(importMap.textContent).imports.three).toBe(`${PRIMARY}build/three.module.js`);
+        const loading = document.getElementById('loading');
+        expect(loading.className).toBe('error-container');
+        expect(loading.querySelector('.retry-button')).not.toBeNull();
+    });
+});
@@ -11,15 +11,30 @@ describe('CONFIG', () => {
         localStorage.clear();
     });
 
-    it('reflects the persisted ps1Style preference on load', async () => {
+    it('reflects the persisted renderPreset on load', async () => {
+        localStorage.setItem('renderPreset', 'n64');
+        const CONFIG = await loadConfig();
+        expect(CONFIG.renderPreset).toBe('n64');
+    });
+
+    it('maps the legacy ps1Style preference to the PS1 preset', async () => {
         localStorage.setItem('ps1Style', 'true');
         const CONFIG = await loadConfig();
-        expect(CONFIG.ps1Style).toBe(true);
+        expect(CONFIG.renderPreset).toBe('ps1');
+    });
+
+    it('defaults to the standard preset when nothing is persisted', async () => {
+        const CONFIG = await loadConfig();
+        expect(CONFIG.renderPreset).toBe('standard');
     });
 
-    it('defaults ps1Style to false when nothing is persisted', async () => {
+    it('only names post-processing passes that exist in every preset', async () => {
         const CONFIG = await loadConfig();
-        expect(CONFIG.ps1Style).toBe(false);
+        for (const preset of Object.values(CONFIG.renderPresets)) {
+            for (const pass of preset.passes ?? []) {
+                expect(CONFIG.postProcessing, pass).toHaveProperty(pass);
+            }
+        }
     });
 
     it('defines exactly seven RGB background colors with channels in [0, 1]', async () => {
@@ -0,0 +1,393 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { CONFIG } from '../src/config.js';
+import { initializeControls, updateCamera, updateRotation } from '../src/controls.js';
+
+/**
+ * Dispatch a pointer event on an element
+ * @param {Element} target
+ * @param {string} type
+ * @param {Object} init - pointerId, clientX, clientY, pointerType, button
+ */
+function pointer(target, type, { pointerId = 1, pointerType = 'touch', button = 0, ...init } = {}) {
+    const event = new PointerEvent(type, { bubbles: true, cancelable: true, pointerId, pointerType, button, ...init });
+    target.dispatchEvent(event);
+    return event;
+}
+
+function wheel(target, deltaY, deltaMode = 0) {
+    const event = new WheelEvent('wheel', { bubbles: true, cancelable: true, deltaY, deltaMode });
+    target.dispatchEvent(event);
+    return event;
+}
+
+function key(target, name, init = {}) {
+    const event = new KeyboardEvent('keydown', { bubbles: true, cancelable: true, key: name, ...init });
+    target.dispatchEvent(event);
+    return event;
+}
+
+/** Run the per-frame update until everything settles */
+function settle(camera, mouseState, distance, frames = 1000) {
+    for (let i = 0; i < frames; i++) {
+        updateCamera(camera, mouseState, distance);
+    }
+}
+
+/** Put two fingers down at the given points */
+function twoFingers(canvas, [x1, y1], [x2, y2]) {
+    pointer(canvas, 'pointerdown', { pointerId: 1, clientX: x1, clientY: y1 });
+    pointer(canvas, 'pointerdown', { pointerId: 2, clientX: x2, clientY: y2 });
+}
+
+describe('pointer controls', () => {
+    let saved;
+    let canvas;
+    let controls;
+    let camera;
+    let announce;
+
+    beforeEach(() => {
+        saved = structuredClone({ zoom: CONFIG.camera.zoom, mouse: CONFIG.mouse });
+        // jsdom has no pointer capture
+        Element.prototype.setPointerCapture = vi.fn();
+        canvas = document.createElement('canvas');
+        document.body.appendChild(canvas);
+        announce = vi.fn();
+        controls = initializeControls(canvas, announce);
+        camera = new THREE.PerspectiveCamera();
+        camera.position.set(0, 1, 2);
+    });
+
+    afterEach(() => {
+        controls.cleanup();
+        CONFIG.camera.zoom = saved.zoom;
+        CONFIG.mouse = saved.mouse;
+        delete Element.prototype.setPointerCapture;
+        document.body.innerHTML = '';
+    });
+
+    describe('drag', () => {
+        for (const pointerType of ['mouse', 'pen', 'touch']) {
+            it(`rotates the model with a ${pointerType}, capturing the pointer`, () => {
+                const { mouseState } = controls;
+
+                pointer(canvas, 'pointerdown', { pointerType, clientX: 100, clientY: 100 });
+                expect(canvas.setPointerCapture).toHaveBeenCalledWith(1);
+                expect(canvas.classList.contains('controls--dragging')).toBe(true);
+
+                // Past the minimum drag distance, then one more step
+                pointer(canvas, 'pointermove', { pointerType, clientX: 110, clientY: 100 });
+                pointer(canvas, 'pointermove', { pointerType, clientX: 120, clientY: 105 });
+                expect(mouseState.velocityX).toBeCloseTo(10 * CONFIG.mouse.sensitivity);
+                expect(mouseState.velocityY).toBeCloseTo(5 * CONFIG.mouse.sensitivity);
+                expect(mouseState.rotationY).toBeCloseTo(20 * CONFIG.mouse.sensitivity);
+
+                pointer(canvas, 'pointerup', { pointerType, clientX: 120, clientY: 105 });
+                expect(mouseState.isDragging).toBe(false);
+                expect(canvas.classList.contains('controls--dragging')).toBe(false);
+            });
+        }
+
+        it('ignores drags shorter than the minimum distance', () => {
+            pointer(canvas, 'pointerdown', { clientX: 100, clientY: 100 });
+            pointer(canvas, 'pointermove', { clientX: 103, clientY: 101 });
+
+            expect(controls.mouseState.rotationY).toBe(0);
+        });
+
+        it('ignores other mouse buttons and pointers that are not down', () => {
+            pointer(canvas, 'pointerdown', { pointerType: 'mouse', button: 2, clientX: 100, clientY: 100 });
+            expect(controls.mouseState.isDragging).toBe(false);
+
+            // A hovering pen moves without pressing
+            pointer(canvas, 'pointermove', { pointerType: 'pen', clientX: 150, clientY: 100 });
+            expect(controls.mouseState.rotationY).toBe(0);
+        });
+
+        it('ends the drag when the pointer is cancelled', () => {
+            pointer(canvas, 'pointerdown', { clientX: 100, clientY: 100 });
+            pointer(canvas, 'pointercancel', {});
+
+            expect(controls.mouseState.isDragging).toBe(false);
+        });
+
+        it('only listens on its element, so overlay UI keeps its gestures', () => {
+            const overlay = document.createElement('div');
+            document.body.appendChild(overlay);
+
+            const down = pointer(overlay, 'pointerdown', { clientX: 100, clientY: 100 });
+            const scroll = wheel(overlay, 100);
+
+            expect(controls.mouseState.isDragging).toBe(false);
+            expect(down.defaultPrevented).toBe(false);
+            expect(scroll.defaultPrevented).toBe(false);
+        });
+
+        it('moves to another element with setElement', () => {
+            const next = document.createElement('canvas');
+            document.body.appendChild(next);
+            pointer(canvas, 'pointerdown', { clientX: 100, clientY: 100 });
+
+            controls.setElement(next);
+
+            expect(controls.mouseState.isDragging).toBe(false);
+            expect(canvas.classList.contains('controls')).toBe(false);
+            expect(next.classList.contains('controls')).toBe(true);
+            pointer(canvas, 'pointerdown', { clientX: 100, clientY: 100 });
+            expect(controls.mouseState.isDragging).toBe(false);
+            pointer(next, 'pointerdown', { clientX: 100, clientY: 100 });
+            expect(controls.mouseState.isDragging).toBe(true);
+        });
+    });
+
+    describe('zoom', () => {
+        it('zooms out on wheel down and in on wheel up, along the view axis', () => {
+            const { mouseState } = controls;
+            const direction = camera.position.clone().normalize();
+
+            const event = wheel(canvas, 100);
+            expect(event.defaultPrevented).toBe(true);
+            updateCamera(camera, mouseState, 2);
+            const zoomedOut = camera.position.length();
+            expect(zoomedOut).toBeGreaterThan(2);
+            expect(camera.position.clone().normalize().distanceTo(direction)).toBeCloseTo(0);
+
+            mouseState.zoomVelocity = 0;
+            wheel(canvas, -3, 1); // Lines, as Firefox reports them
+            updateCamera(camera, mouseState, 2);
+            expect(camera.position.length()).toBeLessThan(zoomedOut);
+        });
+
+        it('coasts to a stop, then eases back to the default distance', () => {
+            const { mouseState } = controls;
+            wheel(canvas, -300);
+
+            updateCamera(camera, mouseState, 2);
+            const first = 2 - camera.position.length();
+            updateCamera(camera, mouseState, 2);
+            const second = 2 - camera.position.length() - first;
+            // Still moving in, but slower
+            expect(second).toBeGreaterThan(0);
+            expect(second).toBeLessThan(first);
+
+            settle(camera, mouseState, 2);
+            expect(mouseState.zoomVelocity).toBe(0);
+            expect(camera.position.length()).toBeCloseTo(2);
+        });
+
+        it('stops at the configured distance limits', () => {
+            const { mouseState } = controls;
+            CONFIG.camera.zoom.returnSpeed = 0;
+
+            wheel(canvas, 100000);
+            settle(camera, mouseState, 2, 10);
+            expect(camera.position.length()).toBeCloseTo(2 * CONFIG.camera.zoom.max);
+            expect(mouseState.zoomVelocity).toBe(0);
+
+            wheel(canvas, -100000);
+            settle(camera, mouseState, 2, 10);
+            expect(camera.position.length()).toBeCloseTo(2 * CONFIG.camera.zoom.min);
+        });
+
+        it('leaves the wheel and pinches alone when disabled', () => {
+            CONFIG.camera.zoom.enabled = false;
+
+            expect(wheel(canvas, 100).defaultPrevented).toBe(false);
+            twoFingers(canvas, [100, 100], [200, 100]);
+            pointer(canvas, 'pointermove', { pointerId: 2, clientX: 300, clientY: 100 });
+            expect(controls.mouseState.zoom).toBe(1);
+        });
+    });
+
+    describe('two-finger gestures', () => {
+        it('pinches: spreading two fingers zooms in by their distance ratio, without rotating', () => {
+            const { mouseState } = controls;
+            CONFIG.camera.zoom.returnSpeed = 0;
+
+            twoFingers(canvas, [100, 100], [200, 100]);
+            expect(mouseState.isDragging).toBe(false);
+            expect(mouseState.isPinching).toBe(true);
+
+            pointer(canvas, 'pointermove', { pointerId: 1, clientX: 90, clientY: 100 });
+            pointer(canvas, 'pointermove', { pointerId: 2, clientX: 210, clientY: 100 });
+            updateCamera(camera, mouseState, 2);
+            expect(camera.position.length()).toBeCloseTo(2 * 100 / 120);
+            expect(mouseState.rotationX).toBe(0);
+            expect(mouseState.rotationY).toBe(0);
+
+            // Lifting a finger ends the pinch and leaves the zoom coasting
+            pointer(canvas, 'pointerup', { pointerId: 2 });
+            expect(mouseState.isPinching).toBe(false);
+            expect(mouseState.isDragging).toBe(false);
+            updateCamera(camera, mouseState, 2);
+            expect(camera.position.length()).toBeLessThan(2 * 100 / 120);
+        });
+
+        it('pans the picture with the fingers and eases back when they lift', () => {
+            const { mouseState } = controls;
+
+            twoFingers(canvas, [100, 100], [200, 100]);
+            pointer(canvas, 'pointermove', { pointerId: 1, clientX: 130, clientY: 80 });
+            pointer(canvas, 'pointermove', { pointerId: 2, clientX: 230, clientY: 80 });
+            expect(mouseState.panX).toBeCloseTo(30);
+            expect(mouseState.panY).toBeCloseTo(-20);
+
+            updateCamera(camera, mouseState, 2);
+            expect(camera.view).toMatchObject({ enabled: true, fullWidth: window.innerWidth, fullHeight: window.innerHeight, offsetX: -30, offsetY: 20 });
+
+            pointer(canvas, 'pointerup', { pointerId: 1 });
+            pointer(canvas, 'pointerup', { pointerId: 2 });
+            settle(camera, mouseState, 2);
+            expect(mouseState.panX).toBe(0);
+            expect(camera.view.enabled).toBe(false);
+        });
+
+        it('twists: turning two fingers clockwise rolls the picture clockwise', () => {
+            const { mouseState } = controls;
+            camera.lookAt(0, 0, 0);
+            const left = new THREE.Vector3(-1, 0, 0).applyQuaternion(camera.quaternion);
+
+            // The second finger swings from the right of the first to below it
+            twoFingers(canvas, [100, 100], [200, 100]);
+            pointer(canvas, 'pointermove', { pointerId: 2, clientX: 100, clientY: 200 });
+            expect(mouseState.twist).toBeCloseTo(Math.PI / 2);
+
+            updateCamera(camera, mouseState, 2);
+            // The camera rolled a quarter turn the other way, so its up is the old left
+            const up = new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion);
+            expect(up.distanceTo(left)).toBeCloseTo(0);
+        });
+
+        it('twists the short way round across the ±π angle boundary', () => {
+            const { mouseState } = controls;
+
+            // Just below the -x axis to just above it
+            twoFingers(canvas, [200, 100], [100, 101]);
+            pointer(canvas, 'pointermove', { pointerId: 2, clientX: 100, clientY: 99 });
+
+            expect(mouseState.twist).toBeCloseTo(2 * Math.atan(1 / 100));
+        });
+
+        it('ignores a third pointer and can turn pan and twist off', () => {
+            const { mouseState } = controls;
+            CONFIG.mouse.pan = false;
+            CONFIG.mouse.twist = false;
+
+            twoFingers(canvas, [100, 100], [200, 100]);
+            pointer(canvas, 'pointerdown', { pointerId: 3, clientX: 150, clientY: 300 });
+            expect(canvas.setPointerCapture).toHaveBeenCalledTimes(2);
+
+            pointer(canvas, 'pointermove', { pointerId: 3, clientX: 10, clientY: 10 });
+            pointer(canvas, 'pointermove', { pointerId: 2, clientX: 100, clientY: 200 });
+            expect(mouseState.panX).toBe(0);
+            expect(mouseState.twist).toBe(0);
+        });
+    });
+
+    describe('keyboard', () => {
+        it('makes the element a focusable, labelled viewer with instructions', () => {
+            controls.setDescription('Tarelka. Plate by Kay.');
+
+            expect(canvas.tabIndex).toBe(0);
+            expect(canvas.getAttribute('role')).toBe('application');
+            expect(canvas.getAttribute('aria-label')).toBe('Tarelka. Plate by Kay.');
+            expect(canvas.hasAttribute('aria-hidden')).toBe(false);
+            const help = document.getElementById(canvas.getAttribute('aria-describedby'));
+            expect(help.textContent).toMatch(/arrow keys/);
+
+            controls.cleanup();
+            expect(canvas.hasAttribute('role')).toBe(false);
+            expect(document.getElementById('controls-help')).toBeNull();
+        });
+
+        it('rotates with the arrow keys through the drag velocity', () => {
+            const { mouseState } = controls;
+            const { rotateStep } = CONFIG.keyboard;
+
+            expect(key(canvas, 'ArrowRight').defaultPrevented).toBe(true);
+            key(canvas, 'ArrowRight');
+            key(canvas, 'ArrowUp');
+            expect(mouseState.velocityX).toBeCloseTo(2 * rotateStep);
+            expect(mouseState.velocityY).toBeCloseTo(-rotateStep);
+
+            key(canvas, 'ArrowLeft');
+            key(canvas, 'ArrowDown');
+            key(canvas, 'ArrowDown');
+            expect(mouseState.velocityX).toBeCloseTo(rotateStep);
+            expect(mouseState.velocityY).toBeCloseTo(rotateStep);
+
+            // Inertia carries the model round like after a drag
+            updateRotation(new THREE.Group(), mouseState, 0);
+            expect(mouseState.rotationY).toBeGreaterThan(0);
+        });
+
+        it('zooms with plus and minus, leaving browser zoom shortcuts alone', () => {
+            const { mouseState } = controls;
+
+            key(canvas, '+');
+            updateCamera(camera, mouseState, 2);
+            expect(camera.position.length()).toBeLessThan(2);
+
+            mouseState.zoomVelocity = 0;
+            key(canvas, '-');
+            key(canvas, '-');
+            expect(mouseState.zoomVelocity).toBeCloseTo(2 * CONFIG.keyboard.zoomStep);
+
+            expect(key(canvas, '+', { ctrlKey: true }).defaultPrevented).toBe(false);
+            expect(mouseState.zoomVelocity).toBeCloseTo(2 * CONFIG.keyboard.zoomStep);
+        });
+
+        it('resets the view with Home and announces it', () => {
+            const { mouseState } = controls;
+            Object.assign(mouseState, { rotationX: 0.4, rotationY: 1, zoom: 1.5, panX: 20, twist: 0.3, defaultRotationY: 2 });
+
+            key(canvas, 'Home');
+
+            expect(mouseState).toMatchObject({ rotationX: 0, rotationY: 0, zoom: 1, panX: 0, twist: 0, defaultRotationY: 0 });
+            expect(announce).toHaveBeenCalledWith('View reset');
+        });
+
+        it('pauses and resumes auto-rotation with Space, ignoring key repeat', () => {
+            const { mouseState } = controls;
+            const model = new THREE.Group();
+
+            expect(key(canvas, ' ').defaultPrevented).toBe(true);
+            key(canvas, ' ', { repeat: true });
+            updateRotation(model, mouseState, 1);
+            expect(mouseState.defaultRotationY).toBe(0);
+            expect(announce).toHaveBeenCalledExactlyOnceWith('Auto-rotation paused');
+
+            key(canvas, ' ');
+            updateRotation(model, mouseState, 1);
+            expect(mouseState.defaultRotationY).toBeCloseTo(CONFIG.rotation.speed);
+            expect(announce).toHaveBeenLastCalledWith('Auto-rotation resumed');
+        });
+
+        it('turns the model by the device tilt on top of the drag rotation', () => {
+            const { mouseState } = controls;
+            const model = new THREE.Group();
+            Object.assign(mouseState, { autoRotate: false, tiltX: 1, tiltY: -0.5 });
+
+            updateRotation(model, mouseState, 1);
+
+            expect(model.rotation.y).toBeCloseTo(CONFIG.tilt.rotation);
+            expect(model.rotation.x).toBeCloseTo(-0.5 * CONFIG.tilt.rotation);
+        });
+
+        it('keeps focus, label and pause on the new element after setElement', () => {
+            const next = document.createElement('canvas');
+            document.body.appendChild(next);
+            controls.setDescription('Tarelka.');
+            canvas.focus();
+            key(canvas, ' ');
+
+            controls.setElement(next);
+
+            expect(document.activeElement).toBe(next);
+            expect(next.getAttribute('aria-label')).toBe('Tarelka.');
+            expect(controls.mouseState.autoRotate).toBe(false);
+            expect(key(canvas, 'ArrowLeft').defaultPrevented).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { collectDiagnostics, createDiagnosticsPanel } from '../src/diagnostics.js';
+
+/** A model with an indexed box, a non-indexed triangle and a texture without an image */
+function sampleModel() {
+    const model = new THREE.Group();
+    model.name = 'plate';
+    const texture = new THREE.Texture({ width: 64, height: 32 });
+    const missing = new THREE.Texture();
+    const material = new THREE.MeshPhongMaterial({ name: 'glaze', map: texture, normalMap: missing });
+
+    const box = new THREE.Mesh(new THREE.BoxGeometry(2, 4, 6), material);
+    box.name = 'box';
+    const triangle = new THREE.BufferGeometry();
+    triangle.setAttribute('position', new THREE.Float32BufferAttribute([0, 0, 0, 1, 0, 0, 0, 1, 0], 3));
+    const group = new THREE.Group();
+    group.add(new THREE.Mesh(triangle, [material, new THREE.MeshBasicMaterial()]));
+    model.add(box, group);
+    return model;
+}
+
+describe('collectDiagnostics', () => {
+    it('counts meshes, triangles, vertices, materials and textures', () => {
+        const { summary } = collectDiagnostics(sampleModel());
+
+        expect(summary).toEqual({ meshes: 2, triangles: 13, vertices: 27, materials: 2, textures: 2, animations: 0 });
+    });
+
+    it('mirrors the scene graph with per-mesh details and bound texture slots', () => {
+        const { sceneGraph } = collectDiagnostics(sampleModel());
+        const [box, group] = sceneGraph.children;
+
+        expect(sceneGraph).toMatchObject({ name: 'plate', type: 'Group' });
+        expect(box).toMatchObject({ name: 'box', type: 'Mesh', triangles: 12, vertices: 24 });
+        expect(box.materials).toEqual([{
+            name: 'glaze',
+            type: 'MeshPhongMaterial',
+            textures: [
+                { slot: 'map', name: null, size: [64, 32] },
+                { slot: 'normalMap', name: null, size: null }
+            ]
+        }]);
+        expect(group.children[0].materials).toHaveLength(2);
+    });
+
+    it('reports the bounding box in the model\'s own units, ignoring the viewer\'s scale and rotation', () => {
+        const model = sampleModel();
+        model.scale.setScalar(0.1);
+        model.rotation.set(0.5, 1, 0);
+
+        expect(collectDiagnostics(model).bounds.size).toEqual([2, 4, 6]);
+    });
+
+    it('lists failed resources and survives a JSON round trip', () => {
+        const report = collectDiagnostics(sampleModel(), { source: 'models/plate.fbx', failedUrls: ['textures/glaze.png'] });
+
+        expect(report.failedResources).toEqual(['textures/glaze.png']);
+        expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+    });
+});
+
+describe('createDiagnosticsPanel', () => {
+    let report;
+    let panel;
+
+    beforeEach(() => {
+        report = collectDiagnostics(sampleModel(), { source: 'models/plate.fbx', failedUrls: ['textures/glaze.png'] });
+        panel = createDiagnosticsPanel(() => report);
+        document.body.appendChild(panel.element);
+    });
+
+    afterEach(() => {
+        panel.cleanup();
+        vi.restoreAllMocks();
+    });
+
+    it('starts hidden and renders a fresh report when shown', () => {
+        expect(panel.element.hidden).toBe(true);
+
+        expect(panel.toggle()).toBe(true);
+
+        const text = panel.element.textContent;
+        expect(text).toContain('models/plate.fbx');
+        expect(text).toContain('Failed to load (1)');
+        expect(text).toContain('textures/glaze.png');
+        expect(text).toContain('normalMap (no image)');
+        expect(panel.toggle()).toBe(false);
+    });
+
+    it('says so when there is no model', () => {
+        report = null;
+        panel.toggle();
+
+        expect(panel.element.textContent).toContain('No model loaded.');
+        expect(panel.element.querySelectorAll('button')[1].disabled).toBe(true);
+    });
+
+    it('exports the report as a JSON download', async () => {
+        let blob;
+        URL.createObjectURL = vi.fn((b) => {
+            blob = b;
+            return 'blob:report';
+        });
+        URL.revokeObjectURL = vi.fn();
+        const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            expect(this.download).toBe('plate-diagnostics.json');
+        });
+        panel.toggle();
+
+        panel.element.querySelectorAll('button')[1].click();
+
+        expect(click).toHaveBeenCalled();
+        expect(JSON.parse(await blob.text())).toEqual(report);
+        delete URL.createObjectURL;
+        delete URL.revokeObjectURL;
+    });
+});
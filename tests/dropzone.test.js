@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { initializeDropZone } from '../src/dropzone.js';
+
+/** Dispatch a drag event on the document carrying the given files */
+function drag(type, files = []) {
+    const event = new Event(type, { bubbles: true, cancelable: true });
+    Object.defineProperty(event, 'dataTransfer', {
+        value: { types: ['Files'], files, dropEffect: 'none' }
+    });
+    document.dispatchEvent(event);
+    return event;
+}
+
+describe('initializeDropZone', () => {
+    let main;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<main></main>';
+        main = document.querySelector('main');
+    });
+
+    it('shows the overlay while files are dragged over the page', () => {
+        const cleanup = initializeDropZone(main, vi.fn());
+        const overlay = main.querySelector('.dropzone');
+
+        drag('dragenter');
+        drag('dragenter'); // crossing into a child element
+        expect(overlay.classList.contains('dropzone--active')).toBe(true);
+
+        drag('dragleave');
+        expect(overlay.classList.contains('dropzone--active')).toBe(true);
+
+        drag('dragleave');
+        expect(overlay.classList.contains('dropzone--active')).toBe(false);
+        cleanup();
+    });
+
+    it('hands dropped files to the callback and hides the overlay', () => {
+        const onFiles = vi.fn();
+        const cleanup = initializeDropZone(main, onFiles);
+        const files = [new File([''], 'plate.glb')];
+
+        drag('dragenter');
+        const drop = drag('drop', files);
+
+        expect(drop.defaultPrevented).toBe(true);
+        expect(onFiles).toHaveBeenCalledWith(files);
+        expect(main.querySelector('.dropzone').classList.contains('dropzone--active')).toBe(false);
+        cleanup();
+    });
+
+    it('ignores drags that carry no files', () => {
+        const onFiles = vi.fn();
+        const cleanup = initializeDropZone(main, onFiles);
+
+        const event = new Event('drop', { cancelable: true });
+        Object.defineProperty(event, 'dataTransfer', { value: { types: ['text/plain'], files: [] } });
+        document.dispatchEvent(event);
+
+        expect(event.defaultPrevented).toBe(false);
+        expect(onFiles).not.toHaveBeenCalled();
+        cleanup();
+    });
+
+    it('opens the file picker from its button', () => {
+        const cleanup = initializeDropZone(main, vi.fn());
+        const input = main.querySelector('input[type="file"]');
+        const click = vi.spyOn(input, 'click');
+
+        main.querySelector('.file-picker').click();
+
+        expect(click).toHaveBeenCalled();
+        cleanup();
+    });
+
+    it('cleanup() removes its elements and stops listening', () => {
+        const onFiles = vi.fn();
+        const cleanup = initializeDropZone(main, onFiles);
+
+        cleanup();
+        drag('drop', [new File([''], 'plate.glb')]);
+
+        expect(main.children).toHaveLength(0);
+        expect(onFiles).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { MODEL_FORMATS, formatFromExtension, formatFromMagic, detectModelFormat } from '../src/formats.js';
+
+/** ArrayBuffer holding the UTF-8 bytes of a string */
+function bytes(text) {
+    return new TextEncoder().encode(text).buffer;
+}
+
+describe('formatFromExtension', () => {
+    it('maps every supported extension, case-insensitively', () => {
+        expect(formatFromExtension('assets/models/tarelka.fbx')).toBe(MODEL_FORMATS.FBX);
+        expect(formatFromExtension('Plate.GLB')).toBe(MODEL_FORMATS.GLTF);
+        expect(formatFromExtension('scene.gltf')).toBe(MODEL_FORMATS.GLTF);
+        expect(formatFromExtension('mesh.obj')).toBe(MODEL_FORMATS.OBJ);
+    });
+
+    it('ignores query strings and fragments in URLs', () => {
+        expect(formatFromExtension('https://example.com/a/plate.glb?v=3#top')).toBe(MODEL_FORMATS.GLTF);
+    });
+
+    it('returns null for unknown or missing extensions', () => {
+        expect(formatFromExtension('texture.png')).toBeNull();
+        expect(formatFromExtension('README')).toBeNull();
+        expect(formatFromExtension(undefined)).toBeNull();
+    });
+});
+
+describe('formatFromMagic', () => {
+    it('recognises a GLB container', () => {
+        expect(formatFromMagic(bytes('glTF\x02\x00\x00\x00'))).toBe(MODEL_FORMATS.GLTF);
+    });
+
+    it('recognises binary and ASCII FBX', () => {
+        expect(formatFromMagic(bytes('Kaydara FBX Binary  \x00\x1a\x00'))).toBe(MODEL_FORMATS.FBX);
+        expect(formatFromMagic(bytes('; FBX 7.4.0 project file\n'))).toBe(MODEL_FORMATS.FBX);
+    });
+
+    it('recognises glTF JSON', () => {
+        expect(formatFromMagic(bytes('\n  {"asset": {"version": "2.0"}}'))).toBe(MODEL_FORMATS.GLTF);
+    });
+
+    it('recognises OBJ text, including after a comment header', () => {
+        expect(formatFromMagic(bytes('# Blender export\nmtllib plate.mtl\no Plate\nv 0 0 0\n'))).toBe(MODEL_FORMATS.OBJ);
+        expect(formatFromMagic(bytes('v 1.0 2.0 3.0\nf 1 2 3\n'))).toBe(MODEL_FORMATS.OBJ);
+    });
+
+    it('returns null for empty or unrecognised data', () => {
+        expect(formatFromMagic(new ArrayBuffer(0))).toBeNull();
+        expect(formatFromMagic(bytes('\x89PNG\r\n'))).toBeNull();
+        expect(formatFromMagic(null)).toBeNull();
+    });
+});
+
+describe('detectModelFormat', () => {
+    it('prefers the contents over a misleading extension', () => {
+        expect(detectModelFormat(bytes('glTF\x02\x00\x00\x00'), 'model.fbx')).toBe(MODEL_FORMATS.GLTF);
+    });
+
+    it('falls back to the extension when the contents are not recognised', () => {
+        expect(detectModelFormat(bytes('\x00\x01\x02'), 'model.fbx')).toBe(MODEL_FORMATS.FBX);
+        expect(detectModelFormat(null, 'model.obj')).toBe(MODEL_FORMATS.OBJ);
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { normalizeModel, fitCameraDistance, frameCamera } from '../src/framing.js';
+
+/** A model made of one box of the given size, offset from the origin */
+function boxModel(size, offset) {
+    const model = new THREE.Group();
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(size, size, size));
+    mesh.position.copy(offset);
+    model.add(mesh);
+    return model;
+}
+
+/** Whether every point on the sphere lies inside the camera's view frustum */
+function sphereInView(camera, sphere) {
+    camera.updateMatrixWorld();
+    const frustum = new THREE.Frustum().setFromProjectionMatrix(
+        new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+    );
+    return frustum.planes.every(plane => plane.distanceToPoint(sphere.center) >= sphere.radius - 1e-6);
+}
+
+describe('normalizeModel', () => {
+    it('scales a model to the target bounding sphere radius and centers it', () => {
+        const model = boxModel(200, new THREE.Vector3(500, -20, 30)); // centimetre-sized export
+
+        const sphere = normalizeModel(model, 1);
+
+        const actual = new THREE.Box3().setFromObject(model).getBoundingSphere(new THREE.Sphere());
+        expect(sphere.radius).toBe(1);
+        expect(actual.radius).toBeCloseTo(1);
+        expect(actual.center.length()).toBeCloseTo(0);
+    });
+
+    it('only centers the model when no radius is given', () => {
+        const model = boxModel(2, new THREE.Vector3(3, 0, 0));
+
+        const sphere = normalizeModel(model, null);
+
+        expect(model.scale.x).toBe(1);
+        expect(sphere.radius).toBeCloseTo(Math.sqrt(3));
+        expect(new THREE.Box3().setFromObject(model).getCenter(new THREE.Vector3()).length()).toBeCloseTo(0);
+    });
+
+    it('leaves an empty model alone', () => {
+        const model = new THREE.Group();
+        expect(normalizeModel(model, 1).radius).toBe(0);
+        expect(model.scale.x).toBe(1);
+    });
+});
+
+describe('fitCameraDistance', () => {
+    it('backs off further on portrait screens, where the horizontal FOV is tighter', () => {
+        const landscape = fitCameraDistance(1, 75, 16 / 9);
+        const portrait = fitCameraDistance(1, 75, 9 / 16);
+        expect(portrait).toBeGreaterThan(landscape);
+    });
+
+    it('grows linearly with radius and padding', () => {
+        const base = fitCameraDistance(1, 60, 1);
+        expect(fitCameraDistance(2, 60, 1)).toBeCloseTo(base * 2);
+        expect(fitCameraDistance(1, 60, 1, 1.5)).toBeCloseTo(base * 1.5);
+    });
+});
+
+describe('frameCamera', () => {
+    for (const aspect of [16 / 9, 1, 9 / 19.5]) {
+        it(`keeps the whole bounding sphere in view (aspect ${aspect.toFixed(2)})`, () => {
+            const camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
+
+            frameCamera(camera, 1, { x: 0, y: 1, z: 2 }, 1);
+
+            expect(sphereInView(camera, new THREE.Sphere(new THREE.Vector3(), 1))).toBe(true);
+        });
+    }
+
+    it('looks at the origin from the given direction', () => {
+        const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
+
+        frameCamera(camera, 1, { x: 0, y: 1, z: 2 });
+
+        const direction = camera.position.clone().normalize();
+        expect(direction.y / direction.z).toBeCloseTo(0.5);
+    });
+
+    it('sets near and far planes that contain the model', () => {
+        const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
+
+        frameCamera(camera, 1, { x: 0, y: 0, z: 1 }, 1, 1.2);
+
+        const distance = camera.position.length();
+        expect(camera.near).toBeGreaterThan(0);
+        expect(camera.near).toBeLessThan(distance - 1.2);
+        expect(camera.far).toBeGreaterThan(distance + 1.2);
+    });
+
+    it('returns the framed distance and sets planes that contain the model across the zoom range', () => {
+        const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
+
+        const distance = frameCamera(camera, 1, { x: 0, y: 0, z: 1 }, 1, 1, { min: 0.8, max: 3 });
+
+        expect(distance).toBeCloseTo(camera.position.length());
+        expect(camera.near).toBeLessThan(distance * 0.8 - 1);
+        expect(camera.far).toBeGreaterThan(distance * 3 + 1);
+    });
+
+    it('keeps the near plane positive when the model is larger than the frame', () => {
+        const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
+
+        frameCamera(camera, 1, { x: 0, y: 0, z: 1 }, 1, 5);
+
+        expect(camera.near).toBeGreaterThan(0);
+        expect(camera.far).toBeGreaterThan(camera.position.length() + 5);
+    });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { parseManifest, renderAttribution, describeModel, createGallery } from '../src/gallery.js';
+import manifest from '../assets/models/manifest.json';
+
+describe('parseManifest', () => {
+    it('accepts the shipped manifest', () => {
+        const entries = parseManifest(manifest);
+        expect(entries.length).toBeGreaterThan(0);
+        for (const entry of entries) {
+            expect(entry.path).toMatch(/^assets\/models\//);
+            expect(entry.credits.length).toBeGreaterThan(0);
+        }
+    });
+
+    it('fills in defaults for optional fields', () => {
+        const [entry] = parseManifest({ models: [{ path: 'assets/models/plate.glb' }] });
+        expect(entry).toEqual({
+            id: 'plate',
+            title: 'plate',
+            description: '',
+            path: 'assets/models/plate.glb',
+            scale: 1,
+            camera: null,
+            credits: []
+        });
+    });
+
+    it('ignores a non-positive scale', () => {
+        const [entry] = parseManifest({ models: [{ path: 'a.fbx', scale: 0 }] });
+        expect(entry.scale).toBe(1);
+    });
+
+    it('rejects a manifest without models', () => {
+        expect(() => parseManifest({})).toThrow(/no models/);
+        expect(() => parseManifest({ models: [] })).toThrow(/no models/);
+    });
+
+    it('rejects an entry without a path', () => {
+        expect(() => parseManifest({ models: [{ title: 'Nothing' }] })).toThrow(/entry 0 has no path/);
+    });
+
+    it('rejects entries that end up with the same id', () => {
+        expect(() => parseManifest({ models: [{ path: 'a/scene.gltf' }, { path: 'b/scene.gltf' }] }))
+            .toThrow(/entry 1 has duplicate model id "scene"/);
+        expect(() => parseManifest({ models: [{ path: 'a.fbx', id: 'plate' }, { path: 'b.fbx', id: 'plate' }] }))
+            .toThrow(/duplicate model id "plate"/);
+
+        const entries = parseManifest({ models: [{ path: 'a/scene.gltf' }, { path: 'b/scene.gltf', id: 'b-scene' }] });
+        expect(entries.map(entry => entry.id)).toEqual(['scene', 'b-scene']);
+    });
+});
+
+describe('describeModel', () => {
+    it('reads the title, description and makers as sentences', () => {
+        const [entry] = parseManifest({
+            models: [{
+                path: 'a.fbx',
+                title: 'Tarelka',
+                description: 'A plate with alphabet blocks',
+                credits: [
+                    { title: 'Plate', author: 'Kay', license: 'CC0 1.0' },
+                    { title: 'Letters', author: 'Jose' },
+                    { title: 'Texture', license: 'CC0 1.0' }
+                ]
+            }]
+        });
+
+        expect(describeModel(entry)).toBe('Tarelka. A plate with alphabet blocks. Plate by Kay, Letters by Jose.');
+    });
+
+    it('is just the title for an entry without description or credits', () => {
+        const [entry] = parseManifest({ models: [{ path: 'a.fbx', title: 'Local file.' }] });
+
+        expect(describeModel(entry)).toBe('Local file.');
+    });
+});
+
+describe('renderAttribution', () => {
+    it('lists every credit with its author and license', () => {
+        const el = document.createElement('footer');
+        const [entry] = parseManifest({
+            models: [{
+                path: 'a.fbx',
+                credits: [
+                    { title: 'Plate', url: 'https://example.com/plate', author: 'Kay', license: 'CC0 1.0' },
+                    { title: 'Letters', author: 'Jose' }
+                ]
+            }]
+        });
+
+        renderAttribution(el, entry);
+
+        expect(el.hidden).toBe(false);
+        expect(el.textContent).toBe('Plate by Kay (CC0 1.0) · Letters by Jose');
+        expect(el.querySelector('a').href).toBe('https://example.com/plate');
+    });
+
+    it('hides itself for a model without credits', () => {
+        const el = document.createElement('footer');
+        el.textContent = 'stale';
+
+        renderAttribution(el, parseManifest({ models: [{ path: 'a.fbx' }] })[0]);
+
+        expect(el.hidden).toBe(true);
+        expect(el.textContent).toBe('');
+    });
+});
+
+describe('createGallery', () => {
+    const entries = parseManifest({ models: [{ path: 'a.fbx', title: 'A' }, { path: 'b.glb', title: 'B' }] });
+
+    beforeEach(() => {
+        document.body.innerHTML = '<main></main>';
+    });
+
+    it('renders one button per model', () => {
+        const gallery = createGallery(entries, vi.fn());
+        const labels = [...gallery.element.querySelectorAll('button')].map(b => b.textContent);
+        expect(labels).toEqual(['A', 'B']);
+        expect(gallery.element.hidden).toBe(false);
+    });
+
+    it('stays hidden with a single model', () => {
+        const gallery = createGallery(entries.slice(0, 1), vi.fn());
+        expect(gallery.element.hidden).toBe(true);
+    });
+
+    it('selects a model on click, but not the one already shown', () => {
+        const onSelect = vi.fn();
+        const gallery = createGallery(entries, onSelect);
+        document.querySelector('main').appendChild(gallery.element);
+        gallery.setActive('a');
+
+        const [first, second] = gallery.element.querySelectorAll('button');
+        first.click();
+        second.click();
+
+        expect(onSelect).toHaveBeenCalledTimes(1);
+        expect(onSelect).toHaveBeenCalledWith(entries[1]);
+    });
+
+    it('setActive() marks exactly one button as pressed', () => {
+        const gallery = createGallery(entries, vi.fn());
+        gallery.setActive('b');
+        const pressed = [...gallery.element.querySelectorAll('button')].map(b => b.getAttribute('aria-pressed'));
+        expect(pressed).toEqual(['false', 'true']);
+    });
+
+    it('cleanup() removes the gallery from the DOM', () => {
+        const gallery = createGallery(entries, vi.fn());
+        document.querySelector('main').appendChild(gallery.element);
+
+        gallery.cleanup();
+
+        expect(document.querySelector('.gallery')).toBeNull();
+    });
+});
@@ -0,0 +1,189 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CONFIG } from '../src/config.js';
+import { shapeAxis, readGamepad, createGamepadControls } from '../src/gamepad.js';
+
+/**
+ * A fake standard-mapping gamepad at rest
+ * @param {number} [index]
+ */
+function fakeGamepad(index = 0) {
+    return {
+        index,
+        id: 'Fake Pad (STANDARD GAMEPAD)',
+        mapping: 'standard',
+        connected: true,
+        axes: [0, 0, 0, 0],
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }))
+    };
+}
+
+function press(gamepad, index, pressed = true) {
+    gamepad.buttons[index] = { pressed, value: pressed ? 1 : 0 };
+}
+
+function connect(gamepad) {
+    const event = new Event('gamepadconnected');
+    event.gamepad = gamepad;
+    globalThis.dispatchEvent(event);
+}
+
+function disconnect(gamepad) {
+    const event = new Event('gamepaddisconnected');
+    event.gamepad = gamepad;
+    globalThis.dispatchEvent(event);
+}
+
+describe('shapeAxis', () => {
+    it('ignores travel inside the deadzone', () => {
+        expect(shapeAxis(0.1, 0.15, 2)).toBe(0);
+        expect(shapeAxis(-0.15, 0.15, 2)).toBe(0);
+    });
+
+    it('rises from 0 past the deadzone to 1 at full travel, keeping the sign', () => {
+        expect(shapeAxis(0.2, 0.2, 1)).toBe(0);
+        expect(shapeAxis(0.6, 0.2, 1)).toBeCloseTo(0.5);
+        expect(shapeAxis(1, 0.2, 1)).toBe(1);
+        expect(shapeAxis(-1, 0.2, 1)).toBe(-1);
+    });
+
+    it('bends the response with the curve exponent', () => {
+        expect(shapeAxis(0.6, 0.2, 2)).toBeCloseTo(0.25);
+        expect(shapeAxis(-0.6, 0.2, 2)).toBeCloseTo(-0.25);
+    });
+});
+
+describe('readGamepad', () => {
+    it('reads either stick as rotation and the triggers as zoom', () => {
+        const gamepad = fakeGamepad();
+        gamepad.axes = [1, 0.05, 0, -1];
+        gamepad.buttons[7] = { pressed: true, value: 1 };
+
+        const input = readGamepad(gamepad);
+
+        expect(input.rotateX).toBe(1);
+        expect(input.rotateY).toBe(-1);
+        // Right trigger zooms in
+        expect(input.zoom).toBe(-1);
+    });
+
+    it('clamps both sticks pushed the same way to full speed', () => {
+        const gamepad = fakeGamepad();
+        gamepad.axes = [1, 0, 1, 0];
+
+        expect(readGamepad(gamepad).rotateX).toBe(1);
+    });
+
+    it('reports the configured buttons by action', () => {
+        const gamepad = fakeGamepad();
+        press(gamepad, CONFIG.gamepad.buttons.snow);
+
+        expect(readGamepad(gamepad).buttons).toEqual({ snow: true, renderPreset: false, debug: false, reset: false });
+    });
+});
+
+describe('createGamepadControls', () => {
+    let pads;
+    let onButton;
+    let announce;
+    let controls;
+    let mouseState;
+
+    beforeEach(() => {
+        pads = [null, null, null, null];
+        navigator.getGamepads = () => pads;
+        onButton = vi.fn();
+        announce = vi.fn();
+        controls = createGamepadControls(onButton, announce);
+        mouseState = { velocityX: 0, velocityY: 0, zoomVelocity: 0 };
+    });
+
+    afterEach(() => {
+        controls.cleanup();
+        delete navigator.getGamepads;
+    });
+
+    it('ignores pads until they connect, and again once they disconnect', () => {
+        const gamepad = fakeGamepad();
+        gamepad.axes = [1, 0, 0, 0];
+        pads[0] = gamepad;
+
+        controls.update(mouseState);
+        expect(mouseState.velocityX).toBe(0);
+
+        connect(gamepad);
+        expect(announce).toHaveBeenCalledWith('Controller connected');
+        controls.update(mouseState);
+        expect(mouseState.velocityX).toBe(CONFIG.gamepad.rotateSpeed);
+
+        mouseState.velocityX = 0;
+        disconnect(gamepad);
+        expect(announce).toHaveBeenCalledWith('Controller disconnected');
+        controls.update(mouseState);
+        expect(mouseState.velocityX).toBe(0);
+    });
+
+    it('sets rotation and zoom speeds while held and leaves them to coast at rest', () => {
+        const gamepad = fakeGamepad();
+        pads[0] = gamepad;
+        connect(gamepad);
+
+        gamepad.axes = [0, -1, 0, 0];
+        gamepad.buttons[6] = { pressed: true, value: 1 };
+        controls.update(mouseState);
+        expect(mouseState.velocityY).toBe(-CONFIG.gamepad.rotateSpeed);
+        expect(mouseState.zoomVelocity).toBe(CONFIG.gamepad.zoomSpeed);
+
+        gamepad.axes = [0, 0, 0, 0];
+        gamepad.buttons[6] = { pressed: false, value: 0 };
+        mouseState.velocityY = -0.01;
+        controls.update(mouseState);
+        expect(mouseState.velocityY).toBe(-0.01);
+    });
+
+    it('fires an action once per press, not for the press that woke the pad', () => {
+        const gamepad = fakeGamepad();
+        pads[0] = gamepad;
+        press(gamepad, CONFIG.gamepad.buttons.snow);
+        connect(gamepad);
+
+        controls.update(mouseState);
+        expect(onButton).not.toHaveBeenCalled();
+
+        press(gamepad, CONFIG.gamepad.buttons.snow, false);
+        controls.update(mouseState);
+        press(gamepad, CONFIG.gamepad.buttons.snow);
+        press(gamepad, CONFIG.gamepad.buttons.debug);
+        controls.update(mouseState);
+        controls.update(mouseState);
+
+        expect(onButton.mock.calls).toEqual([['snow'], ['debug']]);
+    });
+
+    it('picks up pads that were already connected', () => {
+        controls.cleanup();
+        const gamepad = fakeGamepad(2);
+        gamepad.axes = [-1, 0, 0, 0];
+        pads[2] = gamepad;
+
+        controls = createGamepadControls(onButton, announce);
+        controls.update(mouseState);
+
+        expect(mouseState.velocityX).toBe(-CONFIG.gamepad.rotateSpeed);
+    });
+
+    it('does nothing when disabled', () => {
+        const gamepad = fakeGamepad();
+        gamepad.axes = [1, 0, 0, 0];
+        pads[0] = gamepad;
+        connect(gamepad);
+        CONFIG.gamepad.enabled = false;
+
+        try {
+            controls.update(mouseState);
+        } finally {
+            CONFIG.gamepad.enabled = true;
+        }
+
+        expect(mouseState.velocityX).toBe(0);
+    });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { CONFIG } from '../src/config.js';
+import { createGround, shadowType } from '../src/ground.js';
+
+function findByName(scene, name) {
+    return scene.getObjectByName(name);
+}
+
+/** A 2 x 1 x 2 box standing on y = 3 */
+function createModel() {
+    const model = new THREE.Group();
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(2, 1, 2));
+    mesh.position.set(1, 3.5, -1);
+    model.add(mesh);
+    return model;
+}
+
+describe('ground shadow', () => {
+    let saved;
+    let scene;
+    let ground;
+    let renderer;
+
+    beforeEach(() => {
+        saved = structuredClone(CONFIG.lighting.shadows);
+        CONFIG.renderPreset = 'standard';
+        scene = new THREE.Scene();
+        ground = createGround(scene);
+        renderer = { shadowMap: {} };
+    });
+
+    afterEach(() => {
+        CONFIG.lighting.shadows = saved;
+        CONFIG.renderPreset = 'standard';
+    });
+
+    it('uses shadow maps by default, blob shadows in PS1 mode and nothing when disabled', () => {
+        expect(shadowType()).toBe('map');
+
+        CONFIG.renderPreset = 'ps1';
+        expect(shadowType()).toBe('blob');
+
+        CONFIG.lighting.shadows.enabled = false;
+        expect(shadowType()).toBeNull();
+    });
+
+    it('switches the renderer shadow map and the shadow light with the preset', () => {
+        const light = findByName(scene, 'Ground.shadowLight');
+
+        ground.applyPreset(renderer);
+        expect(renderer.shadowMap.enabled).toBe(true);
+        expect(light.castShadow).toBe(true);
+
+        CONFIG.renderPreset = 'ps1';
+        ground.applyPreset(renderer);
+        expect(renderer.shadowMap.enabled).toBe(false);
+        expect(light.castShadow).toBe(false);
+    });
+
+    it('lights nothing itself', () => {
+        expect(findByName(scene, 'Ground.shadowLight').intensity).toBe(0);
+    });
+
+    it('sits under the model and spans its bounding sphere', () => {
+        const model = createModel();
+        ground.update(model);
+
+        const catcher = findByName(scene, 'Ground.shadowCatcher');
+        expect(catcher.visible).toBe(true);
+        expect(findByName(scene, 'Ground.blobShadow').visible).toBe(false);
+        expect(catcher.position.x).toBeCloseTo(1);
+        expect(catcher.position.z).toBeCloseTo(-1);
+        expect(catcher.position.y).toBeCloseTo(3 - CONFIG.lighting.shadows.offset);
+        expect(catcher.scale.x).toBeCloseTo(3 * CONFIG.lighting.shadows.padding);
+        expect(model.children[0].castShadow).toBe(true);
+    });
+
+    it('follows the model as it moves', () => {
+        const model = createModel();
+        ground.update(model);
+        model.position.y = -2;
+        ground.update(model);
+
+        expect(findByName(scene, 'Ground.shadowCatcher').position.y).toBeCloseTo(1 - CONFIG.lighting.shadows.offset);
+    });
+
+    it('aims the shadow camera straight down over the model', () => {
+        ground.update(createModel());
+
+        const light = findByName(scene, 'Ground.shadowLight');
+        const extent = 1.5 * CONFIG.lighting.shadows.padding;
+        expect(light.position.x).toBeCloseTo(light.target.position.x);
+        expect(light.position.z).toBeCloseTo(light.target.position.z);
+        expect(light.position.y).toBeGreaterThan(4);
+        expect(light.shadow.camera.right).toBeCloseTo(extent);
+        expect(light.shadow.camera.far).toBeGreaterThan(light.position.y - light.target.position.y);
+    });
+
+    it('shows the blob in its place in PS1 mode, and nothing without a model', () => {
+        CONFIG.renderPreset = 'ps1';
+        ground.update(createModel());
+        expect(findByName(scene, 'Ground.blobShadow').visible).toBe(true);
+        expect(findByName(scene, 'Ground.shadowCatcher').visible).toBe(false);
+
+        ground.update(null);
+        expect(findByName(scene, 'Ground.blobShadow').visible).toBe(false);
+    });
+
+    it('removes itself from the scene on dispose', () => {
+        ground.dispose();
+        expect(scene.children).toHaveLength(0);
+    });
+});
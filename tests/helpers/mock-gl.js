@@ -39,7 +39,8 @@ function parameterValue(name) { // NOSONAR (javascript:S3800) — see comment ab
  *
  * It records viewport calls and otherwise answers every query with a plausible
  * value. It draws nothing — only the calls made during construction and resizing
- * are meaningful here.
+ * are meaningful here, plus the bookkeeping three.js keeps in renderer.info when
+ * a scene is rendered.
  */
 export function makeMockGL() {
     const constantNames = new Map(); // id -> constant name
@@ -55,7 +56,8 @@ export function makeMockGL() {
         getSupportedExtensions: () => [],
         getShaderPrecisionFormat: () => ({ rangeMin: 127, rangeMax: 127, precision: 23 }),
         getContextAttributes: () => ({ alpha: true, depth: true, stencil: false, antialias: false }),
-        getProgramParameter: () => 1,
+        // Programs link with no active uniforms or attributes to report
+        getProgramParameter: (program, id) => (/^ACTIVE_/.test(constantNames.get(id)) ? 0 : 1),
         getShaderParameter: () => 1,
         getProgramInfoLog: () => '',
         getShaderInfoLog: () => ''
@@ -0,0 +1,21 @@
+import * as THREE from 'three';
+import { makeMockGL } from './mock-gl.js';
+
+/**
+ * Build a real THREE.WebGLRenderer on a mock GL context, so assertions run
+ * against three.js's own code rather than a reimplementation of it.
+ * @param {Object} [options]
+ * @param {Object} [options.context] - GL context to render into; a fresh makeMockGL() by default
+ * @param {number} [options.width] - With height, sizes the drawing buffer at a pixel ratio of 1
+ * @param {number} [options.height]
+ * @returns {{renderer: THREE.WebGLRenderer, canvas: HTMLCanvasElement, gl: Object}}
+ */
+export function createRealRenderer({ context = makeMockGL(), width, height } = {}) {
+    const canvas = document.createElement('canvas');
+    const renderer = new THREE.WebGLRenderer({ canvas, context });
+    if (width !== undefined && height !== undefined) {
+        renderer.setPixelRatio(1);
+        renderer.setSize(width, height, false);
+    }
+    return { renderer, canvas, gl: context };
+}
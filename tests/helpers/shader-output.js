@@ -0,0 +1,46 @@
+import * as THREE from 'three';
+import { makeMockGL } from './mock-gl.js';
+
+/**
+ * A mock WebGL context that keeps the source of every shader three.js compiles.
+ *
+ * The mock draws nothing, so pixels can't be read back. What decides how a
+ * color is stored, though, is the output function three.js appends to each
+ * program for the destination it was compiled for (the canvas or a render
+ * target), and that is in the source.
+ * @returns {{context: Object, sources: string[]}} Pass context to the renderer; sources fill in compile order
+ */
+export function makeShaderRecordingGL() {
+    const gl = makeMockGL();
+    const sources = [];
+    const context = new Proxy(gl, {
+        get: (target, prop) => (prop === 'shaderSource' ? (shader, source) => { sources.push(source); } : target[prop]),
+        has: () => true
+    });
+    return { context, sources };
+}
+
+/** Encode a linear channel value for display, as sRGBTransferOETF() does */
+export function linearToSRGB(value) {
+    return new THREE.Color(value, value, value).convertLinearToSRGB().r;
+}
+
+/** The color space transfers three.js may compile into linearToOutputTexel() */
+const OUTPUT_TRANSFERS = {
+    sRGBTransferOETF: linearToSRGB,
+    LinearTransferOETF: value => value
+};
+
+/**
+ * The value a compiled fragment shader writes for a channel value it
+ * computed: passed through linearToOutputTexel() by `#include <colorspace_fragment>`,
+ * or written as is by a shader without it
+ * @param {string} source - Fragment shader source as compiled
+ * @param {number} value - Channel value in gl_FragColor before the output step
+ * @returns {number}
+ */
+export function outputValue(source, value) {
+    if (!source.includes('gl_FragColor = linearToOutputTexel( gl_FragColor );')) return value;
+    const transfer = /vec4 linearToOutputTexel\( vec4 value \) \{\s*return (\w+)\(/.exec(source)[1];
+    return OUTPUT_TRANSFERS[transfer](value);
+}
@@ -2,15 +2,68 @@
 // Reads files off disk and needs no DOM; under jsdom `import.meta.url` is an
 // http:// URL and cannot be resolved to a path.
 import { describe, it, expect } from 'vitest';
-import { readFileSync } from 'node:fs';
+import { readFileSync, readdirSync } from 'node:fs';
+import { createHash } from 'node:crypto';
 import { fileURLToPath } from 'node:url';
+import { posix } from 'node:path';
+import { resolveSpecifier } from '../src/pinned-modules.js';
 
 const indexHtml = readFileSync(fileURLToPath(new URL('../index.html', import.meta.url)), 'utf8');
 const packageJson = JSON.parse(readFileSync(fileURLToPath(new URL('../package.json', import.meta.url)), 'utf8'));
 
-/** Every three.js version referenced by a jsdelivr URL in index.html. */
+
+/** Read a file from the installed three.js package, relative to the package root. */
+function readPackageFile(path) {
+    return readFileSync(fileURLToPath(new URL(`../node_modules/three/${path}`, import.meta.url)));
+}
+
+/** Read a file from the installed three.js package, relative to examples/jsm/. */
+function readAddon(path) {
+    return readPackageFile(`examples/jsm/${path}`);
+}
+
+/**
+ * Every three.js addon (path relative to examples/jsm/) the app imports, plus
+ * the addons those import in turn. Each one is fetched from the CDN, so each
+ * one needs an integrity entry.
+ */
+function importedAddons() {
+    const srcDir = new URL('../src/', import.meta.url);
+    const pending = readdirSync(srcDir)
+        .filter(name => name.endsWith('.js'))
+        .flatMap(name => {
+            const source = readFileSync(fileURLToPath(new URL(name, srcDir)), 'utf8');
+            return [...source.matchAll(/from 'three\/addons\/([^']+)'/g)].map(match => match[1]);
+        });
+    const addons = new Set();
+
+    while (pending.length > 0) {
+        const path = pending.pop();
+        if (addons.has(path)) continue;
+        addons.add(path);
+        const source = readAddon(path).toString('utf8');
+        for (const [, relative] of source.matchAll(/from '(\.{1,2}\/[^']+)'/g)) {
+            pending.push(posix.normalize(posix.join(posix.dirname(path), relative)));
+        }
+    }
+    return addons;
+}
+
+/** Every three.js version referenced by a CDN URL in index.html. */
 function cdnVersions() {
-    return [...indexHtml.matchAll(/cdn\.jsdelivr\.net\/npm\/three@([\d.]+)\//g)].map(match => match[1]);
+    return [...indexHtml.matchAll(/https:\/\/[^"]*\/three@([\d.]+)\//g)].map(match => match[1]);
+}
+
+/** The candidate import maps src/bootstrap.js picks from, with their exact text. */
+function parseImportMaps() {
+    return [...indexHtml.matchAll(/<script type="application\/json" data-importmap="([^"]+)">(.*?)<\/script>/gs)]
+        .map(([, mirror, text]) => ({ mirror, text, importMap: JSON.parse(text) }));
+}
+
+/** Integrity hashes keyed by path relative to the mirror's package root. */
+function relativeIntegrity({ imports, integrity }) {
+    const root = imports['three/addons/'].replace(/examples\/jsm\/$/, '');
+    return Object.fromEntries(Object.entries(integrity).map(([url, hash]) => [url.slice(root.length), hash]));
 }
 
 describe('import map', () => {
@@ -26,16 +79,110 @@ describe('import map', () => {
         expect(cdnVersions().length).toBeGreaterThanOrEqual(2);
     });
 
+    it('offers a fallback mirror after the primary CDN', () => {
+        expect(parseImportMaps().map(({ mirror }) => mirror)).toEqual(['jsdelivr', 'unpkg']);
+    });
+
     it('carries an integrity hash for every CDN module it maps', () => {
-        const importMap = JSON.parse(
-            /<script type="importmap">(.*?)<\/script>/s.exec(indexHtml)[1]
-        );
-        const buildUrl = importMap.imports.three;
-
-        expect(importMap.integrity[buildUrl]).toMatch(/^sha384-/);
-        for (const [url, hash] of Object.entries(importMap.integrity)) {
-            expect(url).toMatch(/^https:\/\/cdn\.jsdelivr\.net\//);
-            expect(hash).toMatch(/^sha384-/);
+        for (const { mirror, importMap } of parseImportMaps()) {
+            const buildUrl = importMap.imports.three;
+            const origin = new URL(buildUrl).origin;
+
+            expect(importMap.integrity[buildUrl], mirror).toMatch(/^sha384-/);
+            for (const [url, hash] of Object.entries(importMap.integrity)) {
+                expect(new URL(url).origin, url).toBe(origin);
+                expect(hash).toMatch(/^sha384-/);
+            }
+        }
+    });
+
+    it('maps the same version, modules and hashes on every mirror', () => {
+        // A mirror is only a fallback if it serves byte-identical files
+        const [primary, ...mirrors] = parseImportMaps();
+
+        for (const { mirror, importMap } of mirrors) {
+            expect(Object.keys(importMap.imports), mirror).toEqual(Object.keys(primary.importMap.imports));
+            expect(relativeIntegrity(importMap), mirror).toEqual(relativeIntegrity(primary.importMap));
+        }
+    });
+
+    it('carries an integrity entry for every addon the app loads, including their own imports', () => {
+        const addons = importedAddons();
+
+        // The model loaders alone pull in FBX, glTF and OBJ/MTL support
+        for (const loader of ['loaders/FBXLoader.js', 'loaders/GLTFLoader.js', 'loaders/OBJLoader.js', 'loaders/MTLLoader.js']) {
+            expect(addons).toContain(loader);
+        }
+        for (const { importMap } of parseImportMaps()) {
+            const addonsBase = importMap.imports['three/addons/'];
+            for (const path of addons) {
+                expect(importMap.integrity, path).toHaveProperty([`${addonsBase}${path}`]);
+            }
+        }
+    });
+
+    it('pins hashes that match the installed three.js files', () => {
+        // The CDNs serve the npm tarball verbatim, so the local copy must hash identically
+        for (const { importMap } of parseImportMaps()) {
+            for (const [path, hash] of Object.entries(relativeIntegrity(importMap))) {
+                const digest = createHash('sha384').update(readPackageFile(path)).digest('base64');
+                expect(hash, path).toBe(`sha384-${digest}`);
+            }
+        }
+    });
+
+    it('is allowed by the CSP for every mirror', () => {
+        const csp = /http-equiv="Content-Security-Policy" content="([^"]+)"/.exec(indexHtml)[1];
+        const directive = name => csp.split(';').map(part => part.trim().split(/\s+/)).find(([key]) => key === name).slice(1);
+
+        for (const { mirror, text, importMap } of parseImportMaps()) {
+            // The bootstrap installs the candidate's text verbatim as an inline import map
+            const hash = `'sha256-${createHash('sha256').update(text).digest('base64')}'`;
+            const origin = new URL(importMap.imports.three).origin;
+            expect(directive('script-src'), `${mirror} import map hash`).toContain(hash);
+            expect(directive('script-src'), mirror).toContain(origin);
+            expect(directive('connect-src'), mirror).toContain(origin);
+        }
+    });
+});
+
+describe('model worker', () => {
+    // Module workers don't see the import map, so the worker is sent the page's
+    // and fetches each file itself, refusing any without an integrity entry
+    const workerSource = readFileSync(fileURLToPath(new URL('../src/model-worker.js', import.meta.url)), 'utf8');
+    const workerModules = [.../const MODULES = \[([^\]]*)\]/.exec(workerSource)[1].matchAll(/'([^']+)'/g)].map(match => match[1]);
+
+    /** Every file linkPinnedModules() fetches for the worker, following imports as it does */
+    function workerFiles(importMap) {
+        const root = importMap.imports['three/addons/'].replace(/examples\/jsm\/$/, '');
+        const pending = workerModules.map(specifier => resolveSpecifier(importMap, specifier));
+        const files = new Set();
+
+        while (pending.length > 0) {
+            const url = pending.pop();
+            if (files.has(url)) continue;
+            files.add(url);
+            const source = readPackageFile(url.slice(root.length)).toString('utf8');
+            for (const [, specifier] of source.matchAll(/^(?:import|export)\b[^;]*?\bfrom\s*'([^']+)'/gm)) {
+                pending.push(resolveSpecifier(importMap, specifier, url));
+            }
+        }
+        return files;
+    }
+
+    it('loads three.js and the model loaders', () => {
+        expect(workerModules).toEqual(expect.arrayContaining(['three', 'three/addons/loaders/FBXLoader.js']));
+    });
+
+    it('fetches only files the import map pins, the three.js build included', () => {
+        for (const { mirror, importMap } of parseImportMaps()) {
+            const files = workerFiles(importMap);
+
+            // three.module.js re-exports three.core.js, which the page fetches too
+            expect(files, mirror).toContain(importMap.imports.three.replace(/three\.module\.js$/, 'three.core.js'));
+            for (const url of files) {
+                expect(importMap.integrity, mirror).toHaveProperty([url]);
+            }
         }
     });
 });
@@ -0,0 +1,170 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { CONFIG } from '../src/config.js';
+import { createLighting, currentLightingPreset, nextLightingPresetName, setLightingPreset } from '../src/lighting.js';
+import { makeMockGL } from './helpers/mock-gl.js';
+
+function createRenderer() {
+    return new THREE.WebGLRenderer({ canvas: document.createElement('canvas'), context: makeMockGL() });
+}
+
+function lights(scene) {
+    return scene.getObjectByName('Lighting').children;
+}
+
+describe('lighting presets', () => {
+    let savedPresets;
+
+    beforeEach(() => {
+        localStorage.clear();
+        savedPresets = structuredClone(CONFIG.lighting.presets);
+    });
+
+    afterEach(() => {
+        CONFIG.lighting.preset = 'studio';
+        CONFIG.lighting.presets = savedPresets;
+        vi.restoreAllMocks();
+    });
+
+    it('cycles through every preset in order and persists the choice', () => {
+        const names = Object.keys(CONFIG.lighting.presets);
+        const visited = [];
+
+        for (const _ of names) {
+            visited.push(CONFIG.lighting.preset);
+            setLightingPreset(nextLightingPresetName());
+        }
+
+        expect(visited).toEqual(names);
+        expect(localStorage.getItem('lightingPreset')).toBe(names[0]);
+    });
+
+    it('falls back to the first preset for an unknown name, and rejects setting one', () => {
+        CONFIG.lighting.preset = 'disco';
+        expect(currentLightingPreset()).toBe(CONFIG.lighting.presets.studio);
+
+        expect(() => setLightingPreset('disco')).toThrow('Unknown lighting preset: disco');
+    });
+
+    it('replaces and disposes the lights when switching presets', async () => {
+        const scene = new THREE.Scene();
+        const lighting = createLighting(scene);
+        const renderer = createRenderer();
+
+        await lighting.apply(renderer);
+        const studioLights = [...lights(scene)];
+        expect(studioLights.map(light => light.type)).toEqual(['AmbientLight', 'DirectionalLight', 'DirectionalLight', 'PointLight', 'DirectionalLight']);
+        expect(studioLights[1].position.toArray()).toEqual([2, 2, 2]);
+        const disposals = studioLights.map(light => vi.spyOn(light, 'dispose'));
+
+        setLightingPreset('sunset');
+        await lighting.apply(renderer);
+
+        for (const dispose of disposals) {
+            expect(dispose).toHaveBeenCalledOnce();
+        }
+        const [sky, sun] = lights(scene);
+        expect(sky).toBeInstanceOf(THREE.HemisphereLight);
+        expect(sky.groundColor.getHex()).toBe(0x2e2240);
+        expect(sun.color.getHex()).toBe(0xff8a3d);
+    });
+
+    it('lights PBR materials with the procedural room and frees it when switching to a preset without one', async () => {
+        const scene = new THREE.Scene();
+        const lighting = createLighting(scene);
+        const renderer = createRenderer();
+        const baseline = renderer.info.memory.textures;
+
+        await lighting.apply(renderer);
+        expect(scene.environment.mapping).toBe(THREE.CubeUVReflectionMapping);
+        expect(scene.environmentIntensity).toBe(0.5);
+        // Only the prefiltered result is left; the generator's own targets are gone
+        expect(renderer.info.memory.textures).toBe(baseline + 1);
+
+        setLightingPreset('noir');
+        await lighting.apply(renderer);
+        expect(scene.environment).toBeNull();
+        expect(renderer.info.memory.textures).toBe(baseline);
+    });
+
+    it('regenerates the environment on a rebuilt renderer without reloading the image', async () => {
+        const image = new THREE.DataTexture(new Uint8Array(8 * 4 * 4), 8, 4);
+        image.needsUpdate = true;
+        const load = vi.spyOn(THREE.TextureLoader.prototype, 'loadAsync').mockResolvedValue(image);
+        CONFIG.lighting.presets.studio.environment = 'assets/env/studio.jpg';
+        const scene = new THREE.Scene();
+        const lighting = createLighting(scene);
+
+        const oldRenderer = createRenderer();
+        await lighting.apply(oldRenderer);
+        const oldEnvironment = scene.environment;
+        expect(image.mapping).toBe(THREE.EquirectangularReflectionMapping);
+        expect(oldRenderer.info.memory.textures).toBe(1);
+
+        const renderer = createRenderer();
+        await lighting.apply(renderer);
+
+        expect(load).toHaveBeenCalledOnce();
+        expect(scene.environment).not.toBe(oldEnvironment);
+        // The old renderer's copy is freed along with it
+        expect(oldRenderer.info.memory.textures).toBe(0);
+        expect(renderer.info.memory.textures).toBe(1);
+
+        const disposeImage = vi.spyOn(image, 'dispose');
+        setLightingPreset('ps1Flat');
+        await lighting.apply(renderer);
+        expect(disposeImage).toHaveBeenCalledOnce();
+        expect(renderer.info.memory.textures).toBe(0);
+    });
+
+    it('drops an image that finishes loading after a newer preset was applied', async () => {
+        const image = new THREE.DataTexture(new Uint8Array(4), 1, 1);
+        let resolveLoad;
+        vi.spyOn(THREE.TextureLoader.prototype, 'loadAsync').mockReturnValue(new Promise((resolve) => {
+            resolveLoad = resolve;
+        }));
+        const disposeImage = vi.spyOn(image, 'dispose');
+        CONFIG.lighting.presets.sunset.environment = 'assets/env/sunset.jpg';
+        setLightingPreset('sunset');
+        const scene = new THREE.Scene();
+        const lighting = createLighting(scene);
+        const renderer = createRenderer();
+
+        const slow = lighting.apply(renderer);
+        setLightingPreset('studio');
+        await lighting.apply(renderer);
+        const roomEnvironment = scene.environment;
+        resolveLoad(image);
+        await slow;
+
+        expect(scene.environment).toBe(roomEnvironment);
+        expect(disposeImage).toHaveBeenCalledOnce();
+    });
+
+    it('keeps the lights when an environment image fails to load', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(THREE.TextureLoader.prototype, 'loadAsync').mockRejectedValue(new Error('404'));
+        CONFIG.lighting.presets.studio.environment = 'assets/env/missing.jpg';
+        const scene = new THREE.Scene();
+        const lighting = createLighting(scene);
+
+        await lighting.apply(createRenderer());
+
+        expect(lights(scene)).toHaveLength(5);
+        expect(scene.environment).toBeNull();
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('assets/env/missing.jpg'), expect.any(Error));
+    });
+
+    it('removes everything it added on dispose', async () => {
+        const scene = new THREE.Scene();
+        const lighting = createLighting(scene);
+        const renderer = createRenderer();
+        await lighting.apply(renderer);
+
+        lighting.dispose();
+
+        expect(scene.children).toHaveLength(0);
+        expect(scene.environment).toBeNull();
+        expect(renderer.info.memory.textures).toBe(0);
+    });
+});
@@ -0,0 +1,234 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { CONFIG } from '../src/config.js';
+import { pickModelFile, loadModel, loadModelFromFiles, computeRetryDelay, getFailedResources, applyModelMaterials, showLoadingError } from '../src/loader.js';
+
+/** A triangle whose bounding box is centered at (1, 1, 1) */
+const OBJ_TRIANGLE = 'o Tri\nv 0 0 0\nv 2 0 0\nv 0 2 2\nf 1 2 3\n';
+
+function file(name, contents = '') {
+    return new File([contents], name);
+}
+
+describe('pickModelFile', () => {
+    it('ignores textures and side files', () => {
+        const model = file('plate.obj');
+        expect(pickModelFile([file('plate.mtl'), file('plate.png'), model])).toBe(model);
+    });
+
+    it('prefers self-contained formats when several models are dropped', () => {
+        const glb = file('plate.glb');
+        expect(pickModelFile([file('plate.obj'), file('plate.fbx'), glb])).toBe(glb);
+    });
+
+    it('returns null when no file is a model', () => {
+        expect(pickModelFile([file('texture.png')])).toBeNull();
+        expect(pickModelFile([])).toBeNull();
+    });
+});
+
+describe('loadModelFromFiles', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<main><output id="loading"></output></main>';
+        URL.createObjectURL = vi.fn(blob => `blob:test/${blob.name}`);
+        URL.revokeObjectURL = vi.fn();
+    });
+
+    afterEach(() => {
+        delete URL.createObjectURL;
+        delete URL.revokeObjectURL;
+    });
+
+    it('parses a dropped model from memory, centers it and adds it to the scene', async () => {
+        const scene = new THREE.Scene();
+        const model = await loadModelFromFiles(scene, [file('tri.obj', OBJ_TRIANGLE)]);
+
+        expect(model.parent).toBe(scene);
+        const center = new THREE.Box3().setFromObject(model).getCenter(new THREE.Vector3());
+        expect(center.length()).toBeCloseTo(0);
+        expect(document.getElementById('loading').style.display).toBe('none');
+    });
+
+    it('revokes the object URLs once loading is done', async () => {
+        const files = [file('tri.obj', OBJ_TRIANGLE), file('unused.png')];
+        await loadModelFromFiles(new THREE.Scene(), files);
+
+        expect(URL.createObjectURL).toHaveBeenCalledTimes(2);
+        expect(URL.revokeObjectURL).toHaveBeenCalledTimes(2);
+    });
+
+    it('records side files the model references but that were not dropped', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        // Node can't build a Request for a page-relative URL; the browser resolves it against the page
+        vi.stubGlobal('Request', class {
+            constructor(url) {
+                this.url = url;
+            }
+        });
+        vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 404 })));
+        const model = await loadModelFromFiles(new THREE.Scene(), [file('tri.obj', `mtllib missing.mtl\n${OBJ_TRIANGLE}`)]);
+
+        expect(getFailedResources(model)).toEqual(['./missing.mtl']);
+        expect(getFailedResources(new THREE.Group())).toEqual([]);
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('shows the loading error, with a working retry, when no file is a model', async () => {
+        const onSuccess = vi.fn();
+        loadModelFromFiles(new THREE.Scene(), [file('texture.png')]).then(onSuccess);
+        await vi.waitFor(() => expect(document.querySelector('.retry-button')).not.toBeNull());
+
+        const loadingEl = document.getElementById('loading');
+        expect(loadingEl.className).toBe('error-container');
+        expect(loadingEl.querySelector('.error-details').textContent).toMatch(/supported model/);
+
+        loadingEl.querySelector('.retry-button').click();
+        await Promise.resolve();
+
+        // Retrying in place rebuilds the same error rather than reloading the page
+        expect(document.querySelectorAll('.retry-button')).toHaveLength(1);
+        expect(onSuccess).not.toHaveBeenCalled();
+    });
+});
+
+describe('applyModelMaterials', () => {
+    afterEach(() => {
+        CONFIG.renderPreset = 'standard';
+    });
+
+    it('patches shaders and texture filtering for the active preset, and undoes them when it changes', () => {
+        const map = new THREE.Texture();
+        const material = new THREE.MeshPhongMaterial({ map });
+        const model = new THREE.Group().add(new THREE.Mesh(new THREE.BufferGeometry(), [material]));
+
+        CONFIG.renderPreset = 'n64';
+        applyModelMaterials(model);
+        const n64Patch = material.onBeforeCompile;
+        expect(n64Patch).not.toBe(THREE.Material.prototype.onBeforeCompile);
+        expect(map.magFilter).toBe(THREE.NearestFilter);
+
+        CONFIG.renderPreset = 'ps1';
+        applyModelMaterials(model);
+        expect(material.onBeforeCompile).not.toBe(n64Patch);
+        expect(material.onBeforeCompile).not.toBe(THREE.Material.prototype.onBeforeCompile);
+
+        CONFIG.renderPreset = 'standard';
+        applyModelMaterials(model);
+        expect(material.onBeforeCompile).toBe(THREE.Material.prototype.onBeforeCompile);
+        expect(map.magFilter).toBe(THREE.LinearFilter);
+        expect(map.generateMipmaps).toBe(true);
+    });
+});
+
+describe('computeRetryDelay', () => {
+    it('doubles with each attempt, jittered between half and the full backoff', () => {
+        const base = CONFIG.modelRetryDelay;
+        expect(computeRetryDelay(1, () => 0)).toBe(base / 2);
+        expect(computeRetryDelay(1, () => 1)).toBe(base);
+        expect(computeRetryDelay(2, () => 0)).toBe(base);
+        expect(computeRetryDelay(3, () => 1)).toBe(base * 4);
+    });
+
+    it('never exceeds the configured maximum', () => {
+        expect(computeRetryDelay(20, () => 1)).toBe(CONFIG.modelRetryMaxDelay);
+    });
+});
+
+describe('showLoadingError', () => {
+    it('shows the error without a retry button when no options are given', () => {
+        const loadingEl = document.createElement('div');
+
+        showLoadingError(loadingEl, new Error('Model not found'));
+
+        expect(loadingEl.querySelector('.error-details').textContent).toBe('Model not found');
+        expect(loadingEl.querySelectorAll('.error-steps__list li').length).toBeGreaterThan(0);
+        expect(loadingEl.querySelector('.retry-button')).toBeNull();
+    });
+});
+
+describe('loadModel', () => {
+    const retryDelay = CONFIG.modelRetryDelay;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<main><output id="loading"></output></main>';
+        CONFIG.modelRetryDelay = 1;
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        CONFIG.modelRetryDelay = retryDelay;
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    function respond(status, body = '') {
+        return new Response(status === 200 ? body : null, { status });
+    }
+
+    it('resolves with the model once it is in the scene', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => respond(200, OBJ_TRIANGLE)));
+        const scene = new THREE.Scene();
+
+        const model = await loadModel(scene, { path: 'models/tri.obj', scale: 1 });
+
+        expect(model.parent).toBe(scene);
+        expect(document.getElementById('loading').style.display).toBe('none');
+    });
+
+    it('retries transient server errors with backoff', async () => {
+        const fetch = vi.fn()
+            .mockResolvedValueOnce(respond(503))
+            .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+            .mockResolvedValue(respond(200, OBJ_TRIANGLE));
+        vi.stubGlobal('fetch', fetch);
+
+        const model = await loadModel(new THREE.Scene(), { path: 'models/tri.obj', scale: 1 });
+
+        expect(fetch).toHaveBeenCalledTimes(3);
+        expect(model).toBeInstanceOf(THREE.Object3D);
+    });
+
+    it('goes straight to the error panel on a 404, and retries in place from it', async () => {
+        const fetch = vi.fn().mockResolvedValueOnce(respond(404)).mockResolvedValue(respond(200, OBJ_TRIANGLE));
+        vi.stubGlobal('fetch', fetch);
+        const scene = new THREE.Scene();
+
+        const loading = loadModel(scene, { path: 'models/tri.obj', scale: 1 });
+        await vi.waitFor(() => expect(document.querySelector('.retry-button')).not.toBeNull());
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(document.querySelector('.error-details').textContent).toMatch(/404/);
+
+        document.querySelector('.retry-button').click();
+
+        // The same promise resolves once the retry succeeds
+        expect((await loading).parent).toBe(scene);
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not retry a file that fails to parse', async () => {
+        const fetch = vi.fn(async () => respond(200, 'not a model'));
+        vi.stubGlobal('fetch', fetch);
+
+        loadModel(new THREE.Scene(), { path: 'models/plate.xyz', scale: 1 });
+
+        await vi.waitFor(() => expect(document.querySelector('.retry-button')).not.toBeNull());
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops retrying and rejects when aborted', async () => {
+        CONFIG.modelRetryDelay = 10_000;
+        const fetch = vi.fn(async () => respond(503));
+        vi.stubGlobal('fetch', fetch);
+        const controller = new AbortController();
+        const scene = new THREE.Scene();
+
+        const loading = loadModel(scene, { path: 'models/tri.obj', scale: 1 }, { signal: controller.signal });
+        await vi.waitFor(() => expect(document.getElementById('loading').textContent).toMatch(/Retrying in/));
+        controller.abort();
+
+        await expect(loading).rejects.toThrow(/abort/i);
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(scene.children).toHaveLength(0);
+    });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { applyN64Material, removeN64Material } from '../src/n64.js';
+
+/** Run a material's onBeforeCompile on a copy of its built-in shader, as the renderer would */
+function compile(material, shaderName) {
+    const { vertexShader, fragmentShader } = THREE.ShaderLib[shaderName];
+    const shader = { uniforms: {}, vertexShader, fragmentShader };
+    material.onBeforeCompile(shader);
+    return shader;
+}
+
+describe('applyN64Material', () => {
+    it('samples the color map with 3-point filtering', () => {
+        const material = new THREE.MeshLambertMaterial();
+        applyN64Material(material);
+
+        const { fragmentShader } = compile(material, 'lambert');
+
+        expect(fragmentShader).not.toContain('#include <map_fragment>');
+        expect(fragmentShader).toContain('n64ThreePoint( map, vMapUv )');
+        expect(fragmentShader.indexOf('vec4 n64ThreePoint')).toBeGreaterThan(fragmentShader.indexOf('#include <map_pars_fragment>'));
+    });
+
+    it('is undone by removeN64Material, which leaves other patches alone', () => {
+        const material = new THREE.MeshLambertMaterial();
+        applyN64Material(material);
+        removeN64Material(material);
+        expect(material.onBeforeCompile).toBe(THREE.Material.prototype.onBeforeCompile);
+
+        const custom = () => {};
+        material.onBeforeCompile = custom;
+        removeN64Material(material);
+        expect(material.onBeforeCompile).toBe(custom);
+    });
+
+    it('leaves shader materials alone', () => {
+        const material = new THREE.ShaderMaterial();
+        const { onBeforeCompile } = material;
+
+        applyN64Material(material);
+
+        expect(material.onBeforeCompile).toBe(onBeforeCompile);
+    });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { registerServiceWorker } from '../src/offline.js';
+
+/** Minimal navigator.serviceWorker with one registration */
+function fakeServiceWorker({ controller = {}, waiting = null } = {}) {
+    const registration = Object.assign(new EventTarget(), { waiting, installing: null });
+    const container = Object.assign(new EventTarget(), {
+        controller,
+        register: vi.fn(async () => registration)
+    });
+    return { container, registration };
+}
+
+/** A service worker in the given state */
+function fakeWorker(state = 'installed') {
+    return Object.assign(new EventTarget(), { state, postMessage: vi.fn() });
+}
+
+describe('registerServiceWorker', () => {
+    let main;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<main></main>';
+        main = document.querySelector('main');
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('does nothing where service workers are unsupported', () => {
+        vi.stubGlobal('navigator', {});
+        expect(() => registerServiceWorker(main)()).not.toThrow();
+    });
+
+    it('registers sw.js from the site root', async () => {
+        const { container } = fakeServiceWorker();
+        vi.stubGlobal('navigator', { serviceWorker: container });
+
+        const cleanup = registerServiceWorker(main);
+        await Promise.resolve();
+
+        const [url, options] = container.register.mock.calls[0];
+        expect(new URL(url).pathname).toBe('/sw.js');
+        expect(options).toEqual({ updateViaCache: 'none' });
+        cleanup();
+    });
+
+    it('offers a waiting update and hands over to it on reload', async () => {
+        const waiting = fakeWorker();
+        const { container } = fakeServiceWorker({ waiting });
+        vi.stubGlobal('navigator', { serviceWorker: container });
+
+        const cleanup = registerServiceWorker(main);
+        await vi.waitFor(() => expect(main.querySelector('.update-notice')).not.toBeNull());
+        main.querySelector('.update-notice__button').click();
+
+        expect(waiting.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+        expect(main.querySelector('.update-notice')).toBeNull();
+        cleanup();
+    });
+
+    it('offers an update once it finishes installing', async () => {
+        const { container, registration } = fakeServiceWorker();
+        vi.stubGlobal('navigator', { serviceWorker: container });
+
+        const cleanup = registerServiceWorker(main);
+        await vi.waitFor(() => expect(container.register).toHaveBeenCalled());
+        await Promise.resolve();
+
+        registration.installing = fakeWorker('installing');
+        registration.dispatchEvent(new Event('updatefound'));
+        expect(main.querySelector('.update-notice')).toBeNull();
+
+        registration.installing.state = 'installed';
+        registration.installing.dispatchEvent(new Event('statechange'));
+        expect(main.querySelector('.update-notice')).not.toBeNull();
+        cleanup();
+    });
+
+    it('stays quiet on the first install, when no worker controls the page yet', async () => {
+        const { container } = fakeServiceWorker({ controller: null, waiting: fakeWorker() });
+        vi.stubGlobal('navigator', { serviceWorker: container });
+
+        const cleanup = registerServiceWorker(main);
+        await vi.waitFor(() => expect(container.register).toHaveBeenCalled());
+        await Promise.resolve();
+
+        expect(main.querySelector('.update-notice')).toBeNull();
+        cleanup();
+    });
+});
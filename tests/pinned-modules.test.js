@@ -0,0 +1,92 @@
+// @vitest-environment node
+// Serves three.js off disk; Node has the Blob URLs the module builds but
+// can't import() them, so the linked sources are read back instead.
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolveObjectURL } from 'node:buffer';
+import { fileURLToPath } from 'node:url';
+import { resolveSpecifier, linkPinnedModules } from '../src/pinned-modules.js';
+
+const indexHtml = readFileSync(fileURLToPath(new URL('../index.html', import.meta.url)), 'utf8');
+
+/** The primary candidate import map from index.html */
+const importMap = JSON.parse(/<script type="application\/json" data-importmap="jsdelivr">(.*?)<\/script>/s.exec(indexHtml)[1]);
+const root = importMap.imports['three/addons/'].replace(/examples\/jsm\/$/, '');
+
+/** Read back the source behind a blob URL */
+function blobSource(url) {
+    return resolveObjectURL(url).text();
+}
+
+describe('resolveSpecifier', () => {
+    it('resolves bare, prefixed and relative specifiers like the import map', () => {
+        expect(resolveSpecifier(importMap, 'three')).toBe(importMap.imports.three);
+        expect(resolveSpecifier(importMap, 'three/addons/loaders/OBJLoader.js')).toBe(`${root}examples/jsm/loaders/OBJLoader.js`);
+        expect(resolveSpecifier(importMap, '../libs/fflate.module.js', `${root}examples/jsm/loaders/FBXLoader.js`))
+            .toBe(`${root}examples/jsm/libs/fflate.module.js`);
+    });
+
+    it('refuses specifiers the import map doesn\'t cover', () => {
+        expect(() => resolveSpecifier(importMap, 'fflate')).toThrow(TypeError);
+        expect(() => resolveSpecifier(importMap, './three.core.js')).toThrow(TypeError);
+    });
+});
+
+describe('linkPinnedModules', () => {
+    let fetchMock;
+
+    beforeEach(() => {
+        fetchMock = vi.fn(async url => (url.startsWith(root)
+            ? new Response(readFileSync(fileURLToPath(new URL(`../node_modules/three/${url.slice(root.length)}`, import.meta.url))))
+            : new Response('', { status: 404 })));
+        vi.stubGlobal('fetch', fetchMock);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('fetches every file with its pinned hash and links the imports to each other', async () => {
+        const [three, gltf] = await linkPinnedModules(importMap, ['three', 'three/addons/loaders/GLTFLoader.js']);
+
+        for (const [url, options] of fetchMock.mock.calls) {
+            expect(options, url).toEqual({ integrity: importMap.integrity[url], mode: 'cors' });
+        }
+        const threeSource = await blobSource(three);
+        const [, core] = /from '(blob:[^']+)'/.exec(threeSource);
+        expect(await blobSource(core)).toContain('const REVISION');
+
+        const gltfSource = await blobSource(gltf);
+        expect(gltfSource).toContain(`from '${three}'`);
+        expect(gltfSource).toMatch(/^import \{[^}]*\} from 'blob:[^']+';$/m);
+        expect(gltfSource).not.toMatch(/^import [^;]*from '(?!blob:)/m);
+    });
+
+    it('fetches a file once however many modules import it', async () => {
+        await linkPinnedModules(importMap, ['three', 'three/addons/loaders/OBJLoader.js', 'three/addons/loaders/MTLLoader.js']);
+
+        const urls = fetchMock.mock.calls.map(([url]) => url);
+        expect(urls).toHaveLength(new Set(urls).size);
+        expect(urls).toContain(importMap.imports.three);
+    });
+
+    it('leaves imports shown in doc comments alone', async () => {
+        const [fbx] = await linkPinnedModules(importMap, ['three/addons/loaders/FBXLoader.js']);
+
+        expect(await blobSource(fbx)).toContain("@three_import import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';");
+    });
+
+    it('refuses a file without an integrity entry', async () => {
+        const { [`${root}build/three.core.js`]: removed, ...integrity } = importMap.integrity;
+        expect(removed).toBeDefined();
+
+        await expect(linkPinnedModules({ ...importMap, integrity }, ['three']))
+            .rejects.toThrow(`No integrity hash for ${root}build/three.core.js`);
+    });
+
+    it('fails when a file can\'t be fetched', async () => {
+        fetchMock.mockResolvedValueOnce(new Response('', { status: 503 }));
+
+        await expect(linkPinnedModules(importMap, ['three'])).rejects.toThrow(`${importMap.imports.three} responded 503`);
+    });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { CONFIG } from '../src/config.js';
+import { activePasses, createPostProcessing } from '../src/postprocessing.js';
+import { createBackgroundScene } from '../src/scene.js';
+import { createRealRenderer } from './helpers/real-renderer.js';
+import { makeShaderRecordingGL, linearToSRGB, outputValue } from './helpers/shader-output.js';
+
+const PASS_NAMES = ['dither', 'quantize', 'curvature', 'scanlines', 'vignette'];
+
+/** Record the render target and pass material of every draw the renderer makes */
+function recordDraws(renderer) {
+    const draws = [];
+    const render = renderer.render.bind(renderer);
+    vi.spyOn(renderer, 'render').mockImplementation((scene, camera) => {
+        const material = scene.children[0]?.material;
+        draws.push({
+            target: renderer.getRenderTarget(),
+            material: material?.isShaderMaterial ? material : null,
+            input: material?.uniforms?.tInput?.value ?? null,
+            linearInput: material?.uniforms?.linearInput?.value ?? null
+        });
+        render(scene, camera);
+    });
+    return draws;
+}
+
+describe('post-processing', () => {
+    let saved;
+
+    beforeEach(() => {
+        saved = structuredClone(CONFIG.postProcessing);
+        CONFIG.postProcessing.enabled = true;
+        for (const name of PASS_NAMES) {
+            CONFIG.postProcessing[name].enabled = true;
+        }
+    });
+
+    afterEach(() => {
+        CONFIG.postProcessing = saved;
+        vi.restoreAllMocks();
+    });
+
+    it('runs the enabled passes in a fixed order, and none when post-processing is off', () => {
+        expect(activePasses()).toEqual(PASS_NAMES);
+
+        CONFIG.postProcessing.dither.enabled = false;
+        CONFIG.postProcessing.scanlines.enabled = false;
+        expect(activePasses()).toEqual(['quantize', 'curvature', 'vignette']);
+
+        CONFIG.postProcessing.enabled = false;
+        expect(activePasses()).toEqual([]);
+    });
+
+    it('adds the passes the render preset turns on, even with post-processing off', () => {
+        CONFIG.postProcessing.enabled = false;
+        CONFIG.renderPreset = 'gameboy';
+        try {
+            expect(activePasses()).toEqual(['palette']);
+
+            CONFIG.postProcessing.enabled = true;
+            expect(activePasses()).toEqual(['palette', ...PASS_NAMES]);
+        } finally {
+            CONFIG.renderPreset = 'standard';
+        }
+    });
+
+    it('draws straight to the canvas without active passes', () => {
+        CONFIG.postProcessing.enabled = false;
+        const { renderer } = createRealRenderer({ width: 320, height: 240 });
+        const postProcessing = createPostProcessing();
+        const drawScenes = vi.fn(() => expect(renderer.getRenderTarget()).toBeNull());
+
+        postProcessing.render(renderer, drawScenes);
+
+        expect(drawScenes).toHaveBeenCalledTimes(1);
+    });
+
+    it('renders the scenes offscreen at the drawing buffer size and chains the passes to the canvas', () => {
+        const { renderer } = createRealRenderer({ width: 320, height: 240 });
+        const postProcessing = createPostProcessing();
+        let sceneTarget = null;
+        const draws = recordDraws(renderer);
+
+        postProcessing.render(renderer, () => {
+            sceneTarget = renderer.getRenderTarget();
+        });
+
+        expect([sceneTarget.width, sceneTarget.height]).toEqual([320, 240]);
+        expect(draws).toHaveLength(PASS_NAMES.length);
+        expect(draws.map(draw => draw.material.name)).toEqual(PASS_NAMES.map(name => `PostProcessing.${name}`));
+        // Each pass reads what the previous one wrote; only the first reads linear scene colors
+        expect(draws[0].input).toBe(sceneTarget.texture);
+        for (let i = 1; i < draws.length; i++) {
+            expect(draws[i].input).toBe(draws[i - 1].target.texture);
+            expect(draws[i].target).not.toBe(draws[i - 1].target);
+        }
+        expect(draws.map(draw => draw.linearInput)).toEqual([true, false, false, false, false]);
+        expect(draws.at(-1).target).toBeNull();
+    });
+
+    it('follows the drawing buffer when the renderer is resized', () => {
+        const { renderer } = createRealRenderer({ width: 320, height: 240 });
+        const postProcessing = createPostProcessing();
+        let sceneTarget = null;
+        const drawScenes = () => {
+            sceneTarget = renderer.getRenderTarget();
+        };
+
+        postProcessing.render(renderer, drawScenes);
+        renderer.setSize(160, 120, false);
+        postProcessing.render(renderer, drawScenes);
+
+        expect([sceneTarget.width, sceneTarget.height]).toEqual([160, 120]);
+    });
+
+    it('copies the configured parameters into the pass uniforms', () => {
+        CONFIG.postProcessing.quantize.bits = 4;
+        CONFIG.postProcessing.scanlines.spacing = 3;
+        const { renderer } = createRealRenderer({ width: 320, height: 240 });
+        const postProcessing = createPostProcessing();
+        const draws = recordDraws(renderer);
+
+        postProcessing.render(renderer, () => {});
+
+        const uniforms = Object.fromEntries(draws.map(({ material }) => [material.name.split('.')[1], material.uniforms]));
+        expect(uniforms.dither.levels.value).toBe(15);
+        expect(uniforms.quantize.levels.value).toBe(15);
+        expect(uniforms.scanlines.spacing.value).toBe(3);
+        expect(uniforms.curvature.amount.value).toBe(CONFIG.postProcessing.curvature.amount);
+    });
+
+    it('packs the ASCII glyphs into its shader and the palette into display-space colors', () => {
+        CONFIG.postProcessing.palette.enabled = true;
+        CONFIG.postProcessing.ascii.enabled = true;
+        const { renderer } = createRealRenderer({ width: 320, height: 240 });
+        const postProcessing = createPostProcessing();
+        const draws = recordDraws(renderer);
+
+        postProcessing.render(renderer, () => {});
+
+        const [palette, ascii] = draws.map(draw => draw.material);
+        // Read back without conversion: the uniform holds sRGB values as they are
+        expect(palette.uniforms.colors.value[3].getHexString(THREE.LinearSRGBColorSpace)).toBe('9bbc0f');
+        // '.' is a single dot in the middle of the bottom row: bit 2 + 4 * 5
+        expect(ascii.fragmentShader).toMatch(/int\[ GLYPH_COUNT \]\( 0, 4194304, /);
+    });
+
+    it('hands the passes the background in the display colors the canvas shows without them', () => {
+        // Acid orange, whose green channel is mid-range
+        vi.spyOn(Math, 'random').mockReturnValue(0);
+        const { context, sources } = makeShaderRecordingGL();
+        const { renderer } = createRealRenderer({ context });
+        const { backgroundScene, backgroundCamera, backgroundMesh } = createBackgroundScene();
+        const postProcessing = createPostProcessing();
+
+        renderer.render(backgroundScene, backgroundCamera);
+        const draws = recordDraws(renderer);
+        postProcessing.render(renderer, () => renderer.render(backgroundScene, backgroundCamera));
+
+        const [direct, offscreen] = sources.filter(source => source.includes('uniform vec3 fillColor'));
+        // At the gradient's center the shader's color is its fill color
+        const fill = backgroundMesh.material.uniforms.fillColor.value.toArray()[1];
+        const canvasValue = outputValue(direct, fill);
+        const firstPass = draws.find(draw => draw.material?.name.startsWith('PostProcessing.'));
+        expect(firstPass.linearInput).toBe(true);
+        // The scene target keeps what the program wrote; the first pass encodes it as it reads
+        const passValue = linearToSRGB(outputValue(offscreen, fill));
+
+        expect(canvasValue).toBeCloseTo(CONFIG.background.colors[0][1], 5);
+        expect(passValue).toBeCloseTo(canvasValue, 5);
+        backgroundMesh.material.dispose();
+        backgroundMesh.geometry.dispose();
+    });
+
+    it('frees its render targets on dispose and recreates them on the next render', () => {
+        const { renderer } = createRealRenderer({ width: 320, height: 240 });
+        const postProcessing = createPostProcessing();
+        const before = renderer.info.memory.textures;
+
+        postProcessing.render(renderer, () => {});
+        expect(renderer.info.memory.textures).toBe(before + 2);
+
+        postProcessing.dispose();
+        expect(renderer.info.memory.textures).toBe(before);
+
+        postProcessing.render(renderer, () => {});
+        expect(renderer.info.memory.textures).toBe(before + 2);
+    });
+});
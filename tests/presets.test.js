@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { CONFIG } from '../src/config.js';
+import { currentPreset, nextPresetName, setRenderPreset } from '../src/presets.js';
+
+describe('render presets', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    afterEach(() => {
+        CONFIG.renderPreset = 'standard';
+    });
+
+    it('cycles through every preset in order, wrapping around', () => {
+        const names = Object.keys(CONFIG.renderPresets);
+        const visited = [];
+
+        for (const _ of names) {
+            visited.push(CONFIG.renderPreset);
+            setRenderPreset(nextPresetName());
+        }
+
+        expect(visited).toEqual(names);
+        expect(CONFIG.renderPreset).toBe(names[0]);
+    });
+
+    it('persists the choice and drops the legacy ps1Style flag', () => {
+        localStorage.setItem('ps1Style', 'true');
+
+        setRenderPreset('gameboy');
+
+        expect(currentPreset()).toBe(CONFIG.renderPresets.gameboy);
+        expect(localStorage.getItem('renderPreset')).toBe('gameboy');
+        expect(localStorage.getItem('ps1Style')).toBeNull();
+    });
+
+    it('falls back to the standard preset for an unknown persisted name', () => {
+        CONFIG.renderPreset = 'vectrex';
+
+        expect(currentPreset()).toBe(CONFIG.renderPresets.standard);
+        expect(nextPresetName()).toBe(Object.keys(CONFIG.renderPresets)[0]);
+    });
+
+    it('rejects unknown presets', () => {
+        expect(() => setRenderPreset('vectrex')).toThrow('Unknown render preset: vectrex');
+        expect(localStorage.getItem('renderPreset')).toBeNull();
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { CONFIG } from '../src/config.js';
+import { applyPS1Material, removePS1Material, updatePS1Resolution } from '../src/ps1.js';
+
+/** Run a material's onBeforeCompile on a copy of its built-in shader, as the renderer would */
+function compile(material, shaderName) {
+    const { vertexShader, fragmentShader } = THREE.ShaderLib[shaderName];
+    const shader = { uniforms: {}, vertexShader, fragmentShader };
+    material.onBeforeCompile(shader);
+    return shader;
+}
+
+describe('applyPS1Material', () => {
+    it('snaps projected vertices and passes affine UVs to the fragment shader', () => {
+        const material = new THREE.MeshPhongMaterial();
+        applyPS1Material(material);
+
+        const { vertexShader, fragmentShader } = compile(material, 'phong');
+
+        const snap = vertexShader.indexOf('floor( gl_Position.xy');
+        expect(snap).toBeGreaterThan(vertexShader.indexOf('#include <project_vertex>'));
+        expect(vertexShader).toContain('ps1AffineMapUv = vMapUv * gl_Position.w');
+        expect(vertexShader).toMatch(/#include <color_vertex>\s+#if[^\n]+USE_COLOR[^\n]*\s+vColor\.rgb = floor/);
+        // vMapUv is redefined after its declaration, so map_fragment samples the affine UVs
+        expect(fragmentShader.indexOf('#define vMapUv')).toBeGreaterThan(fragmentShader.indexOf('#include <uv_pars_fragment>'));
+        expect(fragmentShader.indexOf('#define vMapUv')).toBeLessThan(fragmentShader.indexOf('#include <map_fragment>'));
+    });
+
+    it('patches every built-in mesh material through one shared function and uniform', () => {
+        const phong = new THREE.MeshPhongMaterial();
+        const standard = new THREE.MeshStandardMaterial();
+        applyPS1Material(phong);
+        applyPS1Material(standard);
+
+        expect(phong.onBeforeCompile).toBe(standard.onBeforeCompile);
+        expect(compile(phong, 'phong').uniforms.ps1Resolution).toBe(compile(standard, 'standard').uniforms.ps1Resolution);
+        for (const name of ['basic', 'lambert', 'phong', 'standard', 'physical', 'toon', 'matcap']) {
+            expect(compile(phong, name).vertexShader, name).toContain('ps1Resolution * 0.5');
+        }
+    });
+
+    it('leaves shader materials alone', () => {
+        const material = new THREE.ShaderMaterial();
+        const { onBeforeCompile } = material;
+
+        applyPS1Material(material);
+
+        expect(material.onBeforeCompile).toBe(onBeforeCompile);
+    });
+});
+
+describe('removePS1Material', () => {
+    it('restores the stock shaders and flags the material for recompilation', () => {
+        const material = new THREE.MeshPhongMaterial();
+        applyPS1Material(material);
+        const { version } = material;
+
+        removePS1Material(material);
+
+        expect(material.onBeforeCompile).toBe(THREE.Material.prototype.onBeforeCompile);
+        expect(compile(material, 'phong').vertexShader).not.toContain('ps1Resolution');
+        expect(material.version).toBeGreaterThan(version);
+    });
+
+    it('keeps an onBeforeCompile that is not the PS1 patch', () => {
+        const material = new THREE.MeshPhongMaterial();
+        const custom = () => {};
+        material.onBeforeCompile = custom;
+
+        removePS1Material(material);
+
+        expect(material.onBeforeCompile).toBe(custom);
+    });
+});
+
+describe('updatePS1Resolution', () => {
+    it('sizes the snapping grid to the drawing buffer in units of ps1Jitter pixels', () => {
+        const material = new THREE.MeshBasicMaterial();
+        applyPS1Material(material);
+        const renderer = { getDrawingBufferSize: target => target.set(640, 360) };
+
+        updatePS1Resolution(renderer);
+
+        const { value } = compile(material, 'basic').uniforms.ps1Resolution;
+        expect(value.toArray()).toEqual([640 / CONFIG.ps1Jitter, 360 / CONFIG.ps1Jitter]);
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { CONFIG } from '../src/config.js';
+import { createAdaptiveQuality } from '../src/quality.js';
+
+describe('createAdaptiveQuality', () => {
+    let saved;
+    let onChange;
+    let quality;
+
+    beforeEach(() => {
+        saved = structuredClone(CONFIG.renderer.adaptive);
+        Object.assign(CONFIG.renderer.adaptive, {
+            enabled: true,
+            minScale: 0.5,
+            maxScale: 1,
+            step: 0.25,
+            windowFrames: 10,
+            lowerAboveMs: 25,
+            raiseBelowMs: 18,
+            raiseAfterFrames: 20,
+            maxFrameMs: 250
+        });
+        onChange = vi.fn();
+        quality = createAdaptiveQuality(onChange);
+    });
+
+    afterEach(() => {
+        CONFIG.renderer.adaptive = saved;
+    });
+
+    function run(frames, frameMs) {
+        for (let i = 0; i < frames; i++) {
+            quality.sample(frameMs / 1000);
+        }
+    }
+
+    it('starts at full scale and waits for a full window before judging', () => {
+        expect(quality.scale).toBe(1);
+
+        run(9, 40);
+        expect(onChange).not.toHaveBeenCalled();
+
+        run(1, 40);
+        expect(onChange).toHaveBeenCalledWith(0.75);
+        expect(quality.scale).toBe(0.75);
+    });
+
+    it('judges each scale on a fresh window and stops at the minimum', () => {
+        run(10, 40);
+        run(9, 40);
+        expect(onChange).toHaveBeenCalledTimes(1);
+
+        run(1, 40);
+        run(50, 40);
+        expect(onChange.mock.calls.map(([scale]) => scale)).toEqual([0.75, 0.5]);
+    });
+
+    it('goes by the rolling average, not single frames', () => {
+        run(10, 16);
+        // One slow frame among fast ones stays under the threshold
+        run(1, 100);
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('holds the scale while the average sits between the thresholds', () => {
+        run(10, 40);
+        run(200, 21);
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(quality.scale).toBe(0.75);
+    });
+
+    it('raises only after frames stay fast for raiseAfterFrames', () => {
+        run(10, 40);
+        onChange.mockClear();
+
+        // The window fills at frame 10, then 19 more fast frames
+        run(28, 10);
+        expect(onChange).not.toHaveBeenCalled();
+        run(1, 10);
+        expect(onChange).toHaveBeenCalledWith(1);
+
+        // Already at the top: stays there
+        run(100, 10);
+        expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('restarts the count of fast frames when one window runs slow', () => {
+        run(10, 40);
+        onChange.mockClear();
+        run(20, 10);
+        run(10, 21);
+        // Without the restart, these would add up to well over raiseAfterFrames
+        run(15, 10);
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('skips stalls longer than maxFrameMs', () => {
+        run(10, 1000);
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('forgets measured frames on reset', () => {
+        run(9, 40);
+        quality.reset();
+        run(9, 40);
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('does nothing when disabled', () => {
+        CONFIG.renderer.adaptive.enabled = false;
+        run(100, 40);
+        expect(onChange).not.toHaveBeenCalled();
+        expect(quality.scale).toBe(1);
+    });
+});
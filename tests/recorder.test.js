@@ -0,0 +1,337 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { CONFIG } from '../src/config.js';
+import {
+    createGIFEncoder,
+    createRecorderPanel,
+    recordTurntable,
+    recordingSize,
+    turntableAngle,
+    turntableFrameCount
+} from '../src/recorder.js';
+
+/** Parse a GIF far enough to check its structure and decode its frames */
+function decodeGIF(bytes) {
+    const view = new DataView(bytes.buffer);
+    const gif = {
+        signature: new TextDecoder().decode(bytes.subarray(0, 6)),
+        width: view.getUint16(6, true),
+        height: view.getUint16(8, true),
+        palette: bytes.subarray(13, 13 + 768),
+        loops: false,
+        frames: []
+    };
+
+    let offset = 13 + 768;
+    let delay = 0;
+    const readBlocks = () => {
+        const data = [];
+        for (let size = bytes[offset++]; size > 0; size = bytes[offset++]) {
+            data.push(...bytes.subarray(offset, offset + size));
+            offset += size;
+        }
+        return data;
+    };
+
+    while (bytes[offset] !== 0x3b) {
+        const introducer = bytes[offset++];
+        if (introducer === 0x21) {
+            const label = bytes[offset++];
+            const data = readBlocks();
+            if (label === 0xf9) delay = data[1] | (data[2] << 8);
+            if (label === 0xff) gif.loops = new TextDecoder().decode(new Uint8Array(data.slice(0, 11))) === 'NETSCAPE2.0';
+        } else if (introducer === 0x2c) {
+            offset += 9;
+            const minCodeSize = bytes[offset++];
+            gif.frames.push({ delay, indices: lzwDecode(readBlocks(), minCodeSize) });
+        } else {
+            throw new Error(`Unexpected block 0x${introducer.toString(16)}`);
+        }
+    }
+    gif.trailer = offset === bytes.length - 1;
+    return gif;
+}
+
+function lzwDecode(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const output = [];
+    let table;
+    let codeSize;
+    let previous = null;
+    let bitOffset = 0;
+
+    const reset = () => {
+        table = Array.from({ length: clearCode + 2 }, (_, i) => [i]);
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+    reset();
+
+    for (;;) {
+        let code = 0;
+        for (let bit = 0; bit < codeSize; bit++, bitOffset++) {
+            code |= ((data[bitOffset >> 3] >> (bitOffset & 7)) & 1) << bit;
+        }
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        if (code === clearCode + 1) return output;
+
+        let entry;
+        if (code < table.length) {
+            entry = table[code];
+            if (previous) table.push([...previous, entry[0]]);
+        } else {
+            entry = [...previous, previous[0]];
+            table.push(entry);
+        }
+        output.push(...entry);
+        previous = entry;
+        if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+}
+
+async function blobBytes(blob) {
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+describe('turntable timing', () => {
+    it('covers exactly one revolution, ending one step before the first frame repeats', () => {
+        const frameCount = turntableFrameCount(6, 25);
+        expect(frameCount).toBe(150);
+
+        const angles = Array.from({ length: frameCount }, (_, i) => turntableAngle(i, frameCount));
+        expect(angles[0]).toBe(0);
+        const step = angles[1] - angles[0];
+        expect(angles.at(-1) + step).toBeCloseTo(Math.PI * 2, 12);
+        expect(turntableAngle(frameCount, frameCount)).toBe(Math.PI * 2);
+    });
+
+    it('records at least one frame', () => {
+        expect(turntableFrameCount(0.01, 25)).toBe(1);
+    });
+});
+
+describe('recordingSize', () => {
+    it('keeps a drawing buffer that fits, rounded down to even sides', () => {
+        expect(recordingSize(801, 601, 1920)).toEqual({ width: 800, height: 600 });
+    });
+
+    it('scales the longer side down to the maximum, keeping the aspect', () => {
+        expect(recordingSize(1920, 1080, 480)).toEqual({ width: 480, height: 270 });
+        expect(recordingSize(1000, 2000, 500)).toEqual({ width: 250, height: 500 });
+    });
+});
+
+describe('createGIFEncoder', () => {
+    function solidFrame(width, height, pixel) {
+        const rgba = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < width * height; i++) {
+            pixel(i).forEach((value, channel) => {
+                rgba[i * 4 + channel] = value;
+            });
+            rgba[i * 4 + 3] = 255;
+        }
+        return rgba;
+    }
+
+    it('writes a looping GIF89a with one frame per addFrame and the frame delay', async () => {
+        const encoder = createGIFEncoder(4, 2, { delay: 4 });
+        encoder.addFrame(solidFrame(4, 2, () => [255, 0, 0]));
+        encoder.addFrame(solidFrame(4, 2, () => [0, 0, 255]));
+
+        const blob = await encoder.finish();
+        const gif = decodeGIF(await blobBytes(blob));
+
+        expect(blob.type).toBe('image/gif');
+        expect(gif).toMatchObject({ signature: 'GIF89a', width: 4, height: 2, loops: true, trailer: true });
+        expect(gif.frames.map(frame => frame.delay)).toEqual([4, 4]);
+    });
+
+    it('maps every pixel to the closest color of one palette shared by all frames', async () => {
+        const width = 64;
+        const height = 48;
+        // A gradient with more colors than a GIF palette holds
+        const gradient = i => [(i % width) * 4, Math.floor(i / width) * 5, 128];
+        const encoder = createGIFEncoder(width, height, { delay: 4 });
+        encoder.addFrame(solidFrame(width, height, gradient));
+        encoder.addFrame(solidFrame(width, height, () => [0, 0, 0]));
+
+        const gif = decodeGIF(await blobBytes(await encoder.finish()));
+
+        expect(gif.frames[0].indices).toHaveLength(width * height);
+        let worst = 0;
+        gif.frames[0].indices.forEach((index, i) => {
+            const color = gif.palette.subarray(index * 3, index * 3 + 3);
+            const expected = gradient(i);
+            worst = Math.max(worst, ...[0, 1, 2].map(channel => Math.abs(color[channel] - expected[channel])));
+        });
+        expect(worst).toBeLessThanOrEqual(24);
+
+        const black = gif.frames[1].indices[0];
+        expect([...gif.palette.subarray(black * 3, black * 3 + 3)]).toEqual([0, 0, 0]);
+        expect(new Set(gif.frames[1].indices)).toEqual(new Set([black]));
+    });
+
+    it('round-trips frames long enough to fill the LZW dictionary', async () => {
+        const size = 128;
+        const colors = [[0, 0, 0], [255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 255, 0], [0, 255, 255], [255, 0, 255], [255, 255, 255]];
+        // Deterministic noise, so runs of repeated strings are rare
+        let seed = 1;
+        const pixels = Array.from({ length: size * size }, () => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return colors[(seed >> 16) % colors.length];
+        });
+        const encoder = createGIFEncoder(size, size, { delay: 4 });
+        encoder.addFrame(solidFrame(size, size, i => pixels[i]));
+
+        const gif = decodeGIF(await blobBytes(await encoder.finish()));
+
+        const decoded = gif.frames[0].indices.map(index => [...gif.palette.subarray(index * 3, index * 3 + 3)]);
+        expect(decoded).toEqual(pixels);
+    });
+
+    it('reports progress per frame and stops when aborted', async () => {
+        const encoder = createGIFEncoder(2, 2, { delay: 4 });
+        encoder.addFrame(solidFrame(2, 2, () => [0, 0, 0]));
+        encoder.addFrame(solidFrame(2, 2, () => [0, 0, 0]));
+        const controller = new AbortController();
+        const onProgress = vi.fn(() => controller.abort());
+
+        await expect(encoder.finish({ onProgress, signal: controller.signal })).rejects.toThrow();
+        expect(onProgress).toHaveBeenCalledTimes(1);
+        expect(onProgress).toHaveBeenCalledWith(0.5);
+    });
+});
+
+describe('recordTurntable', () => {
+    let saved;
+    let ctx;
+    let canvas;
+
+    beforeEach(() => {
+        saved = structuredClone(CONFIG.recorder);
+        Object.assign(CONFIG.recorder, { seconds: 0.2, fps: 25 });
+        ctx = {
+            drawImage: vi.fn(),
+            getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4) })
+        };
+        vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx);
+        canvas = document.createElement('canvas');
+        canvas.width = 960;
+        canvas.height = 540;
+    });
+
+    afterEach(() => {
+        CONFIG.recorder = saved;
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+    });
+
+    it('steps one revolution at the fixed time step and composites each frame with the overlay', async () => {
+        CONFIG.recorder.gif.maxSize = 480;
+        const overlay = document.createElement('canvas');
+        const drawFrame = vi.fn();
+        const onProgress = vi.fn();
+
+        const blob = await recordTurntable(canvas, drawFrame, { format: 'gif', overlay, onProgress });
+
+        expect(drawFrame).toHaveBeenCalledTimes(5);
+        drawFrame.mock.calls.forEach(([angle, delta], i) => {
+            expect(angle).toBeCloseTo((i / 5) * Math.PI * 2, 12);
+            expect(delta).toBe(1 / 25);
+        });
+        // Canvas then overlay, scaled to the recording size, for every frame
+        expect(ctx.drawImage).toHaveBeenCalledTimes(10);
+        expect(ctx.drawImage).toHaveBeenNthCalledWith(1, canvas, 0, 0, 480, 270);
+        expect(ctx.drawImage).toHaveBeenNthCalledWith(2, overlay, 0, 0, 480, 270);
+        expect(onProgress).toHaveBeenCalledWith('capture', 1);
+        expect(onProgress).toHaveBeenLastCalledWith('encode', 1);
+
+        const gif = decodeGIF(await blobBytes(blob));
+        expect(gif).toMatchObject({ width: 480, height: 270 });
+        expect(gif.frames).toHaveLength(5);
+    });
+
+    it('feeds a MediaRecorder one frame per step when recording WebM', async () => {
+        const track = { requestFrame: vi.fn(), stop: vi.fn() };
+        HTMLCanvasElement.prototype.captureStream = vi.fn(() => ({ getVideoTracks: () => [track] }));
+        const recorders = [];
+        class FakeMediaRecorder extends EventTarget {
+            static isTypeSupported = type => type === 'video/webm';
+            constructor(stream, options) {
+                super();
+                this.options = options;
+                recorders.push(this);
+            }
+            start() {}
+            stop() {
+                const event = new Event('dataavailable');
+                event.data = new Blob(['webm']);
+                this.dispatchEvent(event);
+                this.dispatchEvent(new Event('stop'));
+            }
+        }
+        vi.stubGlobal('MediaRecorder', FakeMediaRecorder);
+        const drawFrame = vi.fn();
+
+        try {
+            const blob = await recordTurntable(canvas, drawFrame, { format: 'webm' });
+
+            expect(recorders[0].options.mimeType).toBe('video/webm');
+            expect(drawFrame).toHaveBeenCalledTimes(5);
+            expect(track.requestFrame).toHaveBeenCalledTimes(5);
+            expect(track.stop).toHaveBeenCalled();
+            expect(blob.type).toBe('video/webm');
+            expect(await blob.text()).toBe('webm');
+        } finally {
+            delete HTMLCanvasElement.prototype.captureStream;
+        }
+    });
+
+    it('rejects WebM where MediaRecorder is missing, and unknown formats', async () => {
+        await expect(recordTurntable(canvas, vi.fn(), { format: 'webm' })).rejects.toThrow('WebM recording is not supported');
+        await expect(recordTurntable(canvas, vi.fn(), { format: 'avi' })).rejects.toThrow('Unknown recording format: avi');
+    });
+
+    it('stops drawing frames once aborted', async () => {
+        const controller = new AbortController();
+        const drawFrame = vi.fn(() => controller.abort());
+
+        await expect(recordTurntable(canvas, drawFrame, { format: 'gif', signal: controller.signal })).rejects.toThrow();
+        expect(drawFrame).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('createRecorderPanel', () => {
+    it('offers GIF only where WebM recording is unavailable', () => {
+        const panel = createRecorderPanel(vi.fn());
+        const select = panel.element.querySelector('.recorder__format');
+
+        expect(select.value).toBe('gif');
+        expect(select.querySelector('option[value="webm"]').disabled).toBe(true);
+        panel.cleanup();
+    });
+
+    it('passes the options to onRecord and disables the button until it settles', async () => {
+        let finish;
+        const onRecord = vi.fn(() => new Promise((resolve) => {
+            finish = resolve;
+        }));
+        const panel = createRecorderPanel(onRecord);
+        document.body.appendChild(panel.element);
+        const button = panel.element.querySelector('.recorder__button');
+
+        expect(panel.toggle()).toBe(true);
+        panel.element.querySelector('input[type="checkbox"]').checked = false;
+        panel.element.requestSubmit();
+
+        expect(onRecord).toHaveBeenCalledWith({ format: 'gif', includeSnow: false });
+        expect(button.disabled).toBe(true);
+        finish();
+        await vi.waitFor(() => expect(button.disabled).toBe(false));
+
+        panel.cleanup();
+        expect(panel.element.isConnected).toBe(false);
+    });
+});
@@ -1,6 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import * as THREE from 'three';
-import { makeMockGL } from './helpers/mock-gl.js';
+import { createRealRenderer } from './helpers/real-renderer.js';
 
 const originalWidth = window.innerWidth;
 const originalHeight = window.innerHeight;
@@ -17,17 +17,6 @@ async function loadRenderer() {
     return import('../src/renderer.js');
 }
 
-/**
- * Build a real THREE.WebGLRenderer on a mock GL context, so assertions run
- * against three.js's own sizing code rather than a reimplementation of it.
- */
-function createRealRenderer() {
-    const canvas = document.createElement('canvas');
-    const gl = makeMockGL();
-    const renderer = new THREE.WebGLRenderer({ canvas, context: gl });
-    return { renderer, canvas, gl };
-}
-
 // Viewport/DPR combinations whose product lands on a .5-or-higher fraction,
 // which is what makes three.js's floor() (drawing buffer) and round() (GL
 // viewport) diverge.
@@ -62,7 +51,7 @@ describe('computeRenderSize', () => {
     });
 
     it('returns whole-pixel buffer dimensions in PS1 mode', async () => {
-        localStorage.setItem('ps1Style', 'true');
+        localStorage.setItem('renderPreset', 'ps1');
         const { computeRenderSize } = await loadRenderer();
 
         for (const [width, height, dpr] of AWKWARD_VIEWPORTS) {
@@ -81,17 +70,24 @@ describe('computeRenderSize', () => {
         expect(computeRenderSize().width).toBe(1000 * CONFIG.renderer.maxPixelRatio);
     });
 
-    it('scales the buffer down by ps1PixelScale in PS1 mode', async () => {
-        localStorage.setItem('ps1Style', 'true');
+    it('scales the buffer down by the preset pixelScale in PS1 mode', async () => {
+        localStorage.setItem('renderPreset', 'ps1');
         setViewport(1280, 720, 2);
         const { computeRenderSize } = await loadRenderer();
         const { CONFIG } = await import('../src/config.js');
 
-        expect(computeRenderSize().width).toBe(1280 / CONFIG.ps1PixelScale);
+        expect(computeRenderSize().width).toBe(1280 / CONFIG.renderPresets.ps1.pixelScale);
+    });
+
+    it('multiplies the buffer by the adaptive quality scale', async () => {
+        setViewport(1000, 500, 2);
+        const { computeRenderSize } = await loadRenderer();
+
+        expect(computeRenderSize(0.5)).toEqual({ cssWidth: 1000, cssHeight: 500, width: 1000, height: 500 });
     });
 
     it('never returns a zero-sized buffer', async () => {
-        localStorage.setItem('ps1Style', 'true');
+        localStorage.setItem('renderPreset', 'ps1');
         setViewport(1, 1, 1);
         const { computeRenderSize } = await loadRenderer();
 
@@ -104,11 +100,9 @@ describe('applyRenderSize', () => {
         localStorage.clear();
     });
 
-    for (const ps1Style of [false, true]) {
-        it(`keeps the GL viewport within the drawing buffer (ps1Style=${ps1Style})`, async () => {
-            if (ps1Style) {
-                localStorage.setItem('ps1Style', 'true');
-            }
+    for (const preset of ['standard', 'ps1']) {
+        it(`keeps the GL viewport within the drawing buffer (renderPreset=${preset})`, async () => {
+            localStorage.setItem('renderPreset', preset);
             const { applyRenderSize } = await loadRenderer();
 
             for (const [width, height, dpr] of AWKWARD_VIEWPORTS) {
@@ -151,3 +145,186 @@ describe('three.js sizing behaviour', () => {
         expect(gl.lastViewport).toEqual([0, 0, 641, 361]);
     });
 });
+
+/**
+ * Draw a scene. The mock GL reports no active uniforms, so three.js never
+ * binds the material's texture by itself; upload it as a draw call would.
+ */
+function draw(renderer, scene) {
+    renderer.render(scene, new THREE.PerspectiveCamera());
+    scene.traverse(object => object.material?.map && renderer.initTexture(object.material.map));
+}
+
+function createTexturedScene() {
+    const scene = new THREE.Scene();
+    const texture = new THREE.DataTexture(new Uint8Array(4), 1, 1);
+    texture.needsUpdate = true;
+    scene.add(new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshBasicMaterial({ map: texture })));
+    return scene;
+}
+
+describe('releaseRenderer', () => {
+    it('frees what the renderer uploaded and leaves the scene drawable by a new one', async () => {
+        const { releaseRenderer } = await loadRenderer();
+        const { renderer: oldRenderer } = createRealRenderer();
+        const scene = createTexturedScene();
+        draw(oldRenderer, scene);
+        expect(oldRenderer.info.memory).toMatchObject({ geometries: 1, textures: 1 });
+
+        releaseRenderer(oldRenderer, [scene]);
+
+        expect(oldRenderer.info.memory).toMatchObject({ geometries: 0, textures: 0 });
+        expect(scene.children).toHaveLength(1);
+
+        const { renderer } = createRealRenderer();
+        draw(renderer, scene);
+        expect(renderer.info.memory).toMatchObject({ geometries: 1, textures: 1 });
+        // Nothing reaches back into the released renderer
+        expect(oldRenderer.info.memory).toMatchObject({ geometries: 0, textures: 0 });
+    });
+
+    it('holds steady across repeated rebuilds', async () => {
+        const { releaseRenderer } = await loadRenderer();
+        let { renderer } = createRealRenderer();
+        const scene = createTexturedScene();
+        draw(renderer, scene);
+
+        for (let i = 0; i < 3; i++) {
+            releaseRenderer(renderer, [scene]);
+            ({ renderer } = createRealRenderer());
+            draw(renderer, scene);
+            expect(renderer.info.memory).toMatchObject({ geometries: 1, textures: 1 });
+            expect(renderer.info.programs).toHaveLength(1);
+        }
+    });
+});
+
+describe('setupContextHandlers', () => {
+    let warn;
+
+    beforeEach(() => {
+        // three.js logs loss and restore too
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        document.body.innerHTML = '<output id="loading" style="display: none"></output>';
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        document.body.innerHTML = '';
+    });
+
+    function loseContext(canvas) {
+        canvas.dispatchEvent(new Event('webglcontextlost', { cancelable: true }));
+    }
+
+    function restoreContext(canvas) {
+        canvas.dispatchEvent(new Event('webglcontextrestored'));
+    }
+
+    /** A full-screen shader with a texture uniform, standing in for the background */
+    function createShaderScene() {
+        const scene = new THREE.Scene();
+        const texture = new THREE.DataTexture(new Uint8Array(4), 1, 1);
+        texture.needsUpdate = true;
+        const material = new THREE.ShaderMaterial({
+            uniforms: { tGradient: { value: texture } },
+            vertexShader: 'void main() { gl_Position = vec4( position, 1.0 ); }',
+            fragmentShader: 'uniform sampler2D tGradient; void main() { gl_FragColor = texture2D( tGradient, vec2( 0.5 ) ); }'
+        });
+        scene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material));
+        return scene;
+    }
+
+    it('stops on loss and prepares the scenes again on restore', async () => {
+        const { setupContextHandlers } = await loadRenderer();
+        const { renderer, canvas } = createRealRenderer();
+        const scene = createTexturedScene();
+        const camera = new THREE.PerspectiveCamera();
+        const backgroundScene = createShaderScene();
+        const onLost = vi.fn();
+        const onRestored = vi.fn();
+        setupContextHandlers(renderer, [{ scene: backgroundScene, camera }, { scene, camera }], { onLost, onRestored });
+        draw(renderer, scene);
+
+        loseContext(canvas);
+
+        expect(onLost).toHaveBeenCalledTimes(1);
+        expect(onRestored).not.toHaveBeenCalled();
+        expect(warn).toHaveBeenCalledWith('WebGL context lost. Attempting to restore...');
+        // Released from the lost context's caches
+        expect(renderer.info.memory).toMatchObject({ geometries: 0, textures: 0 });
+
+        restoreContext(canvas);
+
+        expect(onRestored).toHaveBeenCalledTimes(1);
+        // Both textures uploaded and both shaders compiled before the first frame
+        expect(renderer.info.memory.textures).toBe(2);
+        expect(renderer.info.programs).toHaveLength(2);
+        // Geometry buffers upload as the frame is drawn
+        renderer.render(scene, camera);
+        expect(renderer.info.memory.geometries).toBe(1);
+    });
+
+    it('gives up with a visible error after repeated losses', async () => {
+        const { setupContextHandlers } = await loadRenderer();
+        const { CONFIG } = await import('../src/config.js');
+        const { renderer, canvas } = createRealRenderer();
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const onLost = vi.fn();
+        const onRestored = vi.fn();
+        const onFailed = vi.fn();
+        setupContextHandlers(renderer, [{ scene: createTexturedScene(), camera: new THREE.PerspectiveCamera() }], { onLost, onRestored, onFailed });
+
+        for (let i = 0; i < CONFIG.renderer.contextLoss.maxLosses; i++) {
+            loseContext(canvas);
+            restoreContext(canvas);
+        }
+        expect(onFailed).not.toHaveBeenCalled();
+        expect(document.getElementById('loading').style.display).toBe('none');
+
+        loseContext(canvas);
+        restoreContext(canvas);
+
+        expect(onLost).toHaveBeenCalledTimes(CONFIG.renderer.contextLoss.maxLosses);
+        expect(onRestored).toHaveBeenCalledTimes(CONFIG.renderer.contextLoss.maxLosses);
+        expect(onFailed).toHaveBeenCalledTimes(1);
+        expect(error).toHaveBeenCalled();
+        const loadingEl = document.getElementById('loading');
+        expect(loadingEl.style.display).toBe('');
+        expect(loadingEl.className).toBe('error-container');
+        expect(loadingEl.querySelector('.retry-button').textContent).toBe('Reload');
+    });
+
+    it('only counts losses within the configured window', async () => {
+        const { setupContextHandlers } = await loadRenderer();
+        const { CONFIG } = await import('../src/config.js');
+        const { maxLosses, windowMs } = CONFIG.renderer.contextLoss;
+        const { renderer, canvas } = createRealRenderer();
+        let now = 0;
+        vi.spyOn(performance, 'now').mockImplementation(() => now);
+        const onFailed = vi.fn();
+        setupContextHandlers(renderer, [], { onFailed });
+
+        for (let i = 0; i <= maxLosses * 2; i++) {
+            loseContext(canvas);
+            restoreContext(canvas);
+            now += windowMs / maxLosses;
+        }
+
+        expect(onFailed).not.toHaveBeenCalled();
+    });
+
+    it('returns a function that removes the handlers', async () => {
+        const { setupContextHandlers } = await loadRenderer();
+        const { renderer, canvas } = createRealRenderer();
+        const onLost = vi.fn();
+
+        const cleanup = setupContextHandlers(renderer, [], { onLost });
+        cleanup();
+        loseContext(canvas);
+
+        expect(warn).not.toHaveBeenCalled();
+        expect(onLost).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { CONFIG } from '../src/config.js';
+import { captureScreenshot, createScreenshotPanel, screenshotSize } from '../src/screenshot.js';
+import { createBackgroundScene } from '../src/scene.js';
+import { makeMockGL } from './helpers/mock-gl.js';
+import { makeShaderRecordingGL, linearToSRGB, outputValue } from './helpers/shader-output.js';
+
+const originalWidth = window.innerWidth;
+const originalHeight = window.innerHeight;
+
+function setViewport(width, height) {
+    Object.defineProperty(window, 'innerWidth', { value: width, configurable: true });
+    Object.defineProperty(window, 'innerHeight', { value: height, configurable: true });
+}
+
+function createScenes() {
+    return {
+        scene: new THREE.Scene(),
+        camera: new THREE.PerspectiveCamera(),
+        backgroundScene: new THREE.Scene(),
+        backgroundCamera: new THREE.OrthographicCamera()
+    };
+}
+
+describe('screenshotSize', () => {
+    afterEach(() => setViewport(originalWidth, originalHeight));
+
+    it('multiplies the CSS viewport, whatever the render preset renders at', () => {
+        setViewport(800, 600);
+        expect(screenshotSize(2, 16384)).toEqual({ width: 1600, height: 1200 });
+    });
+
+    it('shrinks to the largest texture the GPU supports, keeping the aspect', () => {
+        setViewport(2000, 1000);
+        expect(screenshotSize(4, 4096)).toEqual({ width: 4096, height: 2048 });
+    });
+});
+
+describe('captureScreenshot', () => {
+    let ctx;
+
+    beforeEach(() => {
+        setViewport(4, 2);
+        ctx = {
+            createImageData: (width, height) => ({ data: new Uint8ClampedArray(width * height * 4) }),
+            putImageData: vi.fn(),
+            drawImage: vi.fn()
+        };
+        vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx);
+        vi.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation(callback => callback(new Blob(['png'], { type: 'image/png' })));
+    });
+
+    afterEach(() => {
+        setViewport(originalWidth, originalHeight);
+        vi.restoreAllMocks();
+    });
+
+    function createRenderer() {
+        const renderer = new THREE.WebGLRenderer({ canvas: document.createElement('canvas'), context: makeMockGL() });
+        const drawn = [];
+        const render = renderer.render.bind(renderer);
+        vi.spyOn(renderer, 'render').mockImplementation((scene, camera) => {
+            drawn.push({ scene, target: renderer.getRenderTarget() });
+            render(scene, camera);
+        });
+        return { renderer, drawn };
+    }
+
+    it('renders offscreen at the chosen scale, then frees the target', async () => {
+        const { renderer, drawn } = createRenderer();
+        const scenes = createScenes();
+        const textures = renderer.info.memory.textures;
+
+        const blob = await captureScreenshot(renderer, scenes, { scale: 2 });
+
+        expect(blob.type).toBe('image/png');
+        expect(drawn.map(({ scene }) => scene)).toEqual([scenes.backgroundScene, scenes.scene]);
+        for (const { target } of drawn) {
+            expect([target.width, target.height]).toEqual([8, 4]);
+        }
+        expect(renderer.getRenderTarget()).toBeNull();
+        expect(renderer.info.memory.textures).toBe(textures);
+    });
+
+    it('stores the background in the colors the canvas shows', async () => {
+        // Acid orange, whose green channel is mid-range
+        vi.spyOn(Math, 'random').mockReturnValue(0);
+        const { context, sources } = makeShaderRecordingGL();
+        const renderer = new THREE.WebGLRenderer({ canvas: document.createElement('canvas'), context });
+        const scenes = createScenes();
+        const { backgroundScene, backgroundCamera, backgroundMesh } = createBackgroundScene();
+        Object.assign(scenes, { backgroundScene, backgroundCamera });
+        const targets = [];
+        const render = renderer.render.bind(renderer);
+        vi.spyOn(renderer, 'render').mockImplementation((scene, camera) => {
+            targets.push(renderer.getRenderTarget());
+            render(scene, camera);
+        });
+
+        renderer.render(backgroundScene, backgroundCamera);
+        await captureScreenshot(renderer, scenes, { scale: 1 });
+
+        const [direct, offscreen] = sources.filter(source => source.includes('uniform vec3 fillColor'));
+        // At the gradient's center the shader's color is its fill color
+        const fill = backgroundMesh.material.uniforms.fillColor.value.toArray()[1];
+        const canvasPixel = Math.round(outputValue(direct, fill) * 255);
+        // An sRGB target is encoded by the GPU as it is written
+        expect(targets[1].texture.colorSpace).toBe(THREE.SRGBColorSpace);
+        const capturePixel = Math.round(linearToSRGB(outputValue(offscreen, fill)) * 255);
+
+        expect(canvasPixel).toBe(Math.round(CONFIG.background.colors[0][1] * 255));
+        expect(capturePixel).toBe(canvasPixel);
+        backgroundMesh.material.dispose();
+        backgroundMesh.geometry.dispose();
+    });
+
+    it('leaves out the background for a transparent screenshot', async () => {
+        const { renderer, drawn } = createRenderer();
+        const scenes = createScenes();
+
+        await captureScreenshot(renderer, scenes, { scale: 1, transparent: true });
+
+        expect(drawn.map(({ scene }) => scene)).toEqual([scenes.scene]);
+    });
+
+    it('flips the rows WebGL reads back bottom-up, and draws the overlay over the whole image', async () => {
+        const { renderer } = createRenderer();
+        // One byte value per row, bottom row first
+        vi.spyOn(renderer, 'readRenderTargetPixelsAsync').mockImplementation(async (target, x, y, width, height, buffer) => {
+            for (let row = 0; row < height; row++) {
+                buffer.fill(row + 1, row * width * 4, (row + 1) * width * 4);
+            }
+            return buffer;
+        });
+        const overlay = document.createElement('canvas');
+
+        await captureScreenshot(renderer, createScenes(), { scale: 1, overlay });
+
+        const [image] = ctx.putImageData.mock.calls[0];
+        expect(image.data[0]).toBe(2);
+        expect(image.data.at(-1)).toBe(1);
+        expect(ctx.drawImage).toHaveBeenCalledWith(overlay, 0, 0, 4, 2);
+    });
+});
+
+describe('createScreenshotPanel', () => {
+    it('captures with the chosen options and blocks the button until saved', async () => {
+        let finish;
+        const onCapture = vi.fn(() => new Promise((resolve) => {
+            finish = resolve;
+        }));
+        const panel = createScreenshotPanel(onCapture);
+        document.body.appendChild(panel.element);
+        expect(panel.toggle()).toBe(true);
+
+        panel.element.querySelector('select').value = '4';
+        const [transparent, snow] = panel.element.querySelectorAll('input[type="checkbox"]');
+        transparent.checked = true;
+        snow.checked = false;
+        const button = panel.element.querySelector('button');
+        button.click();
+
+        expect(onCapture).toHaveBeenCalledWith({ scale: 4, transparent: true, includeSnow: false });
+        expect(button.disabled).toBe(true);
+        finish();
+        await vi.waitFor(() => expect(button.disabled).toBe(false));
+
+        panel.cleanup();
+        expect(panel.element.isConnected).toBe(false);
+    });
+
+    it('starts from the configured defaults', () => {
+        const panel = createScreenshotPanel(async () => {});
+        const [transparent, snow] = panel.element.querySelectorAll('input[type="checkbox"]');
+
+        expect(panel.element.querySelector('select').value).toBe(String(CONFIG.screenshot.scale));
+        expect(transparent.checked).toBe(CONFIG.screenshot.transparent);
+        expect(snow.checked).toBe(CONFIG.screenshot.includeSnow);
+        panel.cleanup();
+    });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { SnowEffect } from '../src/snow.js';
+import { CONFIG } from '../src/config.js';
 
 const FLAKES_PER_AREA = 8000;
 const MIN_SNOWFLAKES = 10;
@@ -103,6 +104,53 @@ describe('SnowEffect', () => {
         effect.cleanup();
     });
 
+    it('applyStyle() switches the canvas to and from a pixelated preset', () => {
+        const effect = new SnowEffect();
+        const { renderPreset } = CONFIG;
+
+        try {
+            CONFIG.renderPreset = 'ps1';
+            effect.applyStyle();
+            expect(effect.canvas.classList.contains('snow-canvas--pixelated')).toBe(true);
+            expect(effect.canvas.width).toBe(800 / CONFIG.renderPresets.ps1.pixelScale);
+
+            CONFIG.renderPreset = 'standard';
+            effect.applyStyle();
+            expect(effect.canvas.classList.contains('snow-canvas--pixelated')).toBe(false);
+            expect(effect.canvas.width).toBe(800);
+        } finally {
+            CONFIG.renderPreset = renderPreset;
+            effect.cleanup();
+        }
+    });
+
+    it('setDensity() scales the flake count and restores it', () => {
+        const effect = new SnowEffect();
+
+        effect.setDensity(0.25);
+        expect(effect.snowflakes).toHaveLength(Math.floor(targetFlakeCount(800, 600) / 4));
+
+        effect.setDensity(1);
+        expect(effect.snowflakes).toHaveLength(targetFlakeCount(800, 600));
+        effect.cleanup();
+    });
+
+    it('setParallax() shifts the nearer layers further against the tilt', () => {
+        const effect = new SnowEffect();
+        effect.enabled = true;
+        effect.snowflakes = [0, 2].map(layer => ({ x: 100, y: 100, radius: 1, layer, fillStyle: `rgba(255, 255, 255, 0.${layer + 3})` }));
+        const [back, , front] = CONFIG.tilt.snowShift;
+
+        effect.setParallax(1, -0.5);
+        effect.draw();
+
+        expect(effect.ctx.fillRect.mock.calls).toEqual([
+            [99 - back, 99 - back / 2, 2, 2],
+            [99 - front, 99 - front / 2, 2, 2]
+        ]);
+        effect.cleanup();
+    });
+
     it('cleanup() removes the canvas from the DOM', () => {
         const effect = new SnowEffect();
         expect(document.querySelector('main').contains(effect.canvas)).toBe(true);
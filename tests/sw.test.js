@@ -0,0 +1,223 @@
+// @vitest-environment node
+// Runs sw.js in a bare VM context standing in for the service worker global scope.
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readFileSync, readdirSync, existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+const BASE = 'https://tarelka.xyz/';
+const CDN = 'https://cdn.jsdelivr.net/npm/three@';
+const MIRROR = 'https://unpkg.com/three@';
+
+const read = path => readFileSync(fileURLToPath(new URL(`../${path}`, import.meta.url)), 'utf8');
+const swSource = read('sw.js');
+const indexHtml = read('index.html');
+
+/** Request that resolves relative URLs against the worker's location, as in a browser */
+class WorkerRequest extends Request {
+    constructor(input, init) {
+        super(typeof input === 'string' ? new URL(input, BASE) : input, init);
+    }
+}
+
+/** In-memory stand-in for the Cache API, keyed by URL */
+class FakeCache {
+    constructor(fetchFn) {
+        this.entries = new Map();
+        this.fetch = fetchFn;
+    }
+
+    key(request) {
+        return typeof request === 'string' ? new URL(request, BASE).href : request.url;
+    }
+
+    async match(request) {
+        return this.entries.get(this.key(request))?.clone();
+    }
+
+    async put(request, response) {
+        this.entries.set(this.key(request), response);
+    }
+
+    async add(request) {
+        const response = await this.fetch(request);
+        if (!response.ok) throw new TypeError(`Bad response for ${this.key(request)}`);
+        await this.put(request, response);
+    }
+
+    async addAll(requests) {
+        await Promise.all(requests.map(request => this.add(request)));
+    }
+}
+
+/**
+ * Load sw.js into a fresh context
+ * @param {Function} fetchFn - The network, as seen by the worker
+ */
+function loadServiceWorker(fetchFn) {
+    const listeners = {};
+    const caches = new Map();
+    const context = vm.createContext({
+        self: {
+            location: { href: `${BASE}sw.js` },
+            addEventListener: (type, listener) => { listeners[type] = listener; },
+            clients: { claim: async () => {} },
+            skipWaiting: () => {}
+        },
+        caches: {
+            open: async (name) => {
+                if (!caches.has(name)) caches.set(name, new FakeCache(fetchFn));
+                return caches.get(name);
+            },
+            keys: async () => [...caches.keys()],
+            delete: async name => caches.delete(name)
+        },
+        fetch: fetchFn,
+        Request: WorkerRequest,
+        URL,
+        Promise
+    });
+    const exports = vm.runInContext(
+        `${swSource}\n;({ APP_FILES, CACHE_NAME, importMapModules, isNetworkFirst })`,
+        context
+    );
+    return { ...exports, listeners, caches };
+}
+
+/** Dispatch a fetch event and wait for its response and background work */
+async function dispatchFetch(sw, request) {
+    const pending = [];
+    let response;
+    sw.listeners.fetch({
+        request,
+        respondWith: (promise) => { response = promise; },
+        waitUntil: (promise) => { pending.push(promise); }
+    });
+    const result = await response;
+    await Promise.all(pending);
+    return result;
+}
+
+/** Serve files from the repo, as the deployed site would */
+function siteFetch(request) {
+    const url = typeof request === 'string' ? new URL(request, BASE).href : request.url;
+    if (url.startsWith(CDN) || url.startsWith(MIRROR)) {
+        return Promise.resolve(new Response(`// ${url}`));
+    }
+    const path = url.slice(BASE.length) || 'index.html';
+    if (!url.startsWith(BASE) || !existsSync(fileURLToPath(new URL(`../${path}`, import.meta.url)))) {
+        return Promise.resolve(new Response('', { status: 404 }));
+    }
+    return Promise.resolve(new Response(read(path)));
+}
+
+describe('service worker', () => {
+    let sw;
+
+    beforeEach(() => {
+        sw = loadServiceWorker(siteFetch);
+    });
+
+    it('precaches every src/ module and the stylesheet', () => {
+        const modules = readdirSync(fileURLToPath(new URL('../src/', import.meta.url))).filter(name => name.endsWith('.js'));
+
+        for (const name of modules) {
+            expect(sw.APP_FILES, name).toContain(`src/${name}`);
+        }
+        expect(sw.APP_FILES).toContain('style.css');
+        expect(sw.APP_FILES).toContain('./');
+    });
+
+    it('sends every path _headers marks no-cache to the network first', () => {
+        const rules = [...read('_headers').matchAll(/^(\/\S*)\n\s+Cache-Control:.*\bno-cache\b/gm)].map(match => match[1]);
+        expect(rules.length).toBeGreaterThanOrEqual(3);
+
+        for (const rule of rules) {
+            const url = new URL(rule.replace('*', 'main.js'), BASE).href;
+            expect(sw.isNetworkFirst({ url, mode: 'cors' }), rule).toBe(true);
+        }
+        expect(sw.isNetworkFirst({ url: BASE, mode: 'navigate' })).toBe(true);
+        expect(sw.isNetworkFirst({ url: `${BASE}assets/models/tarelka.fbx`, mode: 'cors' })).toBe(false);
+        expect(sw.isNetworkFirst({ url: `${CDN}0.184.0/build/three.module.js`, mode: 'cors' })).toBe(false);
+        expect(sw.isNetworkFirst({ url: `${MIRROR}0.184.0/build/three.module.js`, mode: 'cors' })).toBe(false);
+    });
+
+    it('reads the SRI-pinned modules of every candidate import map from the page', () => {
+        const candidates = [...indexHtml.matchAll(/<script type="application\/json" data-importmap[^>]*>(.*?)<\/script>/gs)]
+            .map(([, text]) => JSON.parse(text).integrity);
+
+        const mirrors = sw.importMapModules(indexHtml);
+
+        expect(candidates.length).toBeGreaterThanOrEqual(2);
+        expect(mirrors.map(modules => Object.fromEntries(modules.map(({ url, integrity }) => [url, integrity]))))
+            .toEqual(candidates);
+    });
+
+    it('precaches the app, the CDN modules and the models on install', async () => {
+        let install;
+        sw.listeners.install({ waitUntil: (promise) => { install = promise; } });
+        await install;
+
+        const cached = [...sw.caches.get(sw.CACHE_NAME).entries.keys()];
+        expect(cached).toContain(BASE);
+        expect(cached).toContain(`${BASE}src/main.js`);
+        expect(cached).toContain(`${BASE}assets/models/tarelka.fbx`);
+        const [primary, fallback] = sw.importMapModules(indexHtml);
+        for (const { url } of primary) {
+            expect(cached).toContain(url);
+        }
+        expect(cached).not.toContain(fallback[0].url);
+    });
+
+    it('precaches the fallback mirror\'s modules when the primary CDN is unreachable', async () => {
+        sw = loadServiceWorker(request => (request.url?.startsWith(CDN)
+            ? Promise.reject(new TypeError('Failed to fetch'))
+            : siteFetch(request)));
+        let install;
+        sw.listeners.install({ waitUntil: (promise) => { install = promise; } });
+        await install;
+
+        const cached = [...sw.caches.get(sw.CACHE_NAME).entries.keys()];
+        for (const { url } of sw.importMapModules(indexHtml)[1]) {
+            expect(cached).toContain(url);
+        }
+    });
+
+    it('serves app code from the network when online and from the cache when offline', async () => {
+        let online = true;
+        sw = loadServiceWorker(request => (online ? siteFetch(request) : Promise.reject(new TypeError('Failed to fetch'))));
+        const request = new WorkerRequest('src/config.js');
+
+        const fresh = await dispatchFetch(sw, request);
+        online = false;
+        const offline = await dispatchFetch(sw, request);
+
+        expect(await fresh.text()).toBe(read('src/config.js'));
+        expect(await offline.text()).toBe(read('src/config.js'));
+    });
+
+    it('serves cached CDN modules from any mirror without going to the network', async () => {
+        let requests = 0;
+        sw = loadServiceWorker((request) => {
+            requests++;
+            return siteFetch(request);
+        });
+
+        for (const prefix of [CDN, MIRROR]) {
+            const request = new WorkerRequest(`${prefix}0.184.0/build/three.module.js`);
+            await dispatchFetch(sw, request);
+            await dispatchFetch(sw, request);
+        }
+
+        expect(requests).toBe(2);
+    });
+
+    it('drops caches from earlier versions on activate', async () => {
+        sw.caches.set('tarelka-v0', new FakeCache(siteFetch));
+        let activate;
+        sw.listeners.activate({ waitUntil: (promise) => { activate = promise; } });
+        await activate;
+
+        expect(sw.caches.has('tarelka-v0')).toBe(false);
+    });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CONFIG } from '../src/config.js';
+import { screenTilt, createTiltControls } from '../src/tilt.js';
+
+/**
+ * A minimal DeviceOrientationEvent, which jsdom lacks
+ */
+class FakeDeviceOrientationEvent extends Event {
+    constructor(type, { beta = null, gamma = null } = {}) {
+        super(type);
+        this.beta = beta;
+        this.gamma = gamma;
+    }
+}
+
+function orient(beta, gamma) {
+    globalThis.dispatchEvent(new FakeDeviceOrientationEvent('deviceorientation', { beta, gamma }));
+}
+
+function tiltState() {
+    return { tiltX: 0, tiltY: 0 };
+}
+
+describe('screenTilt', () => {
+    it('keeps the device axes in portrait and swaps them in landscape', () => {
+        expect(screenTilt(10, 20, 0)).toEqual({ x: 20, y: 10 });
+        expect(screenTilt(10, 20, 90)).toEqual({ x: 10, y: -20 });
+        expect(screenTilt(10, 20, 180)).toEqual({ x: -20, y: -10 });
+        expect(screenTilt(10, 20, 270)).toEqual({ x: -10, y: 20 });
+        expect(screenTilt(10, 20, -90)).toEqual({ x: -10, y: 20 });
+    });
+});
+
+describe('createTiltControls', () => {
+    let announce;
+    let tilt;
+
+    beforeEach(() => {
+        localStorage.clear();
+        announce = vi.fn();
+        vi.stubGlobal('DeviceOrientationEvent', FakeDeviceOrientationEvent);
+    });
+
+    afterEach(() => {
+        tilt?.cleanup();
+        tilt = null;
+        CONFIG.tilt.enabled = false;
+        delete FakeDeviceOrientationEvent.requestPermission;
+        vi.unstubAllGlobals();
+        vi.useRealTimers();
+    });
+
+    it('hides its button and says so where device orientation is not supported', async () => {
+        vi.stubGlobal('DeviceOrientationEvent', undefined);
+        tilt = createTiltControls(announce);
+        expect(tilt.element.hidden).toBe(true);
+
+        await tilt.toggle();
+
+        expect(announce).toHaveBeenCalledWith('Tilt is not available on this device');
+        expect(tilt.element.getAttribute('aria-pressed')).toBe('false');
+    });
+
+    it('measures tilt from the pose it was turned on in, clamped to the full effect', async () => {
+        tilt = createTiltControls(announce);
+        await tilt.toggle();
+        expect(announce).toHaveBeenCalledWith('Tilt: ON');
+        expect(tilt.element.getAttribute('aria-pressed')).toBe('true');
+        expect(localStorage.getItem('tiltEnabled')).toBe('true');
+
+        // Held at 40° toward the user; that is level from now on
+        orient(40, 0);
+        orient(40 - CONFIG.tilt.maxAngle / 2, CONFIG.tilt.maxAngle * 3);
+        const mouseState = tiltState();
+        tilt.update(mouseState, 100);
+
+        expect(mouseState.tiltX).toBeCloseTo(1);
+        expect(mouseState.tiltY).toBeCloseTo(-0.5);
+    });
+
+    it('eases toward the tilt, and back to level once turned off', async () => {
+        tilt = createTiltControls(announce);
+        await tilt.toggle();
+        orient(0, 0);
+        orient(0, CONFIG.tilt.maxAngle);
+        const mouseState = tiltState();
+
+        tilt.update(mouseState, CONFIG.tilt.smoothing);
+        expect(mouseState.tiltX).toBeCloseTo(1 - Math.exp(-1));
+
+        await tilt.toggle();
+        expect(announce).toHaveBeenLastCalledWith('Tilt: OFF');
+        expect(localStorage.getItem('tiltEnabled')).toBe('false');
+        tilt.update(mouseState, 100);
+        expect(mouseState.tiltX).toBeCloseTo(0);
+
+        // Readings after turning off are ignored
+        orient(0, CONFIG.tilt.maxAngle);
+        tilt.update(mouseState, 100);
+        expect(mouseState.tiltX).toBeCloseTo(0);
+    });
+
+    it('recalibrates on calibrate() and when the screen rotates', async () => {
+        tilt = createTiltControls(announce);
+        await tilt.toggle();
+        orient(0, 0);
+        orient(0, 10);
+        tilt.calibrate();
+        const mouseState = tiltState();
+        tilt.update(mouseState, 100);
+        expect(mouseState.tiltX).toBeCloseTo(0);
+
+        vi.stubGlobal('orientation', 90);
+        orient(0, 10);
+        orient(CONFIG.tilt.maxAngle, 10);
+        tilt.update(mouseState, 100);
+        expect(mouseState.tiltX).toBeCloseTo(1);
+        expect(mouseState.tiltY).toBeCloseTo(0);
+    });
+
+    it('asks for motion sensor access where the browser requires it', async () => {
+        FakeDeviceOrientationEvent.requestPermission = vi.fn().mockResolvedValue('denied');
+        tilt = createTiltControls(announce);
+
+        await tilt.toggle();
+        expect(FakeDeviceOrientationEvent.requestPermission).toHaveBeenCalledOnce();
+        expect(announce).toHaveBeenCalledWith('Tilt needs motion sensor access');
+        expect(tilt.element.getAttribute('aria-pressed')).toBe('false');
+
+        FakeDeviceOrientationEvent.requestPermission.mockResolvedValue('granted');
+        tilt.element.click();
+        await vi.waitFor(() => expect(announce).toHaveBeenLastCalledWith('Tilt: ON'));
+    });
+
+    it('turns off and hides its button on a device without a sensor', async () => {
+        tilt = createTiltControls(announce);
+        await tilt.toggle();
+
+        orient(null, null);
+
+        expect(tilt.element.hidden).toBe(true);
+        expect(tilt.element.getAttribute('aria-pressed')).toBe('false');
+        expect(announce).toHaveBeenLastCalledWith('Tilt is not available on this device');
+        expect(localStorage.getItem('tiltEnabled')).toBe('false');
+    });
+
+    it('gives up when no reading arrives in time', async () => {
+        vi.useFakeTimers();
+        tilt = createTiltControls(announce);
+        await tilt.toggle();
+
+        vi.advanceTimersByTime(CONFIG.tilt.sensorTimeoutMs);
+
+        expect(tilt.element.hidden).toBe(true);
+        expect(announce).toHaveBeenLastCalledWith('Tilt is not available on this device');
+    });
+
+    it('restores a persisted choice unless turning it on needs a tap', () => {
+        CONFIG.tilt.enabled = true;
+        tilt = createTiltControls(announce);
+        expect(tilt.element.getAttribute('aria-pressed')).toBe('true');
+        tilt.cleanup();
+
+        FakeDeviceOrientationEvent.requestPermission = vi.fn();
+        tilt = createTiltControls(announce);
+        expect(tilt.element.getAttribute('aria-pressed')).toBe('false');
+        expect(FakeDeviceOrientationEvent.requestPermission).not.toHaveBeenCalled();
+    });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { checkWebGLSupport, debounce, isSnowSeason, disposeMaterial } from '../src/utils.js';
+import * as THREE from 'three';
+import { checkWebGLSupport, debounce, isSnowSeason, disposeMaterial, disposeModel } from '../src/utils.js';
 
 describe('checkWebGLSupport', () => {
     it('returns false when the canvas cannot produce a WebGL context', () => {
@@ -107,3 +108,28 @@ describe('disposeMaterial', () => {
         expect(material.dispose).toHaveBeenCalledTimes(1);
     });
 });
+
+describe('disposeModel', () => {
+    it('does nothing for a nullish model', () => {
+        expect(() => disposeModel(null)).not.toThrow();
+    });
+
+    it('disposes every mesh geometry and material, including material arrays, and detaches the model', () => {
+        const scene = new THREE.Scene();
+        const model = new THREE.Group();
+        const single = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshBasicMaterial());
+        const multi = new THREE.Mesh(new THREE.BufferGeometry(), [new THREE.MeshBasicMaterial(), new THREE.MeshBasicMaterial()]);
+        model.add(single, multi);
+        scene.add(model);
+
+        const disposed = [];
+        for (const resource of [single.geometry, single.material, multi.geometry, ...multi.material]) {
+            resource.addEventListener('dispose', () => disposed.push(resource));
+        }
+
+        disposeModel(model);
+
+        expect(disposed).toHaveLength(5);
+        expect(model.parent).toBeNull();
+    });
+});
@@ -0,0 +1,282 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { serializeModel } from '../src/model-transfer.js';
+
+/** Serialize a model and clone it the way postMessage would */
+function transferModel(model) {
+    const { data, transfer } = serializeModel(model);
+    return structuredClone(data, { transfer });
+}
+
+/** A small textured, multi-material, animated model */
+function sampleModel() {
+    const geometry = new THREE.BoxGeometry(1, 2, 3);
+    const texture = new THREE.Texture();
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.repeat.set(2, 3);
+    const red = new THREE.MeshPhongMaterial({ color: 0xff0000, map: texture, shininess: 5, name: 'red' });
+    const blue = new THREE.MeshStandardMaterial({ color: 0x0000ff, map: texture, roughness: 0.25 });
+
+    const model = new THREE.Group();
+    model.name = 'root';
+    const mesh = new THREE.Mesh(geometry, [red, blue, red, blue, red, blue]);
+    mesh.name = 'box';
+    mesh.position.set(1, 2, 3);
+    mesh.rotation.set(0.1, 0.2, 0.3);
+    mesh.userData = { source: 'test' };
+    model.add(mesh);
+    model.add(new THREE.Mesh(geometry, red));
+
+    model.animations = [new THREE.AnimationClip('spin', 1, [
+        new THREE.NumberKeyframeTrack('box.rotation[y]', [0, 1], [0, Math.PI])
+    ])];
+    return model;
+}
+
+describe('serializeModel / deserializeModel', () => {
+    let deserializeModel;
+
+    beforeEach(async () => {
+        ({ deserializeModel } = await import('../src/worker-client.js'));
+    });
+
+    it('rebuilds the object tree, transforms and user data', () => {
+        const model = deserializeModel(transferModel(sampleModel()));
+
+        expect(model.name).toBe('root');
+        expect(model.children).toHaveLength(2);
+        const mesh = model.getObjectByName('box');
+        expect(mesh.isMesh).toBe(true);
+        expect(mesh.position.toArray()).toEqual([1, 2, 3]);
+        expect(mesh.rotation.y).toBeCloseTo(0.2);
+        expect(mesh.userData).toEqual({ source: 'test' });
+    });
+
+    it('rebuilds geometry with its index and material groups, sharing what was shared', () => {
+        const original = sampleModel();
+        const model = deserializeModel(transferModel(sampleModel()));
+        const [mesh, other] = model.children;
+
+        expect(mesh.geometry).toBe(other.geometry);
+        expect(mesh.geometry.index.count).toBe(original.children[0].geometry.index.count);
+        expect(Array.from(mesh.geometry.attributes.position.array))
+            .toEqual(Array.from(original.children[0].geometry.attributes.position.array));
+        expect(mesh.geometry.groups).toHaveLength(6);
+    });
+
+    it('rebuilds materials and textures', () => {
+        const model = deserializeModel(transferModel(sampleModel()));
+        const [red, blue] = model.children[0].material;
+
+        expect(red).toBeInstanceOf(THREE.MeshPhongMaterial);
+        expect(red.color.getHex()).toBe(0xff0000);
+        expect(red.shininess).toBe(5);
+        expect(red.name).toBe('red');
+        expect(blue).toBeInstanceOf(THREE.MeshStandardMaterial);
+        expect(blue.roughness).toBe(0.25);
+        expect(model.children[1].material).toBe(red);
+
+        expect(red.map).toBe(blue.map);
+        expect(red.map.wrapS).toBe(THREE.RepeatWrapping);
+        expect(red.map.repeat.toArray()).toEqual([2, 3]);
+    });
+
+    it('transfers geometry buffers instead of copying them', () => {
+        const model = sampleModel();
+        const position = model.children[0].geometry.attributes.position;
+
+        transferModel(model);
+
+        expect(position.array.byteLength).toBe(0); // detached
+    });
+
+    it('rebuilds animation clips', () => {
+        const [clip] = deserializeModel(transferModel(sampleModel())).animations;
+
+        expect(clip.name).toBe('spin');
+        expect(clip.tracks[0].name).toBe('box.rotation[y]');
+        expect(Array.from(clip.tracks[0].values)).toEqual([0, Math.PI].map(Math.fround));
+    });
+
+    it('rebinds skinned meshes to their bones', () => {
+        const root = new THREE.Bone();
+        const tip = new THREE.Bone();
+        tip.position.y = 1;
+        root.add(tip);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute([0, 0, 0, 0, 1, 0, 1, 0, 0], 3));
+        geometry.setAttribute('skinIndex', new THREE.Uint16BufferAttribute([0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0], 4));
+        geometry.setAttribute('skinWeight', new THREE.Float32BufferAttribute([1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0], 4));
+        const mesh = new THREE.SkinnedMesh(geometry, new THREE.MeshBasicMaterial());
+        const model = new THREE.Group();
+        model.add(root, mesh);
+        model.updateMatrixWorld();
+        mesh.bind(new THREE.Skeleton([root, tip]));
+
+        const rebuilt = deserializeModel(transferModel(model)).children[1];
+
+        expect(rebuilt.isSkinnedMesh).toBe(true);
+        expect(rebuilt.skeleton.bones).toHaveLength(2);
+        expect(rebuilt.skeleton.bones[1].parent).toBe(rebuilt.skeleton.bones[0]);
+        expect(rebuilt.skeleton.boneInverses[1].elements).toEqual(mesh.skeleton.boneInverses[1].elements);
+    });
+
+    it('refuses objects the main thread could not rebuild', () => {
+        const model = new THREE.Group();
+        model.add(new THREE.PointLight());
+
+        expect(() => serializeModel(model)).toThrow(/PointLight/);
+    });
+});
+
+describe('parseInWorker', () => {
+    /** Stand-in for the model worker, recording what it is sent */
+    class FakeWorker extends EventTarget {
+        static instances = [];
+
+        constructor(url, options) {
+            super();
+            this.url = url;
+            this.options = options;
+            this.messages = [];
+            this.terminated = false;
+            FakeWorker.instances.push(this);
+        }
+
+        postMessage(message) {
+            this.messages.push(message);
+        }
+
+        terminate() {
+            this.terminated = true;
+        }
+
+        /** Simulate a message from the worker */
+        reply(data) {
+            this.dispatchEvent(new MessageEvent('message', { data }));
+        }
+    }
+
+    /** The import map src/bootstrap.js installs, trimmed to what the tests need */
+    const IMPORT_MAP = {
+        imports: { three: 'https://cdn.test/three@0.184.0/build/three.module.js' },
+        integrity: { 'https://cdn.test/three@0.184.0/build/three.module.js': 'sha384-test' }
+    };
+
+    let client;
+    let ModelLoadError;
+
+    beforeEach(async () => {
+        const importMap = document.createElement('script');
+        importMap.type = 'importmap';
+        importMap.textContent = JSON.stringify(IMPORT_MAP);
+        document.body.appendChild(importMap);
+        FakeWorker.instances = [];
+        vi.stubGlobal('Worker', FakeWorker);
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        // Fresh module state: the worker is started once and disabled for good on failure
+        vi.resetModules();
+        client = await import('../src/worker-client.js');
+        ({ ModelLoadError } = await import('../src/download.js'));
+    });
+
+    afterEach(() => {
+        document.querySelector('script[type="importmap"]')?.remove();
+        client.terminateModelWorker();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('resolves null when workers are unavailable', async () => {
+        vi.stubGlobal('Worker', undefined);
+        await expect(client.parseInWorker('models/plate.fbx')).resolves.toBeNull();
+    });
+
+    it('starts a module worker with the page\'s import map and sends it an absolute URL', () => {
+        client.parseInWorker('models/plate.fbx');
+
+        const [worker] = FakeWorker.instances;
+        expect(worker.options).toEqual({ type: 'module' });
+        expect(String(worker.url)).toMatch(/model-worker\.js/);
+        expect(worker.messages[0]).toEqual({ type: 'init', importMap: IMPORT_MAP });
+        expect(worker.messages[1]).toMatchObject({ type: 'load', url: new URL('models/plate.fbx', document.baseURI).href });
+    });
+
+    it('reports progress and resolves with the rebuilt model and its failed resources', async () => {
+        const onProgress = vi.fn();
+        const loading = client.parseInWorker('plate.fbx', { onProgress });
+        const [worker] = FakeWorker.instances;
+        const { id } = worker.messages[1];
+
+        worker.reply({ type: 'progress', id, fraction: 0.5 });
+        worker.reply({ type: 'loaded', id, model: transferModel(sampleModel()), failedUrls: ['https://a.test/missing.png'] });
+
+        const { model, failedUrls } = await loading;
+        expect(onProgress).toHaveBeenCalledWith(0.5);
+        expect(model.getObjectByName('box').isMesh).toBe(true);
+        expect(failedUrls).toEqual(['https://a.test/missing.png']);
+    });
+
+    it('hands back the raw file for models the worker cannot transfer', async () => {
+        const loading = client.parseInWorker('plate.fbx');
+        const [worker] = FakeWorker.instances;
+        const buffer = new ArrayBuffer(8);
+
+        worker.reply({ type: 'unsupported', id: worker.messages[1].id, buffer, reason: 'lights' });
+
+        await expect(loading).resolves.toEqual({ buffer });
+    });
+
+    it('rejects with a ModelLoadError that keeps the retryable flag', async () => {
+        const loading = client.parseInWorker('plate.fbx');
+        const [worker] = FakeWorker.instances;
+
+        worker.reply({ type: 'error', id: worker.messages[1].id, message: 'Failed to fetch: 503', retryable: true });
+
+        const error = await loading.catch(e => e);
+        expect(error).toBeInstanceOf(ModelLoadError);
+        expect(error.retryable).toBe(true);
+    });
+
+    it('tells the worker to stop when the load is aborted', async () => {
+        const controller = new AbortController();
+        const loading = client.parseInWorker('plate.fbx', { signal: controller.signal });
+        const [worker] = FakeWorker.instances;
+
+        controller.abort();
+
+        await expect(loading).rejects.toThrow(/abort/i);
+        expect(worker.messages[2]).toEqual({ type: 'abort', id: worker.messages[1].id });
+    });
+
+    it('falls back to the main thread for good when the worker fails to start', async () => {
+        const loading = client.parseInWorker('plate.fbx');
+        const [worker] = FakeWorker.instances;
+
+        worker.dispatchEvent(new ErrorEvent('error', { message: 'Failed to fetch module script', cancelable: true }));
+
+        await expect(loading).resolves.toBeNull();
+        expect(worker.terminated).toBe(true);
+        await expect(client.parseInWorker('plate.fbx')).resolves.toBeNull();
+        expect(FakeWorker.instances).toHaveLength(1);
+    });
+
+    it('falls back to the main thread for good when the worker cannot load three.js', async () => {
+        const loading = client.parseInWorker('plate.fbx');
+        const [worker] = FakeWorker.instances;
+
+        worker.reply({ type: 'unavailable', reason: 'No integrity hash for https://cdn.test/three.core.js' });
+
+        await expect(loading).resolves.toBeNull();
+        expect(worker.terminated).toBe(true);
+        await expect(client.parseInWorker('plate.fbx')).resolves.toBeNull();
+        expect(FakeWorker.instances).toHaveLength(1);
+    });
+
+    it('parses on the main thread when the page has no import map to share', async () => {
+        document.querySelector('script[type="importmap"]').remove();
+
+        await expect(client.parseInWorker('plate.fbx')).resolves.toBeNull();
+        expect(FakeWorker.instances).toHaveLength(0);
+    });
+});